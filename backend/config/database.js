@@ -134,28 +134,39 @@ async function initializeDatabaseIfNeeded() {
         } else {
             console.log('[Database Init] ✓ Schema already initialized');
             
+            // Each migration runs on its own: a failure is logged and the ones after it still run
+            const runMigration = async (name, migrate) => {
+                try {
+                    await migrate();
+                } catch (migrationError) {
+                    console.error(`[Database Init] ✗ Migration ${name} failed:`, migrationError.message);
+                }
+            };
+            
             // Check and add missing columns (migrations)
             try {
                 // Check if trigger_words table has severity column
-                const severityCheck = await appClient.query(`
-                    SELECT column_name 
-                    FROM information_schema.columns 
-                    WHERE table_name = 'trigger_words' 
-                    AND column_name = 'severity'
-                `);
-                
-                if (severityCheck.rows.length === 0) {
-                    console.log('[Database Init] Adding severity column to trigger_words table...');
-                    await appClient.query(`
-                        ALTER TABLE trigger_words 
-                        ADD COLUMN severity VARCHAR(50) NOT NULL DEFAULT 'MEDIUM' 
-                        CHECK (severity IN ('LOW', 'MED', 'MEDIUM', 'HIGH'))
+                await runMigration('trigger_words.severity column', async () => {
+                    const severityCheck = await appClient.query(`
+                        SELECT column_name 
+                        FROM information_schema.columns 
+                        WHERE table_name = 'trigger_words' 
+                        AND column_name = 'severity'
                     `);
-                    await appClient.query(`
-                        UPDATE trigger_words SET severity = 'MEDIUM' WHERE severity IS NULL
-                    `);
-                    console.log('[Database Init] ✓ Added severity column to trigger_words');
-                }
+                    
+                    if (severityCheck.rows.length === 0) {
+                        console.log('[Database Init] Adding severity column to trigger_words table...');
+                        await appClient.query(`
+                            ALTER TABLE trigger_words 
+                            ADD COLUMN severity VARCHAR(50) NOT NULL DEFAULT 'MEDIUM' 
+                            CHECK (severity IN ('LOW', 'MED', 'MEDIUM', 'HIGH'))
+                        `);
+                        await appClient.query(`
+                            UPDATE trigger_words SET severity = 'MEDIUM' WHERE severity IS NULL
+                        `);
+                        console.log('[Database Init] ✓ Added severity column to trigger_words');
+                    }
+                });
                 
                 // Migrate to case-insensitive: normalize words to lowercase and update index
                 try {
@@ -222,7 +233,8 @@ async function initializeDatabaseIfNeeded() {
                     const ginIndexes = [
                         { name: 'idx_events_user_data_gin', query: 'CREATE INDEX IF NOT EXISTS idx_events_user_data_gin ON events USING GIN (user_data)' },
                         { name: 'idx_events_event_data_gin', query: 'CREATE INDEX IF NOT EXISTS idx_events_event_data_gin ON events USING GIN (event_data)' },
-                        { name: 'idx_events_user_uniqueid_lower', query: 'CREATE INDEX IF NOT EXISTS idx_events_user_uniqueid_lower ON events (LOWER(user_data->>\'uniqueId\')) WHERE type = \'chat\' AND user_data->>\'uniqueId\' IS NOT NULL' }
+                        { name: 'idx_events_user_uniqueid_lower', query: 'CREATE INDEX IF NOT EXISTS idx_events_user_uniqueid_lower ON events (LOWER(user_data->>\'uniqueId\')) WHERE type = \'chat\' AND user_data->>\'uniqueId\' IS NOT NULL' },
+                        { name: 'idx_events_viewer_uniqueid_lower', query: 'CREATE INDEX IF NOT EXISTS idx_events_viewer_uniqueid_lower ON events (LOWER(user_data->>\'uniqueId\'), timestamp) WHERE user_data->>\'uniqueId\' IS NOT NULL' }
                     ];
                     
                     for (const idx of ginIndexes) {
@@ -247,39 +259,408 @@ async function initializeDatabaseIfNeeded() {
                 }
 
                 // Check and add use_session column to tiktok_accounts
-                const useSessionCheck = await appClient.query(`
-                    SELECT column_name FROM information_schema.columns 
-                    WHERE table_name = 'tiktok_accounts' AND column_name = 'use_session'
-                `);
-                if (useSessionCheck.rows.length === 0) {
-                    console.log('[Database Init] Adding use_session column to tiktok_accounts...');
-                    await appClient.query(`
-                        ALTER TABLE tiktok_accounts ADD COLUMN use_session BOOLEAN DEFAULT FALSE
+                await runMigration('tiktok_accounts.use_session column', async () => {
+                    const useSessionCheck = await appClient.query(`
+                        SELECT column_name FROM information_schema.columns 
+                        WHERE table_name = 'tiktok_accounts' AND column_name = 'use_session'
                     `);
-                    console.log('[Database Init] ✓ Added use_session column');
-                }
+                    if (useSessionCheck.rows.length === 0) {
+                        console.log('[Database Init] Adding use_session column to tiktok_accounts...');
+                        await appClient.query(`
+                            ALTER TABLE tiktok_accounts ADD COLUMN use_session BOOLEAN DEFAULT FALSE
+                        `);
+                        console.log('[Database Init] ✓ Added use_session column');
+                    }
+                });
 
-                // Check and create tiktok_session table
-                const tiktokSessionCheck = await appClient.query(`
-                    SELECT FROM information_schema.tables 
-                    WHERE table_schema = 'public' AND table_name = 'tiktok_session'
-                `);
-                if (tiktokSessionCheck.rows.length === 0) {
-                    console.log('[Database Init] Creating tiktok_session table...');
-                    await appClient.query(`
-                        CREATE TABLE tiktok_session (
-                            id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
-                            session_id TEXT,
-                            tt_target_idc TEXT,
-                            valid_until TIMESTAMPTZ,
-                            updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-                        )
-                    `);
-                    await appClient.query(`
-                        INSERT INTO tiktok_session (id, updated_at) VALUES (1, NOW())
-                    `);
-                    console.log('[Database Init] ✓ Created tiktok_session table');
+                // Check and create tables introduced after the initial schema
+                const tableMigrations = [
+                    {
+                        table: 'viewer_watchlist',
+                        queries: [
+                            `CREATE TABLE viewer_watchlist (
+                                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                                unique_id VARCHAR(255) NOT NULL,
+                                severity VARCHAR(50) NOT NULL DEFAULT 'MEDIUM' CHECK (severity IN ('LOW', 'MEDIUM', 'HIGH')),
+                                notes TEXT,
+                                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                                updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+                            )`,
+                            'CREATE UNIQUE INDEX IF NOT EXISTS idx_viewer_watchlist_unique ON viewer_watchlist(LOWER(unique_id))'
+                        ]
+                    },
+                    {
+                        table: 'alert_settings',
+                        queries: [
+                            `CREATE TABLE alert_settings (
+                                id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+                                settings JSONB NOT NULL DEFAULT '{}'
+                            )`,
+                            `INSERT INTO alert_settings (id, settings) VALUES (1, '{}') ON CONFLICT (id) DO NOTHING`
+                        ]
+                    },
+                    {
+                        table: 'gift_settings',
+                        queries: [
+                            `CREATE TABLE gift_settings (
+                                id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+                                settings JSONB NOT NULL DEFAULT '{}'
+                            )`,
+                            `INSERT INTO gift_settings (id, settings) VALUES (1, '{}') ON CONFLICT (id) DO NOTHING`
+                        ]
+                    },
+                    {
+                        table: 'webhooks',
+                        queries: [
+                            `CREATE TABLE webhooks (
+                                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                                name VARCHAR(255) NOT NULL,
+                                url TEXT NOT NULL,
+                                secret TEXT,
+                                events JSONB NOT NULL DEFAULT '[]',
+                                min_severity VARCHAR(50) NOT NULL DEFAULT 'LOW' CHECK (min_severity IN ('LOW', 'MEDIUM', 'HIGH')),
+                                enabled BOOLEAN NOT NULL DEFAULT TRUE,
+                                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                                updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+                            )`
+                        ]
+                    },
+                    {
+                        table: 'webhook_deliveries',
+                        queries: [
+                            `CREATE TABLE webhook_deliveries (
+                                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                                webhook_id UUID NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+                                event VARCHAR(50) NOT NULL,
+                                payload JSONB NOT NULL,
+                                status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'success', 'failed')),
+                                attempts INTEGER NOT NULL DEFAULT 0,
+                                response_status INTEGER,
+                                error TEXT,
+                                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                                last_attempt_at TIMESTAMPTZ
+                            )`,
+                            'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_created ON webhook_deliveries(webhook_id, created_at DESC)'
+                        ]
+                    },
+                    {
+                        table: 'metric_rules',
+                        queries: [
+                            `CREATE TABLE metric_rules (
+                                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                                name VARCHAR(255) NOT NULL,
+                                metric VARCHAR(50) NOT NULL CHECK (metric IN ('viewer_count', 'message_rate_spike', 'likes_stalled')),
+                                threshold NUMERIC,
+                                window_minutes INTEGER,
+                                severity VARCHAR(50) NOT NULL DEFAULT 'MEDIUM' CHECK (severity IN ('LOW', 'MEDIUM', 'HIGH')),
+                                scope JSONB NOT NULL DEFAULT '{}',
+                                enabled BOOLEAN NOT NULL DEFAULT TRUE,
+                                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                                updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+                            )`
+                        ]
+                    },
+                    {
+                        table: 'trigger_categories',
+                        queries: [
+                            `CREATE TABLE trigger_categories (
+                                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                                name VARCHAR(255) NOT NULL,
+                                description TEXT,
+                                default_severity VARCHAR(50) NOT NULL DEFAULT 'MEDIUM' CHECK (default_severity IN ('LOW', 'MEDIUM', 'HIGH')),
+                                enabled BOOLEAN NOT NULL DEFAULT TRUE,
+                                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                                updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+                            )`,
+                            'CREATE UNIQUE INDEX IF NOT EXISTS idx_trigger_categories_name ON trigger_categories(LOWER(name))'
+                        ]
+                    },
+                    {
+                        table: 'alert_comments',
+                        queries: [
+                            `CREATE TABLE alert_comments (
+                                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                                alert_id UUID NOT NULL REFERENCES alerts(id) ON DELETE CASCADE,
+                                parent_id UUID REFERENCES alert_comments(id) ON DELETE CASCADE,
+                                user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+                                username VARCHAR(255) NOT NULL,
+                                body TEXT NOT NULL,
+                                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+                            )`,
+                            'CREATE INDEX IF NOT EXISTS idx_alert_comments_alert_created ON alert_comments(alert_id, created_at)'
+                        ]
+                    },
+                    {
+                        table: 'alert_status_history',
+                        queries: [
+                            `CREATE TABLE alert_status_history (
+                                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                                alert_id UUID NOT NULL REFERENCES alerts(id) ON DELETE CASCADE,
+                                from_status VARCHAR(50),
+                                to_status VARCHAR(50) NOT NULL,
+                                user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+                                username VARCHAR(255) NOT NULL,
+                                note TEXT,
+                                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+                            )`,
+                            'CREATE INDEX IF NOT EXISTS idx_alert_status_history_alert_created ON alert_status_history(alert_id, created_at)'
+                        ]
+                    },
+                    {
+                        table: 'chat_entities',
+                        queries: [
+                            `CREATE TABLE chat_entities (
+                                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                                event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+                                session_id UUID NOT NULL REFERENCES live_sessions(id) ON DELETE CASCADE,
+                                handle VARCHAR(255) NOT NULL,
+                                unique_id VARCHAR(255),
+                                nickname VARCHAR(255),
+                                type VARCHAR(20) NOT NULL,
+                                value VARCHAR(500) NOT NULL,
+                                raw_value VARCHAR(500),
+                                platform VARCHAR(50),
+                                timestamp TIMESTAMPTZ NOT NULL
+                            )`,
+                            'CREATE UNIQUE INDEX IF NOT EXISTS idx_chat_entities_event_value ON chat_entities(event_id, type, value)',
+                            'CREATE INDEX IF NOT EXISTS idx_chat_entities_type_value ON chat_entities(type, value)',
+                            'CREATE INDEX IF NOT EXISTS idx_chat_entities_unique_id ON chat_entities(unique_id)',
+                            'CREATE INDEX IF NOT EXISTS idx_chat_entities_session_id ON chat_entities(session_id)',
+                            'CREATE INDEX IF NOT EXISTS idx_chat_entities_timestamp ON chat_entities(timestamp DESC)'
+                        ]
+                    },
+                    {
+                        table: 'proxies',
+                        queries: [
+                            `CREATE TABLE proxies (
+                                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                                label VARCHAR(255),
+                                url TEXT NOT NULL UNIQUE,
+                                enabled BOOLEAN NOT NULL DEFAULT true,
+                                health_score INTEGER NOT NULL DEFAULT 100,
+                                last_check_at TIMESTAMPTZ,
+                                last_check_ok BOOLEAN,
+                                last_latency_ms INTEGER,
+                                last_error TEXT,
+                                block_count INTEGER NOT NULL DEFAULT 0,
+                                last_block_at TIMESTAMPTZ,
+                                cooldown_until TIMESTAMPTZ,
+                                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+                            )`
+                        ]
+                    },
+                    {
+                        table: 'proxy_assignments',
+                        queries: [
+                            `CREATE TABLE proxy_assignments (
+                                handle VARCHAR(255) PRIMARY KEY REFERENCES tiktok_accounts(handle) ON DELETE CASCADE,
+                                proxy_id UUID NOT NULL REFERENCES proxies(id) ON DELETE CASCADE,
+                                assigned_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+                            )`,
+                            'CREATE INDEX IF NOT EXISTS idx_proxy_assignments_proxy ON proxy_assignments(proxy_id)'
+                        ]
+                    },
+                    {
+                        table: 'proxy_blocks',
+                        queries: [
+                            `CREATE TABLE proxy_blocks (
+                                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                                proxy_id UUID NOT NULL REFERENCES proxies(id) ON DELETE CASCADE,
+                                handle VARCHAR(255) NOT NULL,
+                                type VARCHAR(50),
+                                rotated_to UUID,
+                                blocked_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+                            )`,
+                            'CREATE INDEX IF NOT EXISTS idx_proxy_blocks_proxy_time ON proxy_blocks(proxy_id, blocked_at DESC)'
+                        ]
+                    },
+                    {
+                        table: 'tiktok_sessions',
+                        queries: [
+                            `CREATE TABLE tiktok_sessions (
+                                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                                label VARCHAR(255),
+                                session_id TEXT NOT NULL UNIQUE,
+                                tt_target_idc TEXT,
+                                valid_until TIMESTAMPTZ,
+                                enabled BOOLEAN NOT NULL DEFAULT true,
+                                last_success_at TIMESTAMPTZ,
+                                last_failure_at TIMESTAMPTZ,
+                                last_error TEXT,
+                                consecutive_failures INTEGER NOT NULL DEFAULT 0,
+                                quarantined_at TIMESTAMPTZ,
+                                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                                updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+                            )`,
+                            // Move the session of the former single-row tiktok_session table into the pool
+                            `DO $$
+                            BEGIN
+                                IF EXISTS (SELECT FROM information_schema.tables WHERE table_schema = 'public' AND table_name = 'tiktok_session') THEN
+                                    INSERT INTO tiktok_sessions (label, session_id, tt_target_idc, valid_until, created_at, updated_at)
+                                    SELECT 'Imported session', session_id, tt_target_idc, valid_until, updated_at, updated_at
+                                    FROM tiktok_session WHERE session_id IS NOT NULL;
+                                    DROP TABLE tiktok_session;
+                                END IF;
+                            END $$`
+                        ]
+                    },
+                    {
+                        table: 'tiktok_session_assignments',
+                        queries: [
+                            `CREATE TABLE tiktok_session_assignments (
+                                handle VARCHAR(255) PRIMARY KEY REFERENCES tiktok_accounts(handle) ON DELETE CASCADE,
+                                session_id UUID NOT NULL REFERENCES tiktok_sessions(id) ON DELETE CASCADE,
+                                assigned_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+                            )`,
+                            'CREATE INDEX IF NOT EXISTS idx_tiktok_session_assignments_session ON tiktok_session_assignments(session_id)'
+                        ]
+                    },
+                    {
+                        table: 'account_polling_overrides',
+                        queries: [
+                            `CREATE TABLE account_polling_overrides (
+                                handle VARCHAR(255) PRIMARY KEY REFERENCES tiktok_accounts(handle) ON DELETE CASCADE,
+                                mode VARCHAR(20) NOT NULL DEFAULT 'default' CHECK (mode IN ('default', 'adaptive', 'fixed')),
+                                offline_interval_minutes INTEGER,
+                                hot_interval_minutes INTEGER,
+                                cold_interval_minutes INTEGER,
+                                updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+                            )`
+                        ]
+                    }
+                ];
+                
+                for (const migration of tableMigrations) {
+                    await runMigration(`${migration.table} table`, async () => {
+                        const tableExists = await appClient.query(`
+                            SELECT FROM information_schema.tables 
+                            WHERE table_schema = 'public' AND table_name = $1
+                        `, [migration.table]);
+                        if (tableExists.rows.length === 0) {
+                            console.log(`[Database Init] Creating ${migration.table} table...`);
+                            // All or nothing: a table left behind by a failed step would skip the migration on every later start
+                            await appClient.query('BEGIN');
+                            try {
+                                for (const sql of migration.queries) {
+                                    await appClient.query(sql);
+                                }
+                                await appClient.query('COMMIT');
+                            } catch (error) {
+                                await appClient.query('ROLLBACK');
+                                throw error;
+                            }
+                            console.log(`[Database Init] ✓ Created ${migration.table} table`);
+                        }
+                    });
+                }
+                
+                // Check and add columns introduced after the initial schema
+                const columnMigrations = [
+                    { table: 'trigger_words', column: 'event_type', definition: `VARCHAR(50) NOT NULL DEFAULT 'chat'` },
+                    { table: 'trigger_words', column: 'conditions', definition: `JSONB NOT NULL DEFAULT '[]'` },
+                    { table: 'trigger_words', column: 'mode', definition: `VARCHAR(20) NOT NULL DEFAULT 'contains' CHECK (mode IN ('contains', 'whole-word', 'regex', 'boolean'))` },
+                    { table: 'trigger_words', column: 'normalize', definition: 'BOOLEAN NOT NULL DEFAULT TRUE' },
+                    { table: 'trigger_words', column: 'scope', definition: `JSONB NOT NULL DEFAULT '{}'` },
+                    { table: 'trigger_words', column: 'category_id', definition: 'UUID REFERENCES trigger_categories(id) ON DELETE SET NULL' },
+                    { table: 'trigger_words', column: 'languages', definition: `JSONB NOT NULL DEFAULT '[]'` },
+                    { table: 'tiktok_accounts', column: 'tags', definition: `JSONB DEFAULT '[]'` },
+                    { table: 'users', column: 'email', definition: 'VARCHAR(255)' },
+                    { table: 'users', column: 'notify_immediate', definition: 'BOOLEAN NOT NULL DEFAULT FALSE' },
+                    { table: 'users', column: 'digest_frequency', definition: `VARCHAR(10) NOT NULL DEFAULT 'none' CHECK (digest_frequency IN ('none', 'hourly', 'daily'))` },
+                    { table: 'users', column: 'last_digest_at', definition: 'TIMESTAMPTZ' },
+                    { table: 'alerts', column: 'trigger_id', definition: 'UUID' },
+                    { table: 'alerts', column: 'event_type', definition: `VARCHAR(50) DEFAULT 'chat'` },
+                    { table: 'alerts', column: 'source', definition: `VARCHAR(50) NOT NULL DEFAULT 'trigger'` },
+                    { table: 'alerts', column: 'raw_text', definition: 'TEXT' },
+                    { table: 'alerts', column: 'normalized_text', definition: 'TEXT' },
+                    { table: 'alerts', column: 'occurrence_count', definition: 'INTEGER NOT NULL DEFAULT 1' },
+                    { table: 'alerts', column: 'first_seen_at', definition: 'TIMESTAMPTZ' },
+                    { table: 'alerts', column: 'last_seen_at', definition: 'TIMESTAMPTZ' },
+                    { table: 'alerts', column: 'assigned_to', definition: 'UUID REFERENCES users(id) ON DELETE SET NULL' },
+                    { table: 'alerts', column: 'assigned_at', definition: 'TIMESTAMPTZ' },
+                    { table: 'alerts', column: 'details', definition: 'JSONB' },
+                    { table: 'alerts', column: 'category_id', definition: 'UUID' },
+                    { table: 'alerts', column: 'category_name', definition: 'VARCHAR(255)' }
+                ];
+                
+                for (const migration of columnMigrations) {
+                    await runMigration(`${migration.table}.${migration.column} column`, async () => {
+                        const columnCheck = await appClient.query(`
+                            SELECT column_name FROM information_schema.columns 
+                            WHERE table_name = $1 AND column_name = $2
+                        `, [migration.table, migration.column]);
+                        if (columnCheck.rows.length === 0) {
+                            console.log(`[Database Init] Adding ${migration.column} column to ${migration.table}...`);
+                            await appClient.query(`ALTER TABLE ${migration.table} ADD COLUMN ${migration.column} ${migration.definition}`);
+                            console.log(`[Database Init] ✓ Added ${migration.column} column to ${migration.table}`);
+                        }
+                    });
+                }
+                
+                // Widen columns whose values outgrew their type (alerts.type holds trigger words of up to 255 characters)
+                const columnTypeMigrations = [
+                    { table: 'alerts', column: 'type', dataType: 'text' }
+                ];
+                
+                for (const migration of columnTypeMigrations) {
+                    await runMigration(`${migration.table}.${migration.column} type`, async () => {
+                        const typeCheck = await appClient.query(`
+                            SELECT data_type FROM information_schema.columns 
+                            WHERE table_name = $1 AND column_name = $2
+                        `, [migration.table, migration.column]);
+                        if (typeCheck.rows.length > 0 && typeCheck.rows[0].data_type !== migration.dataType) {
+                            console.log(`[Database Init] Changing ${migration.table}.${migration.column} to ${migration.dataType.toUpperCase()}...`);
+                            await appClient.query(`ALTER TABLE ${migration.table} ALTER COLUMN ${migration.column} TYPE ${migration.dataType.toUpperCase()}`);
+                            console.log(`[Database Init] ✓ Changed ${migration.table}.${migration.column} to ${migration.dataType.toUpperCase()}`);
+                        }
+                    });
                 }
+                
+                // Indexes on the columns added above
+                await runMigration('category indexes', async () => {
+                    await appClient.query('CREATE INDEX IF NOT EXISTS idx_trigger_words_category_id ON trigger_words(category_id)');
+                    await appClient.query('CREATE INDEX IF NOT EXISTS idx_alerts_category_id ON alerts(category_id) WHERE category_id IS NOT NULL');
+                });
+                
+                // Replace CHECK constraints whose allowed values were extended (marker = a value only the new version allows)
+                const constraintMigrations = [
+                    {
+                        table: 'alerts',
+                        constraint: 'alerts_status_check',
+                        definition: `CHECK (status IN ('pending', 'new', 'acknowledged', 'escalated', 'false_positive', 'resolved'))`,
+                        marker: 'false_positive'
+                    }
+                ];
+                
+                for (const migration of constraintMigrations) {
+                    await runMigration(migration.constraint, async () => {
+                        const constraintCheck = await appClient.query(`
+                            SELECT pg_get_constraintdef(oid) AS definition FROM pg_constraint 
+                            WHERE conname = $1 AND conrelid = $2::regclass
+                        `, [migration.constraint, migration.table]);
+                        if (constraintCheck.rows.length === 0 || !constraintCheck.rows[0].definition.includes(migration.marker)) {
+                            console.log(`[Database Init] Updating ${migration.constraint} on ${migration.table}...`);
+                            await appClient.query(`ALTER TABLE ${migration.table} DROP CONSTRAINT IF EXISTS ${migration.constraint}`);
+                            await appClient.query(`ALTER TABLE ${migration.table} ADD CONSTRAINT ${migration.constraint} ${migration.definition}`);
+                            console.log(`[Database Init] ✓ Updated ${migration.constraint} on ${migration.table}`);
+                        }
+                    });
+                }
+                
+                // Phone entities used to keep a leading "+"; values are digits only now so both spellings group
+                await runMigration('phone entities', async () => {
+                    const plusPhones = await appClient.query(`SELECT 1 FROM chat_entities WHERE type = 'phone' AND value LIKE '+%' LIMIT 1`);
+                    if (plusPhones.rows.length > 0) {
+                        console.log('[Database Init] Normalizing phone entities to digits only...');
+                        await appClient.query(`
+                            DELETE FROM chat_entities plus USING chat_entities digits
+                            WHERE plus.type = 'phone' AND plus.value LIKE '+%'
+                            AND digits.event_id = plus.event_id AND digits.type = 'phone' AND digits.value = SUBSTRING(plus.value FROM 2)
+                        `);
+                        await appClient.query(`UPDATE chat_entities SET value = SUBSTRING(value FROM 2) WHERE type = 'phone' AND value LIKE '+%'`);
+                        console.log('[Database Init] ✓ Normalized phone entities');
+                    }
+                });
             } catch (migrationError) {
                 // Ignore errors if column already exists or other non-critical issues
                 if (!migrationError.message.includes('already exists') && 
@@ -2,23 +2,50 @@ const express = require('express');
 const router = express.Router();
 const { requireAuth } = require('../utils/auth');
 const { v4: uuidv4 } = require('uuid');
-const { read, write, update, deleteById, findBy } = require('../storage/dbStorage');
+const { read, write, deleteById, findBy } = require('../storage/dbStorage');
 const ExcelJS = require('exceljs');
+const triggerService = require('../services/triggerService');
+const watchlistService = require('../services/watchlistService');
+const alertService = require('../services/alertService');
+const alertWorkflowService = require('../services/alertWorkflowService');
+const { ALERT_STATUSES } = require('../services/alertWorkflowService');
+const metricRuleService = require('../services/metricRuleService');
+const ruleBacktestService = require('../services/ruleBacktestService');
+const triggerImportService = require('../services/triggerImportService');
+const triggerCategoryService = require('../services/triggerCategoryService');
+const toxicityService = require('../services/toxicityService');
+const { validateCategory } = require('../services/triggerCategoryService');
+const { METRICS, validateMetricRule } = require('../services/metricRuleService');
+const { normalizeText } = require('../utils/textNormalizer');
+const { LANGUAGES, detectLanguage, normalizeLanguages } = require('../utils/languageDetector');
 
 // All routes require authentication
 router.use(requireAuth);
 
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * User making the request, recorded on status changes and comments
+ */
+function getActor(req) {
+    return { userId: req.session.userId, username: req.session.username };
+}
+
 /**
  * GET /api/alerts
  * List all alerts with optional filters
+ * Query: status, severity, handle, dateFrom, dateTo, triggerWord,
+ *        assignee (user ID, "me" or "unassigned"), category (trigger category ID or "none")
  */
 router.get('/', async (req, res) => {
     try {
-        const { status, severity, handle, dateFrom, dateTo, triggerWord } = req.query;
+        const { status, severity, handle, dateFrom, dateTo, triggerWord, assignee, category } = req.query;
         const { query } = require('../config/database');
         
-        // Build query with filters (LEFT JOIN events for posted_by_username)
-        let sqlQuery = 'SELECT a.*, e.user_data->>\'uniqueId\' AS posted_by_username FROM alerts a LEFT JOIN events e ON a.event_id = e.id WHERE 1=1';
+        // Build query with filters (LEFT JOIN events for posted_by_username, users for the assignee)
+        let sqlQuery = `SELECT a.*, e.user_data->>'uniqueId' AS posted_by_username, u.username AS assigned_to_username,
+                (SELECT COUNT(*) FROM alert_comments c WHERE c.alert_id = a.id) AS comment_count
+            FROM alerts a LEFT JOIN events e ON a.event_id = e.id LEFT JOIN users u ON a.assigned_to = u.id WHERE 1=1`;
         const params = [];
         let paramIndex = 1;
         
@@ -67,6 +94,29 @@ router.get('/', async (req, res) => {
             paramIndex++;
         }
         
+        if (assignee === 'unassigned') {
+            sqlQuery += ' AND a.assigned_to IS NULL';
+        } else if (assignee) {
+            const assigneeId = assignee === 'me' ? req.session.userId : assignee;
+            if (!uuidRegex.test(assigneeId)) {
+                return res.status(400).json({ error: 'Invalid assignee' });
+            }
+            sqlQuery += ` AND a.assigned_to = $${paramIndex}`;
+            params.push(assigneeId);
+            paramIndex++;
+        }
+        
+        if (category === 'none') {
+            sqlQuery += ' AND a.category_id IS NULL';
+        } else if (category) {
+            if (!uuidRegex.test(category)) {
+                return res.status(400).json({ error: 'Invalid category' });
+            }
+            sqlQuery += ` AND a.category_id = $${paramIndex}`;
+            params.push(category);
+            paramIndex++;
+        }
+        
         sqlQuery += ' ORDER BY a.timestamp DESC';
         
         const result = await query(sqlQuery, params);
@@ -85,13 +135,28 @@ router.get('/', async (req, res) => {
             sessionId: row.session_id,
             eventId: row.event_id,
             triggerWord: row.type, // type contains trigger word
+            triggerId: row.trigger_id || null,
+            eventType: row.event_type || 'chat',
+            source: row.source || 'trigger',
             postedByUsername: row.posted_by_username || null,
             timestamp: row.timestamp.toISOString(),
             severity: row.severity.toLowerCase(),
             status: row.status,
             message: stripMessagePrefix(row.message),
+            rawText: row.raw_text || null,
+            normalizedText: row.normalized_text || null,
+            occurrenceCount: row.occurrence_count || 1,
+            firstSeenAt: (row.first_seen_at || row.timestamp).toISOString(),
+            lastSeenAt: (row.last_seen_at || row.timestamp).toISOString(),
+            details: row.details || null,
+            categoryId: row.category_id || null,
+            categoryName: row.category_name || null,
             acknowledgedAt: row.acknowledged_at ? row.acknowledged_at.toISOString() : null,
-            resolvedAt: row.resolved_at ? row.resolved_at.toISOString() : null
+            resolvedAt: row.resolved_at ? row.resolved_at.toISOString() : null,
+            assignedTo: row.assigned_to || null,
+            assignedToUsername: row.assigned_to_username || null,
+            assignedAt: row.assigned_at ? row.assigned_at.toISOString() : null,
+            commentCount: parseInt(row.comment_count) || 0
         }));
 
         res.json(alerts);
@@ -108,11 +173,12 @@ router.get('/', async (req, res) => {
  */
 router.get('/export/excel', async (req, res) => {
     try {
-        const { status, severity, handle, dateFrom, dateTo, triggerWord } = req.query;
+        const { status, severity, handle, dateFrom, dateTo, triggerWord, assignee, category } = req.query;
         const { query } = require('../config/database');
         
-        // Build query with filters (same as GET /api/alerts, JOIN for posted_by_username)
-        let sqlQuery = 'SELECT a.*, e.user_data->>\'uniqueId\' AS posted_by_username FROM alerts a LEFT JOIN events e ON a.event_id = e.id WHERE 1=1';
+        // Build query with filters (same as GET /api/alerts, JOIN for posted_by_username and the assignee)
+        let sqlQuery = `SELECT a.*, e.user_data->>'uniqueId' AS posted_by_username, u.username AS assigned_to_username
+            FROM alerts a LEFT JOIN events e ON a.event_id = e.id LEFT JOIN users u ON a.assigned_to = u.id WHERE 1=1`;
         const params = [];
         let paramIndex = 1;
         
@@ -159,6 +225,29 @@ router.get('/export/excel', async (req, res) => {
             paramIndex++;
         }
         
+        if (assignee === 'unassigned') {
+            sqlQuery += ' AND a.assigned_to IS NULL';
+        } else if (assignee) {
+            const assigneeId = assignee === 'me' ? req.session.userId : assignee;
+            if (!uuidRegex.test(assigneeId)) {
+                return res.status(400).json({ error: 'Invalid assignee' });
+            }
+            sqlQuery += ` AND a.assigned_to = $${paramIndex}`;
+            params.push(assigneeId);
+            paramIndex++;
+        }
+        
+        if (category === 'none') {
+            sqlQuery += ' AND a.category_id IS NULL';
+        } else if (category) {
+            if (!uuidRegex.test(category)) {
+                return res.status(400).json({ error: 'Invalid category' });
+            }
+            sqlQuery += ` AND a.category_id = $${paramIndex}`;
+            params.push(category);
+            paramIndex++;
+        }
+        
         sqlQuery += ' ORDER BY a.timestamp DESC';
         
         const result = await query(sqlQuery, params);
@@ -179,10 +268,18 @@ router.get('/export/excel', async (req, res) => {
             { header: 'Time', key: 'timestamp', width: 20 },
             { header: 'Account', key: 'handle', width: 20 },
             { header: 'Trigger Word', key: 'triggerWord', width: 20 },
+            { header: 'Category', key: 'category', width: 20 },
+            { header: 'Event Type', key: 'eventType', width: 14 },
             { header: 'Posted By', key: 'postedByUsername', width: 20 },
             { header: 'Message', key: 'message', width: 50 },
+            { header: 'Normalized Text', key: 'normalizedText', width: 50 },
+            { header: 'Details', key: 'details', width: 40 },
+            { header: 'Occurrences', key: 'occurrenceCount', width: 12 },
+            { header: 'First Seen', key: 'firstSeenAt', width: 20 },
+            { header: 'Last Seen', key: 'lastSeenAt', width: 20 },
             { header: 'Severity', key: 'severity', width: 12 },
             { header: 'Status', key: 'status', width: 15 },
+            { header: 'Assigned To', key: 'assignedTo', width: 20 },
             { header: 'Acknowledged At', key: 'acknowledgedAt', width: 20 },
             { header: 'Resolved At', key: 'resolvedAt', width: 20 }
         ];
@@ -213,10 +310,18 @@ router.get('/export/excel', async (req, res) => {
                 timestamp: formatDate(row.timestamp),
                 handle: `@${row.handle}`,
                 triggerWord: row.type || 'N/A',
+                category: row.category_name || 'N/A',
+                eventType: row.event_type || 'chat',
                 postedByUsername: row.posted_by_username ? `@${row.posted_by_username}` : 'N/A',
                 message: stripMessagePrefix(row.message) || '',
+                normalizedText: row.normalized_text || '',
+                details: row.details ? JSON.stringify(row.details) : '',
+                occurrenceCount: row.occurrence_count || 1,
+                firstSeenAt: formatDate(row.first_seen_at || row.timestamp),
+                lastSeenAt: formatDate(row.last_seen_at || row.timestamp),
                 severity: (row.severity || 'MEDIUM').toUpperCase(),
                 status: row.status || 'pending',
+                assignedTo: row.assigned_to_username || 'N/A',
                 acknowledgedAt: row.acknowledged_at ? formatDate(row.acknowledged_at) : 'N/A',
                 resolvedAt: row.resolved_at ? formatDate(row.resolved_at) : 'N/A'
             });
@@ -250,12 +355,25 @@ router.get('/export/excel', async (req, res) => {
 router.get('/trigger-words', async (req, res) => {
     try {
         const { query } = require('../config/database');
-        const result = await query('SELECT * FROM trigger_words ORDER BY created_at DESC');
+        const result = await query(
+            `SELECT w.*, c.name AS category_name, c.enabled AS category_enabled
+             FROM trigger_words w LEFT JOIN trigger_categories c ON w.category_id = c.id
+             ORDER BY w.created_at DESC`
+        );
         
         const triggerWords = result.rows.map(row => ({
             id: row.id,
-            word: row.word.toLowerCase(), // Always return lowercase
+            word: row.mode === 'regex' ? row.word : row.word.toLowerCase(), // Lowercase except regex
             severity: row.severity || 'medium', // Default to medium if null
+            eventType: row.event_type || 'chat',
+            conditions: row.conditions || [],
+            mode: row.mode || 'contains',
+            normalize: row.normalize !== false,
+            scope: triggerService.normalizeScope(row.scope),
+            categoryId: row.category_id || null,
+            categoryName: row.category_name || null,
+            categoryEnabled: row.category_id ? row.category_enabled !== false : true,
+            languages: row.languages || [],
             createdAt: row.created_at.toISOString()
         }));
         
@@ -269,18 +387,41 @@ router.get('/trigger-words', async (req, res) => {
 /**
  * POST /api/alerts/trigger-words
  * Add a trigger word
+ * Optional eventType (default chat) and conditions ([{ field, op, value }]) turn it into an event rule;
+ * for event types without text (gift, member, ...) the word is the rule name
+ * Optional mode: contains (default), whole-word, regex or boolean; regex and boolean words are validated here
+ * Optional normalize (default true) also matches the normalized message (leetspeak, accents, look-alikes)
+ * Optional scope ({ handles, tags, excludeHandles, excludeTags }) limits the word to some accounts
+ * Optional categoryId puts the word in a category; without a severity the word gets the category's default severity
+ * Optional languages (ISO 639-1 codes, empty = any) limits text rules to messages detected in those languages
  * IMPORTANT: This route must be defined BEFORE /:id to avoid route conflicts
  */
 router.post('/trigger-words', async (req, res) => {
     try {
-        const { word, severity = 'medium' } = req.body;
+        const { word, eventType = 'chat', conditions = [], mode = 'contains', normalize = true, scope = {}, categoryId = null, languages = [] } = req.body;
         
         if (!word || typeof word !== 'string' || word.trim().length === 0) {
             return res.status(400).json({ error: 'Word is required' });
         }
         
-        // Normalize word to lowercase
-        const normalizedWord = word.trim().toLowerCase();
+        let category = null;
+        if (categoryId) {
+            category = uuidRegex.test(categoryId) ? await triggerCategoryService.get(categoryId) : null;
+            if (!category) {
+                return res.status(400).json({ error: 'Category not found' });
+            }
+        }
+        const severity = req.body.severity || (category ? category.defaultSeverity : 'medium');
+        
+        // Normalize word to lowercase (regular expressions keep their case)
+        const normalizedWord = triggerService.normalizeWord(word, mode);
+        
+        const ruleError = triggerService.validateRule({ word: normalizedWord, mode, eventType, conditions, scope, languages });
+        if (ruleError) {
+            return res.status(400).json({ error: ruleError });
+        }
+        const normalizedScope = triggerService.normalizeScope(scope);
+        const normalizedLanguages = normalizeLanguages(languages);
         
         // Validate and normalize severity
         const validSeverities = ['low', 'medium', 'high'];
@@ -311,17 +452,29 @@ router.post('/trigger-words', async (req, res) => {
         
         // Insert into database (always save as lowercase, case_sensitive is ignored but kept for compatibility)
         const insertResult = await query(
-            'INSERT INTO trigger_words (id, word, case_sensitive, severity, created_at) VALUES (gen_random_uuid(), $1, $2, $3, NOW()) RETURNING *',
-            [normalizedWord, false, normalizedSeverity]
+            'INSERT INTO trigger_words (id, word, case_sensitive, severity, event_type, conditions, mode, normalize, scope, category_id, languages, created_at) VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW()) RETURNING *',
+            [normalizedWord, false, normalizedSeverity, eventType, JSON.stringify(conditions), mode, normalize !== false, JSON.stringify(normalizedScope), category ? category.id : null, JSON.stringify(normalizedLanguages)]
         );
         
         const newTrigger = {
             id: insertResult.rows[0].id,
-            word: insertResult.rows[0].word.toLowerCase(),
+            word: insertResult.rows[0].word,
             severity: insertResult.rows[0].severity || normalizedSeverity,
+            eventType: insertResult.rows[0].event_type,
+            conditions: insertResult.rows[0].conditions || [],
+            mode: insertResult.rows[0].mode,
+            normalize: insertResult.rows[0].normalize,
+            scope: triggerService.normalizeScope(insertResult.rows[0].scope),
+            categoryId: category ? category.id : null,
+            categoryName: category ? category.name : null,
+            categoryEnabled: category ? category.enabled : true,
+            languages: insertResult.rows[0].languages || [],
             createdAt: insertResult.rows[0].created_at.toISOString()
         };
         
+        // Rebuild the compiled matcher with the new word
+        triggerService.invalidateMatcher();
+        
         res.status(201).json(newTrigger);
     } catch (error) {
         // Handle duplicate key error from database unique constraint
@@ -333,6 +486,239 @@ router.post('/trigger-words', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/alerts/trigger-words/export
+ * Download all trigger words with every rule field
+ * Query: format (csv (default) or json)
+ * IMPORTANT: This route must be defined BEFORE /:id to avoid route conflicts
+ */
+router.get('/trigger-words/export', async (req, res) => {
+    try {
+        const format = req.query.format === 'json' ? 'json' : 'csv';
+        const content = await triggerImportService.export(format);
+        
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+        res.setHeader('Content-Type', format === 'json' ? 'application/json; charset=utf-8' : 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="trigger_words_${timestamp}.${format}"`);
+        res.send(content);
+    } catch (error) {
+        console.error('Export trigger words error:', error);
+        res.status(500).json({ error: 'Failed to export trigger words' });
+    }
+});
+
+// Import files are sent as the raw request body (text/csv, application/json or text/plain)
+const importBody = express.text({ type: () => true, limit: '5mb' });
+
+/**
+ * POST /api/alerts/trigger-words/import/preview
+ * Compare an uploaded trigger word list with the current words without saving anything
+ * Query: format (csv or json); body: the file content
+ * Returns counts and lists of added, changed, unchanged, duplicate (repeated in the file) and invalid entries
+ * IMPORTANT: This route must be defined BEFORE /:id to avoid route conflicts
+ */
+router.post('/trigger-words/import/preview', importBody, async (req, res) => {
+    try {
+        const preview = await triggerImportService.preview(req.body, req.query.format);
+        res.json(preview);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Preview trigger word import error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/alerts/trigger-words/import
+ * Import an uploaded trigger word list in one transaction
+ * Query: format (csv or json), updateExisting (default true; false only adds new words); body: the file content
+ * Nothing is saved when the file has invalid entries (the preview is returned with the error)
+ * IMPORTANT: This route must be defined BEFORE /:id to avoid route conflicts
+ */
+router.post('/trigger-words/import', importBody, async (req, res) => {
+    try {
+        const result = await triggerImportService.apply(req.body, req.query.format, {
+            updateExisting: req.query.updateExisting !== 'false'
+        });
+        res.json(result);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message, preview: error.preview });
+        }
+        // Another writer added the same word between the diff and the insert
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'A trigger word in the file already exists; preview the import again' });
+        }
+        console.error('Import trigger words error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/alerts/trigger-words/test
+ * Test a trigger word against a sample message without saving it
+ * Body: { word, mode, normalize, languages, message }
+ * The response includes the language detected for the message
+ * IMPORTANT: This route must be defined BEFORE /:id to avoid route conflicts
+ */
+router.post('/trigger-words/test', (req, res) => {
+    const { word, mode = 'contains', normalize = true, languages = [], message = '' } = req.body;
+    
+    if (!word || typeof word !== 'string' || word.trim().length === 0) {
+        return res.status(400).json({ error: 'Word is required' });
+    }
+    
+    const normalizedWord = triggerService.normalizeWord(word, mode);
+    const ruleError = triggerService.validateRule({ word: normalizedWord, mode, languages });
+    if (ruleError) {
+        return res.json({ valid: false, error: ruleError, matched: false });
+    }
+    
+    const detected = detectLanguage(String(message));
+    const inLanguage = triggerService.appliesToLanguage(
+        { languages },
+        { type: 'chat', data: { comment: String(message), detectedLanguage: detected.language } }
+    );
+    
+    res.json({
+        valid: true,
+        error: null,
+        matched: inLanguage && triggerService.matchesTrigger(String(message), normalizedWord, mode, normalize !== false),
+        normalizedMessage: normalizeText(String(message)),
+        detectedLanguage: detected.language,
+        languageConfidence: detected.confidence
+    });
+});
+
+/**
+ * POST /api/alerts/trigger-words/backtest
+ * Run a proposed rule against stored events without creating alerts
+ * Body: { word, mode, normalize, eventType, conditions, scope, languages, dateFrom, dateTo, handles, sampleLimit }
+ * dateFrom defaults to 7 days before dateTo, dateTo to now (a given dateTo covers the whole day); handles (empty = all accounts) limits the sessions read
+ * IMPORTANT: This route must be defined BEFORE /:id to avoid route conflicts
+ */
+router.post('/trigger-words/backtest', async (req, res) => {
+    try {
+        const { word, mode = 'contains', normalize = true, eventType = 'chat', conditions = [], scope = {}, languages = [], dateFrom, dateTo, handles = [], sampleLimit } = req.body;
+        
+        if (!word || typeof word !== 'string' || word.trim().length === 0) {
+            return res.status(400).json({ error: 'Word is required' });
+        }
+        
+        const normalizedWord = triggerService.normalizeWord(word, mode);
+        const ruleError = triggerService.validateRule({ word: normalizedWord, mode, eventType, conditions, scope, languages });
+        if (ruleError) {
+            return res.status(400).json({ error: ruleError });
+        }
+        
+        const to = dateTo ? new Date(dateTo) : new Date();
+        if (dateTo) {
+            // Include the entire end date
+            to.setHours(23, 59, 59, 999);
+        }
+        const from = dateFrom ? new Date(dateFrom) : new Date(to.getTime() - 7 * 24 * 60 * 60 * 1000);
+        if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+            return res.status(400).json({ error: 'Invalid date range' });
+        }
+        if (from > to) {
+            return res.status(400).json({ error: 'dateFrom must be before dateTo' });
+        }
+        
+        if (!Array.isArray(handles)) {
+            return res.status(400).json({ error: 'Handles must be an array' });
+        }
+        
+        const rule = {
+            word: normalizedWord,
+            mode,
+            normalize: normalize !== false,
+            eventType,
+            conditions,
+            scope: triggerService.normalizeScope(scope),
+            languages: normalizeLanguages(languages)
+        };
+        const result = await ruleBacktestService.run(rule, { from, to, handles, sampleLimit });
+        
+        res.json({
+            rule,
+            dateFrom: from.toISOString(),
+            dateTo: to.toISOString(),
+            handles,
+            ...result
+        });
+    } catch (error) {
+        console.error('Backtest trigger word error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * PUT /api/alerts/trigger-words/:id
+ * Update the handle / tag scope, the category and / or the languages of a trigger word
+ * Body: { scope: { handles, tags, excludeHandles, excludeTags }, categoryId (null = uncategorized), languages (empty = any) }
+ * IMPORTANT: This route must be defined BEFORE /:id to avoid route conflicts
+ */
+router.put('/trigger-words/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { scope, categoryId, languages } = req.body;
+        
+        if (!uuidRegex.test(id)) {
+            return res.status(400).json({ error: 'Invalid trigger word ID format' });
+        }
+        
+        if (scope !== undefined || languages !== undefined) {
+            const ruleError = triggerService.validateRule({
+                scope: scope !== undefined ? scope || {} : undefined,
+                languages: languages !== undefined ? languages || [] : undefined
+            });
+            if (ruleError) {
+                return res.status(400).json({ error: ruleError });
+            }
+        }
+        
+        if (categoryId) {
+            const category = uuidRegex.test(categoryId) ? await triggerCategoryService.get(categoryId) : null;
+            if (!category) {
+                return res.status(400).json({ error: 'Category not found' });
+            }
+        }
+        
+        const { query } = require('../config/database');
+        const result = await query(
+            `UPDATE trigger_words SET
+                scope = COALESCE($1, scope),
+                category_id = CASE WHEN $2::boolean THEN $3::uuid ELSE category_id END,
+                languages = COALESCE($4, languages)
+             WHERE id = $5 RETURNING id, scope, category_id, languages`,
+            [
+                scope !== undefined ? JSON.stringify(triggerService.normalizeScope(scope)) : null,
+                categoryId !== undefined,
+                categoryId || null,
+                languages !== undefined ? JSON.stringify(normalizeLanguages(languages)) : null,
+                id
+            ]
+        );
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Trigger word not found' });
+        }
+        
+        triggerService.invalidateMatcher();
+        res.json({
+            id: result.rows[0].id,
+            scope: triggerService.normalizeScope(result.rows[0].scope),
+            categoryId: result.rows[0].category_id || null,
+            languages: result.rows[0].languages || []
+        });
+    } catch (error) {
+        console.error('Update trigger word error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 /**
  * DELETE /api/alerts/trigger-words/:id
  * Remove a trigger word
@@ -342,6 +728,7 @@ router.delete('/trigger-words/:id', async (req, res) => {
     try {
         const { id } = req.params;
         await deleteById('trigger_words.json', id);
+        triggerService.invalidateMatcher();
         res.json({ message: 'Trigger word deleted successfully' });
     } catch (error) {
         if (error.message.includes('not found')) {
@@ -352,6 +739,395 @@ router.delete('/trigger-words/:id', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/alerts/toxicity/test
+ * Score a sample message with the toxicity classifier
+ * Body: { message }
+ * IMPORTANT: This route must be defined BEFORE /:id to avoid route conflicts
+ */
+router.post('/toxicity/test', async (req, res) => {
+    try {
+        const { message = '' } = req.body;
+        const result = await toxicityService.classify(String(message));
+        res.json(result);
+    } catch (error) {
+        console.error('Test toxicity classifier error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/alerts/languages
+ * Languages trigger words can be restricted to ([{ code, name }])
+ * IMPORTANT: This route must be defined BEFORE /:id to avoid route conflicts
+ */
+router.get('/languages', (req, res) => {
+    res.json(Object.entries(LANGUAGES).map(([code, name]) => ({ code, name })));
+});
+
+/**
+ * GET /api/alerts/trigger-categories
+ * List trigger word categories with their word counts
+ * IMPORTANT: This route must be defined BEFORE /:id to avoid route conflicts
+ */
+router.get('/trigger-categories', async (req, res) => {
+    try {
+        const categories = await triggerCategoryService.list();
+        res.json(categories);
+    } catch (error) {
+        console.error('List trigger categories error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/alerts/trigger-categories
+ * Add a trigger word category
+ * Body: { name, description, defaultSeverity, enabled }
+ * IMPORTANT: This route must be defined BEFORE /:id to avoid route conflicts
+ */
+router.post('/trigger-categories', async (req, res) => {
+    try {
+        const { name, description = '', defaultSeverity = 'medium', enabled = true } = req.body;
+        
+        const validationError = validateCategory({ name: name || '', description, defaultSeverity, enabled });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const category = await triggerCategoryService.add({ name, description, defaultSeverity, enabled });
+        res.status(201).json(category);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Add trigger category error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * PUT /api/alerts/trigger-categories/:id
+ * Update a category; enabled: false switches off every word in it
+ * IMPORTANT: This route must be defined BEFORE /:id to avoid route conflicts
+ */
+router.put('/trigger-categories/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, description, defaultSeverity, enabled } = req.body;
+        
+        if (!uuidRegex.test(id)) {
+            return res.status(400).json({ error: 'Invalid category ID format' });
+        }
+        
+        const validationError = validateCategory({ name, description, defaultSeverity, enabled });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const category = await triggerCategoryService.update(id, { name, description, defaultSeverity, enabled });
+        if (!category) {
+            return res.status(404).json({ error: 'Category not found' });
+        }
+        
+        res.json(category);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Update trigger category error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * DELETE /api/alerts/trigger-categories/:id
+ * Delete a category (its words are kept and become uncategorized)
+ * IMPORTANT: This route must be defined BEFORE /:id to avoid route conflicts
+ */
+router.delete('/trigger-categories/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (!uuidRegex.test(id)) {
+            return res.status(400).json({ error: 'Invalid category ID format' });
+        }
+        
+        const removed = await triggerCategoryService.remove(id);
+        if (!removed) {
+            return res.status(404).json({ error: 'Category not found' });
+        }
+        
+        res.json({ message: 'Category deleted successfully' });
+    } catch (error) {
+        console.error('Delete trigger category error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/alerts/settings
+ * Get alert grouping window and alerts-per-minute ceiling
+ * IMPORTANT: This route must be defined BEFORE /:id to avoid route conflicts
+ */
+router.get('/settings', async (req, res) => {
+    try {
+        const settings = await alertService.loadSettings(true);
+        res.json(settings);
+    } catch (error) {
+        console.error('Get alert settings error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/alerts/settings
+ * Save alert grouping, rate limiting, raid detection and toxicity settings (fields left out keep their value)
+ * Body: { groupingEnabled, groupingWindowMinutes, groupBy (viewer | session), maxAlertsPerMinute (0 = no ceiling),
+ *         raidDetectionEnabled, raidWindowSeconds, raidMinAccounts, raidSimilarity, raidMinMessageLength,
+ *         toxicityAlertsEnabled, toxicityThresholds ({ category: 0-1 }, 0 = no alerts) }
+ * IMPORTANT: This route must be defined BEFORE /:id to avoid route conflicts
+ */
+router.post('/settings', async (req, res) => {
+    try {
+        const settings = await alertService.saveSettings(req.body || {});
+        res.json({ success: true, settings });
+    } catch (error) {
+        console.error('Save alert settings error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/alerts/watchlist
+ * List watchlisted viewers
+ * IMPORTANT: This route must be defined BEFORE /:id to avoid route conflicts
+ */
+router.get('/watchlist', async (req, res) => {
+    try {
+        const entries = await watchlistService.list();
+        res.json(entries);
+    } catch (error) {
+        console.error('List watchlist error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/alerts/watchlist
+ * Add a viewer (uniqueId) to the watchlist with severity and notes
+ * IMPORTANT: This route must be defined BEFORE /:id to avoid route conflicts
+ */
+router.post('/watchlist', async (req, res) => {
+    try {
+        const { uniqueId, severity = 'medium', notes = '' } = req.body;
+        
+        if (!uniqueId || typeof uniqueId !== 'string' || uniqueId.trim().replace('@', '').length === 0) {
+            return res.status(400).json({ error: 'uniqueId is required' });
+        }
+        
+        const validSeverities = ['low', 'medium', 'high'];
+        if (!validSeverities.includes(String(severity).toLowerCase())) {
+            return res.status(400).json({ error: 'Invalid severity. Must be low, medium, or high' });
+        }
+        
+        const entry = await watchlistService.add({
+            uniqueId: uniqueId.trim().replace('@', ''),
+            severity: severity.toUpperCase(),
+            notes: typeof notes === 'string' ? notes.trim() : ''
+        });
+        
+        res.status(201).json(entry);
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'Viewer is already on the watchlist' });
+        }
+        console.error('Add watchlist entry error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * PUT /api/alerts/watchlist/:id
+ * Update severity and/or notes of a watchlist entry
+ * IMPORTANT: This route must be defined BEFORE /:id to avoid route conflicts
+ */
+router.put('/watchlist/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { severity, notes } = req.body;
+        
+        const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+        if (!uuidRegex.test(id)) {
+            return res.status(400).json({ error: 'Invalid watchlist entry ID format' });
+        }
+        
+        if (severity !== undefined && !['low', 'medium', 'high'].includes(String(severity).toLowerCase())) {
+            return res.status(400).json({ error: 'Invalid severity. Must be low, medium, or high' });
+        }
+        
+        const entry = await watchlistService.update(id, {
+            severity: severity ? severity.toUpperCase() : undefined,
+            notes: typeof notes === 'string' ? notes.trim() : undefined
+        });
+        
+        if (!entry) {
+            return res.status(404).json({ error: 'Watchlist entry not found' });
+        }
+        
+        res.json(entry);
+    } catch (error) {
+        console.error('Update watchlist entry error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * DELETE /api/alerts/watchlist/:id
+ * Remove a viewer from the watchlist
+ * IMPORTANT: This route must be defined BEFORE /:id to avoid route conflicts
+ */
+router.delete('/watchlist/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+        if (!uuidRegex.test(id)) {
+            return res.status(400).json({ error: 'Invalid watchlist entry ID format' });
+        }
+        
+        const removed = await watchlistService.remove(id);
+        if (!removed) {
+            return res.status(404).json({ error: 'Watchlist entry not found' });
+        }
+        
+        res.json({ message: 'Watchlist entry deleted successfully' });
+    } catch (error) {
+        console.error('Delete watchlist entry error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/alerts/metric-rules
+ * List metric-threshold rules
+ * IMPORTANT: This route must be defined BEFORE /:id to avoid route conflicts
+ */
+router.get('/metric-rules', async (req, res) => {
+    try {
+        const rules = await metricRuleService.list();
+        res.json({ rules, metrics: METRICS });
+    } catch (error) {
+        console.error('List metric rules error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/alerts/metric-rules
+ * Add a metric-threshold rule
+ * Body: { name, metric, threshold, windowMinutes, severity, scope, enabled }
+ * threshold is required for viewer_count (viewers) and message_rate_spike (multiplier of the session median)
+ * IMPORTANT: This route must be defined BEFORE /:id to avoid route conflicts
+ */
+router.post('/metric-rules', async (req, res) => {
+    try {
+        const { name, metric, threshold, windowMinutes, severity = 'medium', scope = {}, enabled = true } = req.body;
+        
+        const validationError = validateMetricRule({ name: name || '', metric, threshold, windowMinutes, severity, scope });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        if (!metric) {
+            return res.status(400).json({ error: `Metric is required. Must be one of: ${METRICS.join(', ')}` });
+        }
+        
+        if (metric !== 'likes_stalled' && (threshold === undefined || threshold === null || threshold === '')) {
+            return res.status(400).json({ error: 'Threshold is required for this metric' });
+        }
+        
+        const rule = await metricRuleService.add({
+            name,
+            metric,
+            threshold: metric === 'likes_stalled' ? null : threshold,
+            windowMinutes: metric === 'viewer_count' ? null : (windowMinutes || (metric === 'likes_stalled' ? 10 : 1)),
+            severity,
+            scope,
+            enabled
+        });
+        
+        res.status(201).json(rule);
+    } catch (error) {
+        console.error('Add metric rule error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * PUT /api/alerts/metric-rules/:id
+ * Update a metric rule (the metric itself cannot be changed)
+ * IMPORTANT: This route must be defined BEFORE /:id to avoid route conflicts
+ */
+router.put('/metric-rules/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, threshold, windowMinutes, severity, scope, enabled } = req.body;
+        
+        if (!uuidRegex.test(id)) {
+            return res.status(400).json({ error: 'Invalid metric rule ID format' });
+        }
+        
+        const validationError = validateMetricRule({ name, threshold, windowMinutes, severity, scope });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const rule = await metricRuleService.update(id, {
+            name,
+            threshold,
+            windowMinutes,
+            severity,
+            scope,
+            enabled: enabled !== undefined ? Boolean(enabled) : undefined
+        });
+        
+        if (!rule) {
+            return res.status(404).json({ error: 'Metric rule not found' });
+        }
+        
+        res.json(rule);
+    } catch (error) {
+        console.error('Update metric rule error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * DELETE /api/alerts/metric-rules/:id
+ * Delete a metric rule
+ * IMPORTANT: This route must be defined BEFORE /:id to avoid route conflicts
+ */
+router.delete('/metric-rules/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (!uuidRegex.test(id)) {
+            return res.status(400).json({ error: 'Invalid metric rule ID format' });
+        }
+        
+        const removed = await metricRuleService.remove(id);
+        if (!removed) {
+            return res.status(404).json({ error: 'Metric rule not found' });
+        }
+        
+        res.json({ message: 'Metric rule deleted successfully' });
+    } catch (error) {
+        console.error('Delete metric rule error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 /**
  * GET /api/alerts/:id
  * Get alert details
@@ -394,21 +1170,17 @@ router.put('/:id/acknowledge', async (req, res) => {
             return res.status(400).json({ error: 'Invalid alert ID format' });
         }
         
-        const alert = await findBy('alerts.json', 'id', id);
+        const state = await alertWorkflowService.changeStatus(id, 'acknowledged', getActor(req));
         
-        if (!alert) {
+        if (!state) {
             return res.status(404).json({ error: 'Alert not found' });
         }
         
-        await update('alerts.json', id, {
-            status: 'acknowledged',
-            acknowledgedAt: new Date().toISOString()
-        });
-        
         // Emit Socket.IO event
         const io = req.app.get('io');
         if (io) {
             io.emit('alertAcknowledged', { id });
+            io.emit('alertTriageUpdated', state);
         }
         
         res.json({ message: 'Alert acknowledged successfully' });
@@ -432,21 +1204,17 @@ router.put('/:id/resolve', async (req, res) => {
             return res.status(400).json({ error: 'Invalid alert ID format' });
         }
         
-        const alert = await findBy('alerts.json', 'id', id);
+        const state = await alertWorkflowService.changeStatus(id, 'resolved', getActor(req));
         
-        if (!alert) {
+        if (!state) {
             return res.status(404).json({ error: 'Alert not found' });
         }
         
-        await update('alerts.json', id, {
-            status: 'resolved',
-            resolvedAt: new Date().toISOString()
-        });
-        
         // Emit Socket.IO event
         const io = req.app.get('io');
         if (io) {
             io.emit('alertResolved', { id });
+            io.emit('alertTriageUpdated', state);
         }
         
         res.json({ message: 'Alert resolved successfully' });
@@ -456,4 +1224,155 @@ router.put('/:id/resolve', async (req, res) => {
     }
 });
 
+/**
+ * PUT /api/alerts/:id/status
+ * Move an alert to another status (recorded in its status history)
+ * Body: { status, note }
+ */
+router.put('/:id/status', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { status, note } = req.body;
+        
+        if (!uuidRegex.test(id)) {
+            return res.status(400).json({ error: 'Invalid alert ID format' });
+        }
+        
+        if (!ALERT_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Invalid status. Must be one of: ${ALERT_STATUSES.join(', ')}` });
+        }
+        
+        const trimmedNote = typeof note === 'string' && note.trim() ? note.trim() : null;
+        const state = await alertWorkflowService.changeStatus(id, status, getActor(req), trimmedNote);
+        
+        if (!state) {
+            return res.status(404).json({ error: 'Alert not found' });
+        }
+        
+        const io = req.app.get('io');
+        if (io) {
+            io.emit('alertTriageUpdated', state);
+        }
+        
+        res.json(state);
+    } catch (error) {
+        console.error('Change alert status error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * PUT /api/alerts/:id/assign
+ * Assign an alert to an internal user
+ * Body: { userId } (null to unassign)
+ */
+router.put('/:id/assign', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.body.userId || null;
+        
+        if (!uuidRegex.test(id)) {
+            return res.status(400).json({ error: 'Invalid alert ID format' });
+        }
+        
+        if (userId && (!uuidRegex.test(userId) || !(await alertWorkflowService.userExists(userId)))) {
+            return res.status(400).json({ error: 'User not found' });
+        }
+        
+        const state = await alertWorkflowService.assign(id, userId);
+        
+        if (!state) {
+            return res.status(404).json({ error: 'Alert not found' });
+        }
+        
+        const io = req.app.get('io');
+        if (io) {
+            io.emit('alertTriageUpdated', state);
+        }
+        
+        res.json(state);
+    } catch (error) {
+        console.error('Assign alert error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/alerts/:id/comments
+ * Comment threads of an alert (replies nested under their parent)
+ */
+router.get('/:id/comments', async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (!uuidRegex.test(id)) {
+            return res.status(400).json({ error: 'Invalid alert ID format' });
+        }
+        
+        res.json(await alertWorkflowService.listComments(id));
+    } catch (error) {
+        console.error('List alert comments error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/alerts/:id/comments
+ * Comment on an alert
+ * Body: { body, parentId } (parentId to reply in a thread)
+ */
+router.post('/:id/comments', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { body, parentId } = req.body;
+        
+        if (!uuidRegex.test(id)) {
+            return res.status(400).json({ error: 'Invalid alert ID format' });
+        }
+        
+        if (parentId && !uuidRegex.test(parentId)) {
+            return res.status(400).json({ error: 'Invalid parent comment ID format' });
+        }
+        
+        const state = await alertWorkflowService.getState(id);
+        if (!state) {
+            return res.status(404).json({ error: 'Alert not found' });
+        }
+        
+        const comment = await alertWorkflowService.addComment(id, { body, parentId: parentId || null }, getActor(req));
+        
+        const io = req.app.get('io');
+        if (io) {
+            io.emit('alertCommented', comment);
+        }
+        
+        res.status(201).json(comment);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Add alert comment error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/alerts/:id/history
+ * Status changes of an alert with the acting user (oldest first)
+ */
+router.get('/:id/history', async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (!uuidRegex.test(id)) {
+            return res.status(400).json({ error: 'Invalid alert ID format' });
+        }
+        
+        res.json(await alertWorkflowService.listHistory(id));
+    } catch (error) {
+        console.error('List alert history error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 module.exports = router;
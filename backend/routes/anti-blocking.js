@@ -3,6 +3,10 @@ const router = express.Router();
 const { requireAuth } = require('../utils/auth');
 const { read, write } = require('../storage/dbStorage');
 const settingsService = require('../services/settingsService');
+const proxyPoolService = require('../services/proxyPoolService');
+const { validateProxyUrl } = require('../services/proxyPoolService');
+
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 const SETTINGS_FILE = 'anti_blocking_settings.json';
 
@@ -20,7 +24,22 @@ const DEFAULT_SETTINGS = {
     enableAutoCooldown: true,
     enableAutoRecovery: true,
     stopMonitoringOnBlock: true,
-    logBlockEvents: true
+    logBlockEvents: true,
+    enableProxyPool: false,
+    proxyFallbackDirect: true,
+    proxyHealthCheckIntervalMinutes: 15,
+    proxyBlockCooldownHours: 6,
+    probeMaxConcurrency: 3,
+    probeRequestsPerMinute: 20,
+    probeJitterSeconds: 30,
+    enableAdaptivePolling: true,
+    adaptiveLookbackDays: 30,
+    adaptiveWindowMinutes: 60,
+    adaptiveMinStarts: 2,
+    adaptiveHotIntervalMinutes: 2,
+    adaptiveColdIntervalMinutes: 30,
+    enableHttpPrecheck: true,
+    enableWebsocketProbe: true
 };
 
 /**
@@ -67,9 +86,26 @@ router.post('/settings', requireAuth, async (req, res) => {
             enableAutoCooldown,
             enableAutoRecovery,
             stopMonitoringOnBlock,
-            logBlockEvents
+            logBlockEvents,
+            enableProxyPool,
+            proxyFallbackDirect,
+            proxyHealthCheckIntervalMinutes,
+            proxyBlockCooldownHours,
+            probeMaxConcurrency,
+            probeRequestsPerMinute,
+            probeJitterSeconds,
+            enableAdaptivePolling,
+            adaptiveLookbackDays,
+            adaptiveWindowMinutes,
+            adaptiveMinStarts,
+            adaptiveHotIntervalMinutes,
+            adaptiveColdIntervalMinutes,
+            enableHttpPrecheck,
+            enableWebsocketProbe
         } = req.body;
         
+        const jitterSeconds = parseInt(probeJitterSeconds);
+        
         // Validate inputs
         const settings = {
             enableQuickRetry: enableQuickRetry !== false,
@@ -84,7 +120,23 @@ router.post('/settings', requireAuth, async (req, res) => {
             enableAutoCooldown: enableAutoCooldown !== false,
             enableAutoRecovery: enableAutoRecovery !== false,
             stopMonitoringOnBlock: stopMonitoringOnBlock !== false,
-            logBlockEvents: logBlockEvents !== false
+            logBlockEvents: logBlockEvents !== false,
+            enableProxyPool: enableProxyPool === true,
+            proxyFallbackDirect: proxyFallbackDirect !== false,
+            proxyHealthCheckIntervalMinutes: Math.max(5, Math.min(120, parseInt(proxyHealthCheckIntervalMinutes) || DEFAULT_SETTINGS.proxyHealthCheckIntervalMinutes)),
+            proxyBlockCooldownHours: Math.max(1, Math.min(72, parseInt(proxyBlockCooldownHours) || DEFAULT_SETTINGS.proxyBlockCooldownHours)),
+            probeMaxConcurrency: Math.max(1, Math.min(20, parseInt(probeMaxConcurrency) || DEFAULT_SETTINGS.probeMaxConcurrency)),
+            probeRequestsPerMinute: Math.max(1, Math.min(120, parseInt(probeRequestsPerMinute) || DEFAULT_SETTINGS.probeRequestsPerMinute)),
+            probeJitterSeconds: isNaN(jitterSeconds) ? DEFAULT_SETTINGS.probeJitterSeconds : Math.max(0, Math.min(300, jitterSeconds)),
+            enableAdaptivePolling: enableAdaptivePolling !== false,
+            adaptiveLookbackDays: Math.max(7, Math.min(180, parseInt(adaptiveLookbackDays) || DEFAULT_SETTINGS.adaptiveLookbackDays)),
+            adaptiveWindowMinutes: Math.max(15, Math.min(240, parseInt(adaptiveWindowMinutes) || DEFAULT_SETTINGS.adaptiveWindowMinutes)),
+            adaptiveMinStarts: Math.max(1, Math.min(20, parseInt(adaptiveMinStarts) || DEFAULT_SETTINGS.adaptiveMinStarts)),
+            adaptiveHotIntervalMinutes: Math.max(1, Math.min(30, parseInt(adaptiveHotIntervalMinutes) || DEFAULT_SETTINGS.adaptiveHotIntervalMinutes)),
+            adaptiveColdIntervalMinutes: Math.max(5, Math.min(240, parseInt(adaptiveColdIntervalMinutes) || DEFAULT_SETTINGS.adaptiveColdIntervalMinutes)),
+            enableHttpPrecheck: enableHttpPrecheck !== false,
+            // At least one live check stage stays on
+            enableWebsocketProbe: enableWebsocketProbe !== false || enableHttpPrecheck === false
         };
         
         await write(SETTINGS_FILE, settings);
@@ -99,4 +151,214 @@ router.post('/settings', requireAuth, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/anti-blocking/proxies
+ * Proxy pool (passwords masked) with the accounts assigned to each proxy
+ */
+router.get('/proxies', requireAuth, async (req, res) => {
+    try {
+        const proxies = await proxyPoolService.list();
+        res.json(proxies);
+    } catch (error) {
+        console.error('List proxies error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/anti-blocking/proxies
+ * Add a proxy
+ * Body: { url (http|https|socks4|socks5://[user:password@]host:port), label }
+ */
+router.post('/proxies', requireAuth, async (req, res) => {
+    try {
+        const { url, label } = req.body;
+        
+        const validationError = validateProxyUrl(url);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const proxy = await proxyPoolService.add({ url, label });
+        res.status(201).json(proxy);
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'This proxy is already in the pool' });
+        }
+        console.error('Add proxy error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/anti-blocking/proxies/assignments
+ * Proxy currently assigned to every account
+ */
+router.get('/proxies/assignments', requireAuth, async (req, res) => {
+    try {
+        const assignments = await proxyPoolService.listAssignments();
+        res.json(assignments);
+    } catch (error) {
+        console.error('List proxy assignments error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * PUT /api/anti-blocking/proxies/assignments/:handle
+ * Pin an account to a proxy, or release it with { proxyId: null } (a proxy is picked on next connection)
+ */
+router.put('/proxies/assignments/:handle', requireAuth, async (req, res) => {
+    try {
+        const handle = req.params.handle.replace('@', '');
+        const { proxyId } = req.body;
+        
+        if (proxyId && !uuidRegex.test(proxyId)) {
+            return res.status(400).json({ error: 'Invalid proxy ID format' });
+        }
+        
+        await proxyPoolService.setAssignment(handle, proxyId || null);
+        res.json({ success: true });
+    } catch (error) {
+        if (error.code === '23503') {
+            return res.status(404).json({ error: 'Account or proxy not found' });
+        }
+        console.error('Set proxy assignment error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * PUT /api/anti-blocking/proxies/:id
+ * Update a proxy
+ * Body: { url, label, enabled }
+ */
+router.put('/proxies/:id', requireAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { url, label, enabled } = req.body;
+        
+        if (!uuidRegex.test(id)) {
+            return res.status(400).json({ error: 'Invalid proxy ID format' });
+        }
+        
+        if (url !== undefined) {
+            const validationError = validateProxyUrl(url);
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+        }
+        
+        const proxy = await proxyPoolService.update(id, {
+            url,
+            label,
+            enabled: enabled !== undefined ? Boolean(enabled) : undefined
+        });
+        
+        if (!proxy) {
+            return res.status(404).json({ error: 'Proxy not found' });
+        }
+        
+        res.json(proxy);
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'This proxy is already in the pool' });
+        }
+        console.error('Update proxy error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * DELETE /api/anti-blocking/proxies/:id
+ * Remove a proxy (accounts assigned to it get another one on their next connection)
+ */
+router.delete('/proxies/:id', requireAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (!uuidRegex.test(id)) {
+            return res.status(400).json({ error: 'Invalid proxy ID format' });
+        }
+        
+        const removed = await proxyPoolService.remove(id);
+        if (!removed) {
+            return res.status(404).json({ error: 'Proxy not found' });
+        }
+        
+        res.json({ message: 'Proxy deleted successfully' });
+    } catch (error) {
+        console.error('Delete proxy error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/anti-blocking/proxies/:id/check
+ * Run a health check now
+ */
+router.post('/proxies/:id/check', requireAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (!uuidRegex.test(id)) {
+            return res.status(400).json({ error: 'Invalid proxy ID format' });
+        }
+        
+        const proxy = await proxyPoolService.checkProxy(id);
+        if (!proxy) {
+            return res.status(404).json({ error: 'Proxy not found' });
+        }
+        
+        res.json(proxy);
+    } catch (error) {
+        console.error('Check proxy error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/anti-blocking/proxies/:id/reset
+ * Restore full health and end the block cooldown
+ */
+router.post('/proxies/:id/reset', requireAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (!uuidRegex.test(id)) {
+            return res.status(400).json({ error: 'Invalid proxy ID format' });
+        }
+        
+        const proxy = await proxyPoolService.reset(id);
+        if (!proxy) {
+            return res.status(404).json({ error: 'Proxy not found' });
+        }
+        
+        res.json(proxy);
+    } catch (error) {
+        console.error('Reset proxy error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/anti-blocking/proxies/:id/blocks
+ * Block history of a proxy
+ */
+router.get('/proxies/:id/blocks', requireAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (!uuidRegex.test(id)) {
+            return res.status(400).json({ error: 'Invalid proxy ID format' });
+        }
+        
+        const blocks = await proxyPoolService.listBlocks(id);
+        res.json(blocks);
+    } catch (error) {
+        console.error('List proxy blocks error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 module.exports = router;
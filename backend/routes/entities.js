@@ -0,0 +1,147 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../utils/auth');
+const ExcelJS = require('exceljs');
+const entityService = require('../services/entityService');
+const { ENTITY_TYPES } = require('../utils/entityExtractor');
+
+// All routes require authentication
+router.use(requireAuth);
+
+/**
+ * Validate the entity type filter
+ * Returns an error message or null
+ */
+function validateType(type) {
+    if (type && !ENTITY_TYPES.includes(type)) {
+        return `Invalid type. Must be one of: ${ENTITY_TYPES.join(', ')}`;
+    }
+    return null;
+}
+
+/**
+ * GET /api/entities/types
+ * Entity types with the number of distinct values indexed for each
+ */
+router.get('/types', async (req, res) => {
+    try {
+        const counts = await entityService.countByType();
+        res.json(ENTITY_TYPES.map(type => ({ type, count: counts[type] || 0 })));
+    } catch (error) {
+        console.error('Get entity types error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/entities
+ * Contact details extracted from chat, grouped by value, with the viewers who posted them and the
+ * sessions they appeared in
+ * Query: type, q, accountHandle, username, dateFrom, dateTo
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { type, q, accountHandle, username, dateFrom, dateTo } = req.query;
+        
+        const typeError = validateType(type);
+        if (typeError) {
+            return res.status(400).json({ error: typeError });
+        }
+        
+        const entities = await entityService.search({ type, q, accountHandle, username, dateFrom, dateTo });
+        res.json(entities);
+    } catch (error) {
+        console.error('Search entities error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/entities/export/excel
+ * Export the entity list to Excel (same filters as GET /api/entities)
+ */
+router.get('/export/excel', async (req, res) => {
+    try {
+        const { type, q, accountHandle, username, dateFrom, dateTo } = req.query;
+        
+        const typeError = validateType(type);
+        if (typeError) {
+            return res.status(400).json({ error: typeError });
+        }
+        
+        const entities = await entityService.search({ type, q, accountHandle, username, dateFrom, dateTo }, 50000);
+        
+        // Create Excel workbook
+        const workbook = new ExcelJS.Workbook();
+        const worksheet = workbook.addWorksheet('Contact Entities');
+        
+        // Define columns
+        worksheet.columns = [
+            { header: 'Type', key: 'type', width: 12 },
+            { header: 'Value', key: 'value', width: 35 },
+            { header: 'As Written', key: 'example', width: 35 },
+            { header: 'Platform', key: 'platforms', width: 15 },
+            { header: 'Occurrences', key: 'occurrences', width: 12 },
+            { header: 'Posted By', key: 'posters', width: 35 },
+            { header: 'Sessions', key: 'sessions', width: 50 },
+            { header: 'First Seen', key: 'firstSeen', width: 20 },
+            { header: 'Last Seen', key: 'lastSeen', width: 20 }
+        ];
+        
+        // Style header row
+        worksheet.getRow(1).font = { bold: true };
+        worksheet.getRow(1).fill = {
+            type: 'pattern',
+            pattern: 'solid',
+            fgColor: { argb: 'FFE0E0E0' }
+        };
+        
+        // Helper function to format dates
+        const formatDate = (date) => {
+            if (!date) return 'N/A';
+            try {
+                const d = date instanceof Date ? date : new Date(date);
+                if (isNaN(d.getTime())) return 'N/A';
+                return d.toLocaleString();
+            } catch {
+                return 'N/A';
+            }
+        };
+        
+        // Add data rows
+        entities.forEach(entity => {
+            worksheet.addRow({
+                type: entity.type,
+                value: entity.value,
+                example: entity.example,
+                platforms: entity.platforms.join(', ') || 'N/A',
+                occurrences: entity.occurrences,
+                posters: entity.posters.map(uniqueId => `@${uniqueId}`).join(', ') || 'N/A',
+                sessions: entity.sessions.map(session => `@${session.handle} (${formatDate(session.startTime)})`).join('\n'),
+                firstSeen: formatDate(entity.firstSeen),
+                lastSeen: formatDate(entity.lastSeen)
+            });
+        });
+        
+        // Apply text wrapping to list columns
+        worksheet.getColumn('posters').alignment = { wrapText: true, vertical: 'top' };
+        worksheet.getColumn('sessions').alignment = { wrapText: true, vertical: 'top' };
+        
+        // Generate filename
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+        const filename = `contact_entities_${timestamp}.xlsx`;
+        
+        // Set response headers
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        
+        // Write to response
+        await workbook.xlsx.write(res);
+        res.end();
+    } catch (error) {
+        console.error('Export entities to Excel error:', error);
+        res.status(500).json({ error: 'Failed to export entities to Excel' });
+    }
+});
+
+module.exports = router;
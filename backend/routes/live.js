@@ -5,6 +5,8 @@ const { read, write, updateNested } = require('../storage/dbStorage');
 const { query } = require('../config/database');
 const { findBy } = require('../storage/dbStorage');
 const liveConnectorService = require('../services/liveConnectorService');
+const giftService = require('../services/giftService');
+const { countGiftSends } = require('../utils/giftAccounting');
 const ExcelJS = require('exceljs');
 
 // All routes require authentication
@@ -197,9 +199,44 @@ router.get('/sessions', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/live/gift-settings
+ * Get the diamond to currency conversion used for estimated earnings
+ */
+router.get('/gift-settings', async (req, res) => {
+    try {
+        const settings = await giftService.loadSettings(true);
+        res.json(settings);
+    } catch (error) {
+        console.error('Get gift settings error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/live/gift-settings
+ * Save the diamond to currency conversion (fields left out keep their value)
+ * Body: { currency (ISO 4217 code, e.g. USD), diamondRate (currency units per diamond) }
+ */
+router.post('/gift-settings', async (req, res) => {
+    try {
+        const { diamondRate } = req.body || {};
+        if (diamondRate !== undefined && (isNaN(parseFloat(diamondRate)) || parseFloat(diamondRate) < 0)) {
+            return res.status(400).json({ error: 'diamondRate must be a number of at least 0' });
+        }
+        
+        const settings = await giftService.saveSettings(req.body || {});
+        res.json({ success: true, settings });
+    } catch (error) {
+        console.error('Save gift settings error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 /**
  * GET /api/live/sessions/:sessionId
  * Get session details with consistency check
+ * gifts holds the streak-aware gift economics (diamonds, estimated earnings, top gifters, gift breakdown)
  */
 router.get('/sessions/:sessionId', async (req, res) => {
     try {
@@ -291,6 +328,14 @@ router.get('/sessions/:sessionId', async (req, res) => {
             session.status = 'ended';
         }
         
+        // Gift totals are recounted from the events so streaks count once (also for older sessions)
+        session.gifts = await giftService.getSessionSummary(sessionId);
+        session.stats = {
+            ...session.stats,
+            totalGifts: session.gifts.totalGifts,
+            totalDiamonds: session.gifts.totalDiamonds
+        };
+        
         res.json(session);
     } catch (error) {
         console.error('Get session error:', error);
@@ -469,6 +514,7 @@ router.get('/sessions/:sessionId/stats-history', async (req, res) => {
 /**
  * GET /api/live/sessions/:sessionId/chart-data
  * Get normalized chart data for activity graph
+ * Gifts and diamonds are always per segment, recounted from the gift events (streak-aware)
  */
 router.get('/sessions/:sessionId/chart-data', async (req, res) => {
     try {
@@ -547,6 +593,17 @@ router.get('/sessions/:sessionId/chart-data', async (req, res) => {
         const numSegments = Math.ceil(durationMs / (segmentSize * 1000));
         const segmentDuration = durationMs / numSegments;
         
+        // Streak-aware gifts and diamonds per segment (a streak is counted in the segment it ends in)
+        const segmentGiftTotals = Array.from({ length: numSegments }, () => ({ gifts: 0, diamonds: 0 }));
+        for (const send of countGiftSends(events.filter(event => event.type === 'gift'))) {
+            const index = Math.floor((new Date(send.timestamp).getTime() - startTime.getTime()) / segmentDuration);
+            const segment = segmentGiftTotals[Math.max(0, Math.min(numSegments - 1, index))];
+            if (segment) {
+                segment.gifts += send.repeatCount;
+                segment.diamonds += send.diamonds;
+            }
+        }
+        
         // Initialize data arrays
         const chartData = {
             labels: [],
@@ -554,6 +611,7 @@ router.get('/sessions/:sessionId/chart-data', async (req, res) => {
             likes: [],
             comments: [],
             gifts: [],
+            diamonds: [],
             shares: [],
             followers: []
         };
@@ -561,6 +619,10 @@ router.get('/sessions/:sessionId/chart-data', async (req, res) => {
         // Process stats history if available
         if (statsHistory.length > 0) {
             for (let i = 0; i < numSegments; i++) {
+                // Gifts come from the events: older snapshots counted every streak event
+                chartData.gifts.push(segmentGiftTotals[i].gifts);
+                chartData.diamonds.push(segmentGiftTotals[i].diamonds);
+                
                 const segmentStart = startTime.getTime() + (i * segmentDuration);
                 const segmentEnd = segmentStart + segmentDuration;
                 
@@ -584,7 +646,6 @@ router.get('/sessions/:sessionId/chart-data', async (req, res) => {
                     chartData.viewers.push(stats.totalViewers || 0);
                     chartData.likes.push(stats.totalLikes || 0);
                     chartData.comments.push(stats.totalMessages || 0);
-                    chartData.gifts.push(stats.totalGifts || 0);
                     chartData.shares.push(stats.totalShares || 0);
                     chartData.followers.push(stats.totalFollows || 0);
                 } else {
@@ -593,15 +654,13 @@ router.get('/sessions/:sessionId/chart-data', async (req, res) => {
                         viewers: chartData.viewers[i - 1] || 0,
                         likes: chartData.likes[i - 1] || 0,
                         comments: chartData.comments[i - 1] || 0,
-                        gifts: chartData.gifts[i - 1] || 0,
                         shares: chartData.shares[i - 1] || 0,
                         followers: chartData.followers[i - 1] || 0
-                    } : { viewers: 0, likes: 0, comments: 0, gifts: 0, shares: 0, followers: 0 };
+                    } : { viewers: 0, likes: 0, comments: 0, shares: 0, followers: 0 };
                     
                     chartData.viewers.push(prevValue.viewers);
                     chartData.likes.push(prevValue.likes);
                     chartData.comments.push(prevValue.comments);
-                    chartData.gifts.push(prevValue.gifts);
                     chartData.shares.push(prevValue.shares);
                     chartData.followers.push(prevValue.followers);
                 }
@@ -619,7 +678,6 @@ router.get('/sessions/:sessionId/chart-data', async (req, res) => {
                 let segmentViewers = 0;
                 let segmentLikes = 0;
                 let segmentComments = 0;
-                let segmentGifts = 0;
                 let segmentShares = 0;
                 let segmentFollowers = 0;
                 
@@ -633,8 +691,6 @@ router.get('/sessions/:sessionId/chart-data', async (req, res) => {
                             segmentLikes++;
                         } else if (event.type === 'chat') {
                             segmentComments++;
-                        } else if (event.type === 'gift') {
-                            segmentGifts++;
                         } else if (event.type === 'social' && (event.data?.displayType === 'pm_mt_message_viewer_share' || event.data?.actionType === 'share')) {
                             segmentShares++;
                         } else if (event.type === 'social' && (event.data?.displayType === 'pm_mt_message_viewer_follow' || event.data?.actionType === 'follow')) {
@@ -646,7 +702,8 @@ router.get('/sessions/:sessionId/chart-data', async (req, res) => {
                 chartData.viewers.push(segmentViewers);
                 chartData.likes.push(segmentLikes);
                 chartData.comments.push(segmentComments);
-                chartData.gifts.push(segmentGifts);
+                chartData.gifts.push(segmentGiftTotals[i].gifts);
+                chartData.diamonds.push(segmentGiftTotals[i].diamonds);
                 chartData.shares.push(segmentShares);
                 chartData.followers.push(segmentFollowers);
                 
@@ -660,6 +717,7 @@ router.get('/sessions/:sessionId/chart-data', async (req, res) => {
         const maxLikes = Math.max(...chartData.likes, 1);
         const maxComments = Math.max(...chartData.comments, 1);
         const maxGifts = Math.max(...chartData.gifts, 1);
+        const maxDiamonds = Math.max(...chartData.diamonds, 1);
         const maxShares = Math.max(...chartData.shares, 1);
         const maxFollowers = Math.max(...chartData.followers, 1);
         
@@ -673,6 +731,7 @@ router.get('/sessions/:sessionId/chart-data', async (req, res) => {
                 likes: chartData.likes.map(v => ({ value: v, normalized: normalize(v, maxLikes) })),
                 comments: chartData.comments.map(v => ({ value: v, normalized: normalize(v, maxComments) })),
                 gifts: chartData.gifts.map(v => ({ value: v, normalized: normalize(v, maxGifts) })),
+                diamonds: chartData.diamonds.map(v => ({ value: v, normalized: normalize(v, maxDiamonds) })),
                 shares: chartData.shares.map(v => ({ value: v, normalized: normalize(v, maxShares) })),
                 followers: chartData.followers.map(v => ({ value: v, normalized: normalize(v, maxFollowers) }))
             },
@@ -681,6 +740,7 @@ router.get('/sessions/:sessionId/chart-data', async (req, res) => {
                 likes: maxLikes,
                 comments: maxComments,
                 gifts: maxGifts,
+                diamonds: maxDiamonds,
                 shares: maxShares,
                 followers: maxFollowers
             }
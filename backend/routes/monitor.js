@@ -5,6 +5,8 @@ const { read, updateNested, findBy } = require('../storage/dbStorage');
 const { query } = require('../config/database');
 const pollerService = require('../services/pollerService');
 const liveConnectorService = require('../services/liveConnectorService');
+const probeSchedulerService = require('../services/probeSchedulerService');
+const pollingScheduleService = require('../services/pollingScheduleService');
 
 // All routes require authentication
 router.use(requireAuth);
@@ -49,7 +51,9 @@ async function getLastLiveSession(handle) {
 
 /**
  * GET /api/monitor/status
- * Get monitoring status for all accounts
+ * Get monitoring status for all accounts, with each account's next scheduled check and the
+ * probe scheduler state (queue depth, probes running, limits)
+ * Returns { accounts, scheduler }
  */
 router.get('/status', async (req, res) => {
     try {
@@ -110,11 +114,15 @@ router.get('/status', async (req, res) => {
                 monitoring: monitorStatus.enabled,
                 lastCheckedAt: monitorStatus.lastCheckedAt,
                 currentLiveSessionId: currentLiveSessionId, // Use verified session ID
-                lastLiveTime: lastLiveTime
+                lastLiveTime: lastLiveTime,
+                ...probeSchedulerService.getAccountStatus(account.handle)
             };
         }));
         
-        res.json(status);
+        res.json({
+            accounts: status,
+            scheduler: probeSchedulerService.getStatus()
+        });
     } catch (error) {
         console.error('Get monitoring status error:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -123,7 +131,8 @@ router.get('/status', async (req, res) => {
 
 /**
  * GET /api/monitor/:handle/status
- * Get monitoring status for specific account
+ * Get monitoring status for specific account, with its polling plan (mode, next offline interval
+ * and the predicted next-live window learned from past sessions)
  */
 router.get('/:handle/status', async (req, res) => {
     try {
@@ -140,7 +149,9 @@ router.get('/:handle/status', async (req, res) => {
         
         res.json({
             handle: cleanHandle,
-            ...monitorStatus
+            ...monitorStatus,
+            ...probeSchedulerService.getAccountStatus(cleanHandle),
+            polling: await pollingScheduleService.getPlan(cleanHandle)
         });
     } catch (error) {
         console.error('Get monitoring status error:', error);
@@ -148,6 +159,58 @@ router.get('/:handle/status', async (req, res) => {
     }
 });
 
+/**
+ * PUT /api/monitor/:handle/polling
+ * Set the polling overrides of an account: mode (default, adaptive, fixed) and intervals in minutes
+ * (offlineIntervalMinutes, hotIntervalMinutes, coldIntervalMinutes); null follows the anti-blocking settings
+ */
+router.put('/:handle/polling', async (req, res) => {
+    try {
+        const { handle } = req.params;
+        const cleanHandle = handle.replace('@', '').trim();
+        const { mode = 'default' } = req.body;
+        const { POLLING_MODES } = pollingScheduleService;
+        
+        const account = await findBy('tiktok_accounts.json', 'handle', cleanHandle);
+        if (!account) {
+            return res.status(404).json({ error: 'Account not found' });
+        }
+        
+        if (!POLLING_MODES.includes(mode)) {
+            return res.status(400).json({ error: `mode must be one of: ${POLLING_MODES.join(', ')}` });
+        }
+        
+        const ranges = {
+            offlineIntervalMinutes: [1, 240],
+            hotIntervalMinutes: [1, 30],
+            coldIntervalMinutes: [5, 240]
+        };
+        const overrides = { mode };
+        for (const [field, [min, max]] of Object.entries(ranges)) {
+            const value = req.body[field];
+            if (value === undefined || value === null || value === '') {
+                overrides[field] = null;
+                continue;
+            }
+            const minutes = Number(value);
+            if (!Number.isInteger(minutes) || minutes < min || minutes > max) {
+                return res.status(400).json({ error: `${field} must be a whole number between ${min} and ${max}` });
+            }
+            overrides[field] = minutes;
+        }
+        
+        await pollingScheduleService.setOverride(cleanHandle, overrides);
+        
+        res.json({
+            handle: cleanHandle,
+            polling: await pollingScheduleService.getPlan(cleanHandle)
+        });
+    } catch (error) {
+        console.error('Update polling overrides error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 /**
  * PUT /api/monitor/:handle/toggle
  * Toggle monitoring On/Off for an account
@@ -387,7 +450,8 @@ router.post('/:handle/check-now', async (req, res) => {
         
         // Check if live
         console.log(`[Check Now] Checking if @${cleanHandle} is live...`);
-        const liveStatus = await pollerService.checkIfLive(cleanHandle);
+        // Someone is waiting for this answer, so it skips ahead of the scheduled checks
+        const liveStatus = await pollerService.checkIfLive(cleanHandle, null, null, { priority: true });
         console.log(`[Check Now] @${cleanHandle} isLive: ${liveStatus.isLive}, roomId: ${liveStatus.roomId}`);
         
         // If live and not actually monitoring, start monitoring ONLY if enabled
@@ -3,6 +3,7 @@ const router = express.Router();
 const { requireAuth } = require('../utils/auth');
 const { query } = require('../config/database');
 const ExcelJS = require('exceljs');
+const { LANGUAGES } = require('../utils/languageDetector');
 
 // All routes require authentication
 router.use(requireAuth);
@@ -28,6 +29,14 @@ router.get('/accounts', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/search-all/languages
+ * Languages chat messages can be filtered on ([{ code, name }])
+ */
+router.get('/languages', (req, res) => {
+    res.json(Object.entries(LANGUAGES).map(([code, name]) => ({ code, name })));
+});
+
 /**
  * GET /api/search-all/autocomplete
  * Get usernames for autocomplete (from chat events)
@@ -79,7 +88,7 @@ router.get('/autocomplete', async (req, res) => {
  */
 router.get('/search', async (req, res) => {
     try {
-        const { accountHandle, dateFrom, dateTo, username, keyword } = req.query;
+        const { accountHandle, dateFrom, dateTo, username, keyword, language } = req.query;
         
         // Build query
         let sqlQuery = `
@@ -147,6 +156,15 @@ router.get('/search', async (req, res) => {
             paramIndex++;
         }
         
+        // Filter by detected message language ('unknown' = not identified)
+        if (language === 'unknown') {
+            sqlQuery += ` AND e.event_data->>'detectedLanguage' IS NULL`;
+        } else if (language) {
+            sqlQuery += ` AND e.event_data->>'detectedLanguage' = $${paramIndex}`;
+            params.push(language.toLowerCase());
+            paramIndex++;
+        }
+        
         sqlQuery += ' ORDER BY e.timestamp DESC LIMIT 10000';
         
         const result = await query(sqlQuery, params);
@@ -167,6 +185,7 @@ router.get('/search', async (req, res) => {
                 uniqueId: userData.uniqueId || '',
                 nickname: userData.nickname || userData.uniqueId || '',
                 message: eventData.comment || eventData.message || '',
+                language: eventData.detectedLanguage || null,
                 profilePictureUrl: userData.profilePictureUrl || ''
             };
         });
@@ -184,7 +203,7 @@ router.get('/search', async (req, res) => {
  */
 router.get('/export/excel', async (req, res) => {
     try {
-        const { accountHandle, dateFrom, dateTo, username, keyword } = req.query;
+        const { accountHandle, dateFrom, dateTo, username, keyword, language } = req.query;
         
         // Use same search logic as GET /search
         let sqlQuery = `
@@ -248,6 +267,14 @@ router.get('/export/excel', async (req, res) => {
             paramIndex++;
         }
         
+        if (language === 'unknown') {
+            sqlQuery += ` AND e.event_data->>'detectedLanguage' IS NULL`;
+        } else if (language) {
+            sqlQuery += ` AND e.event_data->>'detectedLanguage' = $${paramIndex}`;
+            params.push(language.toLowerCase());
+            paramIndex++;
+        }
+        
         sqlQuery += ' ORDER BY e.timestamp DESC LIMIT 50000';
         
         const result = await query(sqlQuery, params);
@@ -263,6 +290,7 @@ router.get('/export/excel', async (req, res) => {
             { header: 'Username', key: 'uniqueId', width: 20 },
             { header: 'Nickname', key: 'nickname', width: 20 },
             { header: 'Message', key: 'message', width: 60 },
+            { header: 'Language', key: 'language', width: 12 },
             { header: 'Session Status', key: 'sessionStatus', width: 15 }
         ];
         
@@ -297,6 +325,7 @@ router.get('/export/excel', async (req, res) => {
                 uniqueId: userData.uniqueId || 'N/A',
                 nickname: userData.nickname || userData.uniqueId || 'N/A',
                 message: eventData.comment || eventData.message || '',
+                language: eventData.detectedLanguage ? LANGUAGES[eventData.detectedLanguage] || eventData.detectedLanguage : 'N/A',
                 sessionStatus: row.session_status || 'N/A'
             });
         });
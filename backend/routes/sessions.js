@@ -1,37 +1,37 @@
 const express = require('express');
 const router = express.Router();
 const { requireAuth } = require('../utils/auth');
-const { query } = require('../config/database');
+const tiktokSessionService = require('../services/tiktokSessionService');
 
 // All routes require authentication
 router.use(requireAuth);
 
-const SESSION_VALID_DAYS = 30;
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 /**
  * GET /api/sessions
- * Return current session status (no raw sessionId exposed)
+ * List imported sessions with their status and pinned accounts (no raw sessionId exposed)
  */
 router.get('/', async (req, res) => {
     try {
-        const result = await query(
-            'SELECT session_id, valid_until, updated_at FROM tiktok_session WHERE id = 1'
-        );
-        
-        const row = result.rows[0];
-        const hasSession = !!(row && row.session_id);
-        const validUntil = row?.valid_until ? new Date(row.valid_until) : null;
-        const updatedAt = row?.updated_at ? new Date(row.updated_at) : null;
-        const isValid = hasSession && validUntil && validUntil > new Date();
-        
-        res.json({
-            hasSession,
-            validUntil: validUntil ? validUntil.toISOString() : null,
-            updatedAt: updatedAt ? updatedAt.toISOString() : null,
-            isValid
-        });
+        const sessions = await tiktokSessionService.list();
+        res.json(sessions);
     } catch (error) {
-        console.error('Get session status error:', error);
+        console.error('List sessions error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/sessions/summary
+ * Session counts by status, with the quarantined sessions (dashboard warning)
+ */
+router.get('/summary', async (req, res) => {
+    try {
+        const summary = await tiktokSessionService.getSummary();
+        res.json(summary);
+    } catch (error) {
+        console.error('Get session summary error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
@@ -39,10 +39,13 @@ router.get('/', async (req, res) => {
 /**
  * POST /api/sessions/import
  * Accept JSON array of cookies (EditThisCookie, Cookie-Editor format), extract sessionid and tt-target-idc
+ * and add the session to the pool (re-importing a session refreshes it and releases it from quarantine)
+ * Body: cookie array, or { cookies, label }
  */
 router.post('/import', async (req, res) => {
     try {
         let cookies = req.body;
+        const label = !Array.isArray(req.body) && req.body ? req.body.label : null;
         if (!Array.isArray(cookies)) {
             if (cookies && Array.isArray(cookies.cookies)) {
                 cookies = cookies.cookies;
@@ -51,37 +54,15 @@ router.post('/import', async (req, res) => {
             }
         }
 
-        const sessionCookie = cookies.find(c => c && (c.name === 'sessionid' || c.name === 'sessionid_ss'));
-        if (!sessionCookie || !sessionCookie.value) {
+        const session = await tiktokSessionService.importCookies(cookies, label);
+        if (!session) {
             return res.status(400).json({ error: 'JSON invalid or missing sessionid cookie' });
         }
 
-        const sessionId = sessionCookie.value;
-        const ttCookie = cookies.find(c => c && c.name === 'tt-target-idc');
-        const ttTargetIdc = ttCookie && ttCookie.value ? ttCookie.value : null;
-
-        let validUntil;
-        if (sessionCookie.expirationDate && typeof sessionCookie.expirationDate === 'number') {
-            validUntil = new Date(sessionCookie.expirationDate * 1000);
-        } else {
-            validUntil = new Date();
-            validUntil.setDate(validUntil.getDate() + SESSION_VALID_DAYS);
-        }
-
-        await query(
-            `INSERT INTO tiktok_session (id, session_id, tt_target_idc, valid_until, updated_at)
-             VALUES (1, $1, $2, $3, NOW())
-             ON CONFLICT (id) DO UPDATE SET
-                session_id = EXCLUDED.session_id,
-                tt_target_idc = EXCLUDED.tt_target_idc,
-                valid_until = EXCLUDED.valid_until,
-                updated_at = EXCLUDED.updated_at`,
-            [sessionId, ttTargetIdc, validUntil.toISOString()]
-        );
-
         res.json({
             success: true,
-            validUntil: validUntil.toISOString(),
+            session,
+            validUntil: session.validUntil,
             message: 'Session imported successfully.'
         });
     } catch (error) {
@@ -92,4 +73,119 @@ router.post('/import', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/sessions/assignments
+ * Session pinned to each account (accounts not listed use round-robin)
+ */
+router.get('/assignments', async (req, res) => {
+    try {
+        const assignments = await tiktokSessionService.listAssignments();
+        res.json(assignments);
+    } catch (error) {
+        console.error('List session assignments error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * PUT /api/sessions/assignments/:handle
+ * Pin an account to a session, or put it back on round-robin with { sessionId: null }
+ */
+router.put('/assignments/:handle', async (req, res) => {
+    try {
+        const handle = req.params.handle.replace('@', '');
+        const { sessionId } = req.body;
+        
+        if (sessionId && !uuidRegex.test(sessionId)) {
+            return res.status(400).json({ error: 'Invalid session ID format' });
+        }
+        
+        await tiktokSessionService.setAssignment(handle, sessionId || null);
+        res.json({ success: true });
+    } catch (error) {
+        if (error.code === '23503') {
+            return res.status(404).json({ error: 'Account or session not found' });
+        }
+        console.error('Set session assignment error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * PUT /api/sessions/:id
+ * Rename, enable or disable a session
+ * Body: { label, enabled }
+ */
+router.put('/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { label, enabled } = req.body;
+        
+        if (!uuidRegex.test(id)) {
+            return res.status(400).json({ error: 'Invalid session ID format' });
+        }
+        
+        const session = await tiktokSessionService.update(id, {
+            label,
+            enabled: enabled !== undefined ? Boolean(enabled) : undefined
+        });
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        
+        res.json(session);
+    } catch (error) {
+        console.error('Update session error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * DELETE /api/sessions/:id
+ * Remove a session (accounts pinned to it go back to round-robin)
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (!uuidRegex.test(id)) {
+            return res.status(400).json({ error: 'Invalid session ID format' });
+        }
+        
+        const removed = await tiktokSessionService.remove(id);
+        if (!removed) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        
+        res.json({ message: 'Session deleted successfully' });
+    } catch (error) {
+        console.error('Delete session error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/sessions/:id/release
+ * Release a session from quarantine
+ */
+router.post('/:id/release', async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (!uuidRegex.test(id)) {
+            return res.status(400).json({ error: 'Invalid session ID format' });
+        }
+        
+        const session = await tiktokSessionService.release(id);
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        
+        res.json(session);
+    } catch (error) {
+        console.error('Release session error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 module.exports = router;
@@ -8,6 +8,8 @@ const { fetchUserProfile, detectChanges, storeAccountHistory } = require('../ser
 const liveConnectorService = require('../services/liveConnectorService');
 const blockTrackerService = require('../services/blockTrackerService');
 const pollerService = require('../services/pollerService');
+const triggerService = require('../services/triggerService');
+const giftService = require('../services/giftService');
 const ExcelJS = require('exceljs');
 
 // All routes require authentication
@@ -258,6 +260,14 @@ router.put('/:handle', async (req, res) => {
             return res.status(404).json({ error: 'Account not found' });
         }
         
+        // Tags scope trigger words to groups of accounts (lowercase, unique)
+        if ('tags' in updates) {
+            if (!Array.isArray(updates.tags)) {
+                return res.status(400).json({ error: 'Tags must be an array' });
+            }
+            updates.tags = [...new Set(updates.tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+        }
+        
         // Track changes for history
         const changes = [];
         const editableFields = [
@@ -278,6 +288,15 @@ router.put('/:handle', async (req, res) => {
             }
         }
         
+        const tagsChanged = 'tags' in updates && updates.tags.join(',') !== (account.tags || []).join(',');
+        if (tagsChanged) {
+            changes.push({
+                field: 'tags',
+                oldValue: (account.tags || []).join(', '),
+                newValue: updates.tags.join(', ')
+            });
+        }
+        
         // Store history if there are changes
         if (changes.length > 0) {
             await storeAccountHistory(cleanHandle, changes, 'manual');
@@ -292,6 +311,11 @@ router.put('/:handle', async (req, res) => {
         
         await update('tiktok_accounts.json', account.id, updatedAccount);
         
+        // Tag-scoped trigger words need the new tags
+        if (tagsChanged) {
+            triggerService.invalidateMatcher();
+        }
+        
         res.json(updatedAccount);
     } catch (error) {
         console.error('Update TikTok account error:', error);
@@ -596,6 +620,18 @@ router.get('/:handle/history', async (req, res) => {
             // Sort sessions by start time (newest first)
             allSessions.sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
             
+            // Gift totals are recounted from the events so streaks count once (also for older sessions)
+            const giftSettings = await giftService.loadSettings();
+            let giftEconomics = null;
+            try {
+                giftEconomics = await giftService.getSessionsSummary(allSessions.map(session => session.sessionId));
+                allSessions.forEach(session => {
+                    session.stats = { ...session.stats, ...(giftEconomics.bySession[session.sessionId] || { totalGifts: 0, totalDiamonds: 0 }) };
+                });
+            } catch (error) {
+                console.error(`Error counting gifts for @${cleanHandle}:`, error);
+            }
+            
             // Calculate last 7 days statistics
             const sevenDaysAgo = new Date();
             sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
@@ -606,9 +642,11 @@ router.get('/:handle/history', async (req, res) => {
             });
             
             const last7DaysStats = calculatePeriodStats(last7DaysSessions);
+            last7DaysStats.estimatedEarnings = giftService.toCurrency(last7DaysStats.totalDiamonds, giftSettings);
             
             // Calculate all-time statistics
             const allTimeStats = calculatePeriodStats(allSessions);
+            allTimeStats.estimatedEarnings = giftService.toCurrency(allTimeStats.totalDiamonds, giftSettings);
             
             // Calculate session frequency
             const sessionFreq = calculateSessionFrequency(allSessions);
@@ -638,7 +676,8 @@ router.get('/:handle/history', async (req, res) => {
                 allTimeStats: allTimeStats,
                 sessionFreq: sessionFreq,
                 recentSessions: recentSessions,
-                activityChart: activityChart
+                activityChart: activityChart,
+                gifts: giftEconomics ? giftEconomics.summary : null
             });
         } catch (error) {
             console.error('Get analytics error:', error);
@@ -657,6 +696,7 @@ router.get('/:handle/history', async (req, res) => {
                 totalLikes: 0,
                 maxViewers: 0,
                 totalGifts: 0,
+                totalDiamonds: 0,
                 totalMessages: 0,
                 totalJoins: 0,
                 totalFollows: 0,
@@ -673,6 +713,7 @@ router.get('/:handle/history', async (req, res) => {
         let maxViewers = 0;
         let peakViewers = 0;
         let totalGifts = 0;
+        let totalDiamonds = 0;
         let totalMessages = 0;
         let totalJoins = 0;
         let totalFollows = 0;
@@ -693,6 +734,7 @@ router.get('/:handle/history', async (req, res) => {
             maxViewers = Math.max(maxViewers, sessionViewers);
             peakViewers = Math.max(peakViewers, sessionViewers); // Peak across all sessions
             totalGifts += stats.totalGifts || 0;
+            totalDiamonds += stats.totalDiamonds || 0;
             totalMessages += stats.totalMessages || 0;
             totalJoins += stats.totalJoins || 0;
             totalFollows += stats.totalFollows || 0;
@@ -709,6 +751,7 @@ router.get('/:handle/history', async (req, res) => {
             maxViewers: maxViewers,
             peakViewers: peakViewers,
             totalGifts: totalGifts,
+            totalDiamonds: totalDiamonds,
             totalMessages: totalMessages,
             totalJoins: totalJoins,
             totalFollows: totalFollows,
@@ -3,6 +3,7 @@ const router = express.Router();
 const { requireAuth } = require('../utils/auth');
 const { query } = require('../config/database');
 const ExcelJS = require('exceljs');
+const viewerProfileService = require('../services/viewerProfileService');
 
 // All routes require authentication
 router.use(requireAuth);
@@ -276,4 +277,31 @@ router.get('/export/excel', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/user-activity/profile/:uniqueId
+ * Viewer profile across all sessions: first/last seen, streamers attended, time spent per room,
+ * messages, gifts and diamonds, follows and nickname/avatar history
+ * Query: dateFrom, dateTo
+ */
+router.get('/profile/:uniqueId', async (req, res) => {
+    try {
+        const { dateFrom, dateTo } = req.query;
+        const uniqueId = req.params.uniqueId.replace('@', '').trim();
+        
+        if (!uniqueId) {
+            return res.status(400).json({ error: 'Username is required' });
+        }
+        
+        const profile = await viewerProfileService.getProfile(uniqueId, { dateFrom, dateTo });
+        if (!profile) {
+            return res.status(404).json({ error: 'No activity found for this viewer' });
+        }
+        
+        res.json(profile);
+    } catch (error) {
+        console.error('Viewer profile error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 module.exports = router;
@@ -2,6 +2,9 @@ const express = require('express');
 const router = express.Router();
 const { requireAuth, hashPassword, createUser } = require('../utils/auth');
 const { read, update, deleteById, findBy } = require('../storage/dbStorage');
+const { query } = require('../config/database');
+const emailService = require('../services/emailService');
+const { DIGEST_FREQUENCIES } = require('../services/emailService');
 
 // All routes require authentication
 router.use(requireAuth);
@@ -22,6 +25,14 @@ router.get('/', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/users/notifications/status
+ * Whether the email channel is configured (SMTP host or dry-run mode)
+ */
+router.get('/notifications/status', (req, res) => {
+    res.json(emailService.getStatus());
+});
+
 /**
  * POST /api/users
  * Create new user
@@ -139,4 +150,85 @@ router.put('/:id/password', async (req, res) => {
     }
 });
 
+/**
+ * PUT /api/users/:id/notifications
+ * Update email notification preferences
+ * Body: { email, notifyImmediate (HIGH alerts as they happen), digestFrequency (none, hourly, daily) }
+ */
+router.put('/:id/notifications', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { email = '', notifyImmediate = false, digestFrequency = 'none' } = req.body;
+        const cleanEmail = String(email || '').trim();
+        
+        if (cleanEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(cleanEmail)) {
+            return res.status(400).json({ error: 'Invalid email address' });
+        }
+        
+        if (!DIGEST_FREQUENCIES.includes(digestFrequency)) {
+            return res.status(400).json({ error: `Invalid digest frequency. Must be one of: ${DIGEST_FREQUENCIES.join(', ')}` });
+        }
+        
+        if (!cleanEmail && (notifyImmediate || digestFrequency !== 'none')) {
+            return res.status(400).json({ error: 'An email address is required to receive notifications' });
+        }
+        
+        const result = await query(
+            `UPDATE users SET email = $1, notify_immediate = $2, digest_frequency = $3 WHERE id = $4
+             RETURNING id, username, email, notify_immediate, digest_frequency, last_digest_at`,
+            [cleanEmail || null, Boolean(notifyImmediate), digestFrequency, id]
+        );
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        const row = result.rows[0];
+        res.json({
+            id: row.id,
+            username: row.username,
+            email: row.email,
+            notifyImmediate: row.notify_immediate,
+            digestFrequency: row.digest_frequency,
+            lastDigestAt: row.last_digest_at
+        });
+    } catch (error) {
+        console.error('Update notification preferences error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/users/:id/notifications/test
+ * Send the user a digest of the last period right away (even when empty)
+ */
+router.post('/:id/notifications/test', async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const result = await query(
+            'SELECT id, username, email, digest_frequency, last_digest_at FROM users WHERE id = $1',
+            [id]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        const user = result.rows[0];
+        if (!user.email) {
+            return res.status(400).json({ error: 'User has no email address' });
+        }
+        
+        if (!emailService.getStatus().enabled) {
+            return res.status(400).json({ error: 'Email is not configured (set SMTP_HOST or EMAIL_DRY_RUN=true)' });
+        }
+        
+        const sent = await emailService.sendDigest(user, { force: true });
+        res.json({ message: `Test digest sent to ${user.email}`, ...sent });
+    } catch (error) {
+        console.error('Send test digest error:', error);
+        res.status(500).json({ error: error.message || 'Internal server error' });
+    }
+});
+
 module.exports = router;
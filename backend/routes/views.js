@@ -123,6 +123,21 @@ router.get('/alerts-rules', requireAuth, (req, res) => {
     });
 });
 
+/**
+ * GET /webhooks
+ * Webhooks page (protected) - Outbound notifications and delivery log
+ */
+router.get('/webhooks', requireAuth, (req, res) => {
+    res.render('webhooks', { 
+        title: 'Webhooks - T-intell',
+        currentPage: 'webhooks',
+        user: {
+            id: req.session.userId,
+            username: req.session.username
+        }
+    });
+});
+
 /**
  * GET /history
  * History page (protected)
@@ -243,4 +258,34 @@ router.get('/user-activity', requireAuth, (req, res) => {
     });
 });
 
+/**
+ * GET /viewer-profile
+ * Viewer profile page (protected) - One viewer's activity across all sessions
+ */
+router.get('/viewer-profile', requireAuth, (req, res) => {
+    res.render('viewer-profile', { 
+        title: 'Viewer Profile - T-intell',
+        currentPage: 'user-activity',
+        user: {
+            id: req.session.userId,
+            username: req.session.username
+        }
+    });
+});
+
+/**
+ * GET /entities
+ * Contact Leads page (protected) - Contact details extracted from chat
+ */
+router.get('/entities', requireAuth, (req, res) => {
+    res.render('entities', { 
+        title: 'Contact Leads - T-intell',
+        currentPage: 'entities',
+        user: {
+            id: req.session.userId,
+            username: req.session.username
+        }
+    });
+});
+
 module.exports = router;
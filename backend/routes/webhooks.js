@@ -0,0 +1,170 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../utils/auth');
+const webhookService = require('../services/webhookService');
+const { WEBHOOK_EVENTS, validateWebhook } = require('../services/webhookService');
+
+// All routes require authentication
+router.use(requireAuth);
+
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * GET /api/webhooks
+ * List webhooks (secrets are not returned, only hasSecret)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const webhooks = await webhookService.list();
+        res.json({ webhooks, events: WEBHOOK_EVENTS });
+    } catch (error) {
+        console.error('List webhooks error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/webhooks
+ * Add a webhook
+ * Body: { name, url, secret, events, minSeverity, enabled }
+ * minSeverity only applies to alert.created
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { name, url, secret, events, minSeverity = 'low', enabled = true } = req.body;
+        
+        if (!url || typeof url !== 'string') {
+            return res.status(400).json({ error: 'URL is required' });
+        }
+        
+        const validationError = validateWebhook({ name: name || '', url, events: events || [], minSeverity });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const webhook = await webhookService.add({
+            name,
+            url,
+            secret: typeof secret === 'string' ? secret.trim() : '',
+            events,
+            minSeverity,
+            enabled
+        });
+        
+        res.status(201).json(webhook);
+    } catch (error) {
+        console.error('Add webhook error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * PUT /api/webhooks/:id
+ * Update a webhook; omit secret to keep it, send an empty secret to remove it
+ */
+router.put('/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, url, secret, events, minSeverity, enabled } = req.body;
+        
+        if (!uuidRegex.test(id)) {
+            return res.status(400).json({ error: 'Invalid webhook ID format' });
+        }
+        
+        const validationError = validateWebhook({ name, url, events, minSeverity });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const webhook = await webhookService.update(id, {
+            name,
+            url,
+            secret: typeof secret === 'string' ? secret.trim() : undefined,
+            events,
+            minSeverity,
+            enabled: enabled !== undefined ? Boolean(enabled) : undefined
+        });
+        
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        
+        res.json(webhook);
+    } catch (error) {
+        console.error('Update webhook error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Remove a webhook and its delivery log
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (!uuidRegex.test(id)) {
+            return res.status(400).json({ error: 'Invalid webhook ID format' });
+        }
+        
+        const removed = await webhookService.remove(id);
+        if (!removed) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        
+        res.json({ message: 'Webhook deleted successfully' });
+    } catch (error) {
+        console.error('Delete webhook error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/webhooks/:id/test
+ * Send a signed test payload (single attempt) and return the delivery result
+ */
+router.post('/:id/test', async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (!uuidRegex.test(id)) {
+            return res.status(400).json({ error: 'Invalid webhook ID format' });
+        }
+        
+        const delivery = await webhookService.sendTest(id);
+        if (!delivery) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        
+        res.json(delivery);
+    } catch (error) {
+        console.error('Test webhook error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * Delivery log of a webhook (latest first)
+ * Query: limit (default 50, max 500)
+ */
+router.get('/:id/deliveries', async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (!uuidRegex.test(id)) {
+            return res.status(400).json({ error: 'Invalid webhook ID format' });
+        }
+        
+        const limit = Math.min(500, Math.max(1, parseInt(req.query.limit) || 50));
+        const deliveries = await webhookService.listDeliveries(id, limit);
+        
+        res.json(deliveries);
+    } catch (error) {
+        console.error('List webhook deliveries error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -9,6 +9,9 @@ const pollerService = require('./services/pollerService');
 const liveConnectorService = require('./services/liveConnectorService');
 const logService = require('./services/logService');
 const blockTrackerService = require('./services/blockTrackerService');
+const emailService = require('./services/emailService');
+const proxyPoolService = require('./services/proxyPoolService');
+const webhookService = require('./services/webhookService');
 
 const app = express();
 const httpServer = createServer(app);
@@ -60,7 +63,9 @@ app.use('/api/anti-blocking', require('./routes/anti-blocking'));
 app.use('/api/osint', require('./routes/osint'));
 app.use('/api/search-all', require('./routes/search-all'));
 app.use('/api/user-activity', require('./routes/user-activity'));
+app.use('/api/entities', require('./routes/entities'));
 app.use('/api/sessions', require('./routes/sessions'));
+app.use('/api/webhooks', require('./routes/webhooks'));
 
 // View Routes
 app.use('/', require('./routes/views'));
@@ -140,6 +145,15 @@ async function initialize() {
     
     // Start poller service after cleanup
     pollerService.start();
+    
+    // Hourly / daily alert digest emails
+    emailService.startDigestScheduler();
+    
+    // Proxy pool health checks
+    proxyPoolService.startHealthChecks();
+    
+    // Webhook retries pending when the server stopped
+    webhookService.resumePendingDeliveries();
 }
 
 // Start server
@@ -155,6 +169,8 @@ httpServer.listen(PORT, async () => {
 process.on('SIGINT', () => {
     console.log('Shutting down...');
     pollerService.stop();
+    emailService.stopDigestScheduler();
+    proxyPoolService.stopHealthChecks();
     process.exit(0);
 });
 
@@ -0,0 +1,304 @@
+const { v4: uuidv4 } = require('uuid');
+const { query } = require('../config/database');
+const { append } = require('../storage/dbStorage');
+const webhookService = require('./webhookService');
+const emailService = require('./emailService');
+
+// Default alert grouping and rate limiting settings
+const DEFAULT_SETTINGS = {
+    groupingEnabled: true,
+    groupingWindowMinutes: 5,
+    groupBy: 'viewer', // viewer = same trigger + session + viewer, session = same trigger + session
+    maxAlertsPerMinute: 60, // 0 = no ceiling
+    raidDetectionEnabled: true,
+    raidWindowSeconds: 60, // Sliding window near-identical messages are clustered in
+    raidMinAccounts: 5, // Distinct accounts a cluster needs before it raises an alert
+    raidSimilarity: 0.8, // Estimated Jaccard similarity (0.5 - 1) for two messages to be near-identical
+    raidMinMessageLength: 10, // Shorter messages ("hi", "lol") are ignored
+    toxicityAlertsEnabled: true,
+    toxicityThresholds: { threat: 0.8, hate: 0.8, selfHarm: 0.75, sexual: 0.85 } // Classifier score (0-1) that raises an alert; 0 = no alerts for the category
+};
+
+const GROUP_BY_OPTIONS = ['viewer', 'session'];
+
+/**
+ * Clamp toxicity thresholds to 0 - 1 (category names are the classifier's, so any identifier is kept)
+ */
+function sanitizeThresholds(input) {
+    const thresholds = { ...DEFAULT_SETTINGS.toxicityThresholds };
+    for (const [category, value] of Object.entries(input && typeof input === 'object' ? input : {})) {
+        const threshold = parseFloat(value);
+        if (/^[A-Za-z][A-Za-z0-9_]*$/.test(category) && !isNaN(threshold)) {
+            thresholds[category] = Math.max(0, Math.min(1, threshold));
+        }
+    }
+    return thresholds;
+}
+
+/**
+ * Validate and clamp alert settings sent to the API
+ */
+function sanitizeSettings(input = {}) {
+    const windowMinutes = parseInt(input.groupingWindowMinutes);
+    const maxPerMinute = parseInt(input.maxAlertsPerMinute);
+    const raidWindow = parseInt(input.raidWindowSeconds);
+    const raidAccounts = parseInt(input.raidMinAccounts);
+    const raidSimilarity = parseFloat(input.raidSimilarity);
+    const raidLength = parseInt(input.raidMinMessageLength);
+    return {
+        groupingEnabled: input.groupingEnabled !== false,
+        groupingWindowMinutes: Math.max(1, Math.min(1440, isNaN(windowMinutes) ? DEFAULT_SETTINGS.groupingWindowMinutes : windowMinutes)),
+        groupBy: GROUP_BY_OPTIONS.includes(input.groupBy) ? input.groupBy : DEFAULT_SETTINGS.groupBy,
+        maxAlertsPerMinute: Math.max(0, Math.min(10000, isNaN(maxPerMinute) ? DEFAULT_SETTINGS.maxAlertsPerMinute : maxPerMinute)),
+        raidDetectionEnabled: input.raidDetectionEnabled !== false,
+        raidWindowSeconds: Math.max(10, Math.min(3600, isNaN(raidWindow) ? DEFAULT_SETTINGS.raidWindowSeconds : raidWindow)),
+        raidMinAccounts: Math.max(2, Math.min(1000, isNaN(raidAccounts) ? DEFAULT_SETTINGS.raidMinAccounts : raidAccounts)),
+        raidSimilarity: Math.max(0.5, Math.min(1, isNaN(raidSimilarity) ? DEFAULT_SETTINGS.raidSimilarity : raidSimilarity)),
+        raidMinMessageLength: Math.max(1, Math.min(500, isNaN(raidLength) ? DEFAULT_SETTINGS.raidMinMessageLength : raidLength)),
+        toxicityAlertsEnabled: input.toxicityAlertsEnabled !== false,
+        toxicityThresholds: sanitizeThresholds(input.toxicityThresholds)
+    };
+}
+
+/**
+ * Alert Service - Single place where trigger and watchlist alerts are created
+ * Repeats of the same trigger + session (+ viewer) inside the grouping window only bump the
+ * occurrence count of the first alert, and a global alerts-per-minute ceiling turns the overflow
+ * into one summary alert per minute
+ */
+class AlertService {
+    constructor() {
+        this.settings = null;
+        this.lastLoadTime = null;
+        this.cacheTimeout = 60000; // Cache for 1 minute
+        this.groups = new Map(); // group key -> { alertId, firstSeen }
+        this.pendingGroups = new Map(); // group key -> insert of the group's first alert, still running
+        this.recentAlertTimes = []; // creation times of alerts in the last minute
+        this.summary = null; // { alertId, windowStart } of the current ceiling summary alert
+    }
+    
+    /**
+     * Load settings from database (with caching)
+     */
+    async loadSettings(forceReload = false) {
+        const now = Date.now();
+        
+        if (!forceReload && this.settings && this.lastLoadTime && (now - this.lastLoadTime) < this.cacheTimeout) {
+            return this.settings;
+        }
+        
+        try {
+            const result = await query('SELECT settings FROM alert_settings WHERE id = 1');
+            const stored = result.rows.length > 0 ? result.rows[0].settings : {};
+            this.settings = { ...DEFAULT_SETTINGS, ...stored };
+        } catch (error) {
+            console.error('[Alert Service] Error loading settings:', error.message);
+            this.settings = this.settings || { ...DEFAULT_SETTINGS };
+        }
+        this.lastLoadTime = now;
+        
+        return this.settings;
+    }
+    
+    /**
+     * Save settings (validated) and drop the cache
+     * Fields missing from input keep their current value
+     */
+    async saveSettings(input) {
+        const current = await this.loadSettings(true);
+        const settings = sanitizeSettings({ ...current, ...input });
+        await query(
+            `INSERT INTO alert_settings (id, settings)
+             VALUES (1, $1)
+             ON CONFLICT (id) DO UPDATE SET settings = EXCLUDED.settings`,
+            [JSON.stringify(settings)]
+        );
+        this.clearCache();
+        return settings;
+    }
+    
+    /**
+     * Build the grouping key for an alert
+     */
+    getGroupKey(alert, viewer, settings) {
+        const parts = [alert.source || 'trigger', alert.triggerId || alert.triggerWord, alert.sessionId || alert.handle];
+        if (settings.groupBy === 'viewer') {
+            parts.push((viewer || '').toLowerCase());
+        }
+        return parts.join('|');
+    }
+    
+    /**
+     * Add one occurrence to an existing alert
+     */
+    async addOccurrence(alertId, timestamp, io) {
+        const result = await query(
+            `UPDATE alerts SET occurrence_count = occurrence_count + 1, last_seen_at = $1
+             WHERE id = $2 RETURNING occurrence_count, first_seen_at, last_seen_at`,
+            [timestamp, alertId]
+        );
+        if (result.rows.length === 0) {
+            return null;
+        }
+        
+        const update = {
+            id: alertId,
+            occurrenceCount: result.rows[0].occurrence_count,
+            firstSeenAt: result.rows[0].first_seen_at ? new Date(result.rows[0].first_seen_at).toISOString() : null,
+            lastSeenAt: result.rows[0].last_seen_at ? new Date(result.rows[0].last_seen_at).toISOString() : null
+        };
+        
+        if (io) {
+            io.emit('alertUpdated', update);
+        }
+        
+        return update;
+    }
+    
+    /**
+     * Insert an alert, emit it and notify webhooks and email subscribers
+     */
+    async insertAlert(alert, io) {
+        await append('alerts.json', alert);
+        
+        // Emit Socket.IO event
+        if (io) {
+            io.emit('newAlert', alert);
+        }
+        
+        webhookService.dispatch('alert.created', alert, { severity: alert.severity });
+        emailService.notifyAlert(alert);
+        
+        return alert;
+    }
+    
+    /**
+     * Record an alert that went over the ceiling on this minute's summary alert
+     */
+    async recordSuppressed(alert, now, settings, io) {
+        if (this.summary && now - this.summary.windowStart < 60000) {
+            const update = await this.addOccurrence(this.summary.alertId, new Date(now).toISOString(), io);
+            if (update) {
+                return null;
+            }
+        }
+        
+        const timestamp = new Date(now).toISOString();
+        const summaryAlert = {
+            id: uuidv4(),
+            triggerWord: 'alert-ceiling',
+            eventType: alert.eventType,
+            source: 'system',
+            sessionId: alert.sessionId,
+            handle: alert.handle,
+            eventId: alert.eventId,
+            timestamp,
+            severity: 'high',
+            status: 'new',
+            message: `Alert ceiling of ${settings.maxAlertsPerMinute} alerts per minute reached; further alerts this minute are counted here instead of being created (first suppressed: "${alert.triggerWord}" on @${alert.handle})`,
+            occurrenceCount: 1,
+            firstSeenAt: timestamp,
+            lastSeenAt: timestamp,
+            acknowledgedAt: null,
+            resolvedAt: null
+        };
+        
+        this.summary = { alertId: summaryAlert.id, windowStart: now };
+        await this.insertAlert(summaryAlert, io);
+        console.warn(`[Alert Service] Alert ceiling of ${settings.maxAlertsPerMinute}/min reached, suppressing alerts`);
+        
+        return null;
+    }
+    
+    /**
+     * Create an alert, or fold it into an existing one
+     * viewer is the uniqueId behind the event (used for grouping)
+     * Returns the new alert, the occurrence update of the grouped alert, or null when suppressed
+     */
+    async createAlert(alert, { io, viewer } = {}) {
+        const settings = await this.loadSettings();
+        const now = Date.now();
+        const timestamp = alert.timestamp || new Date(now).toISOString();
+        
+        // Fold repeats into the alert already open for this group
+        const groupKey = this.getGroupKey(alert, viewer, settings);
+        if (settings.groupingEnabled) {
+            // A repeat arriving while the group's first alert is being inserted waits for that insert
+            while (this.pendingGroups.has(groupKey)) {
+                await this.pendingGroups.get(groupKey);
+            }
+            this.pruneGroups(now, settings);
+            const group = this.groups.get(groupKey);
+            if (group && now - group.firstSeen < settings.groupingWindowMinutes * 60000) {
+                const update = await this.addOccurrence(group.alertId, timestamp, io);
+                if (update) {
+                    return update;
+                }
+                this.groups.delete(groupKey); // Alert was deleted, start a new group
+            }
+        }
+        
+        // Global ceiling on new alerts per minute
+        this.recentAlertTimes = this.recentAlertTimes.filter(time => now - time < 60000);
+        if (settings.maxAlertsPerMinute > 0 && this.recentAlertTimes.length >= settings.maxAlertsPerMinute) {
+            return this.recordSuppressed(alert, now, settings, io);
+        }
+        this.recentAlertTimes.push(now);
+        
+        const newAlert = {
+            ...alert,
+            timestamp,
+            occurrenceCount: 1,
+            firstSeenAt: timestamp,
+            lastSeenAt: timestamp
+        };
+        
+        // Repeats wait for this insert; the group opens once the alert is stored, and a failed insert
+        // gives its ceiling slot back
+        const insert = this.insertAlert(newAlert, io);
+        if (settings.groupingEnabled) {
+            this.pendingGroups.set(groupKey, insert.catch(() => null));
+        }
+        try {
+            await insert;
+            if (settings.groupingEnabled) {
+                this.groups.set(groupKey, { alertId: newAlert.id, firstSeen: now });
+            }
+        } catch (error) {
+            const slot = this.recentAlertTimes.indexOf(now);
+            if (slot !== -1) {
+                this.recentAlertTimes.splice(slot, 1);
+            }
+            throw error;
+        } finally {
+            this.pendingGroups.delete(groupKey);
+        }
+        
+        return newAlert;
+    }
+    
+    /**
+     * Drop groups whose window has passed
+     */
+    pruneGroups(now, settings) {
+        const windowMs = settings.groupingWindowMinutes * 60000;
+        for (const [key, group] of this.groups) {
+            if (now - group.firstSeen >= windowMs) {
+                this.groups.delete(key);
+            }
+        }
+    }
+    
+    /**
+     * Clear cache (force reload on next access)
+     */
+    clearCache() {
+        this.settings = null;
+        this.lastLoadTime = null;
+    }
+}
+
+// Create singleton instance
+const alertService = new AlertService();
+
+module.exports = alertService;
@@ -0,0 +1,201 @@
+const { v4: uuidv4 } = require('uuid');
+const { query, withTransaction } = require('../config/database');
+
+// Statuses an alert can be moved to ('pending' is only kept for legacy rows)
+const ALERT_STATUSES = ['new', 'acknowledged', 'escalated', 'false_positive', 'resolved'];
+
+// Statuses that close an alert (resolved_at is set when entering one of them)
+const CLOSED_STATUSES = ['resolved', 'false_positive'];
+
+const MAX_COMMENT_LENGTH = 5000;
+
+/**
+ * Convert alert_comments row to JSON format
+ */
+function rowToComment(row) {
+    return {
+        id: row.id,
+        alertId: row.alert_id,
+        parentId: row.parent_id || null,
+        userId: row.user_id || null,
+        username: row.username,
+        body: row.body,
+        createdAt: row.created_at ? new Date(row.created_at).toISOString() : null,
+        replies: []
+    };
+}
+
+/**
+ * Convert alert_status_history row to JSON format
+ */
+function rowToHistory(row) {
+    return {
+        id: row.id,
+        alertId: row.alert_id,
+        fromStatus: row.from_status,
+        toStatus: row.to_status,
+        userId: row.user_id || null,
+        username: row.username,
+        note: row.note || null,
+        createdAt: row.created_at ? new Date(row.created_at).toISOString() : null
+    };
+}
+
+/**
+ * Alert Workflow Service - Triage of alerts by internal users
+ * Alerts can be assigned to a user, discussed in threaded comments and moved between statuses;
+ * every status change is recorded with the acting user and time
+ */
+class AlertWorkflowService {
+    /**
+     * Current status, assignee and timestamps of an alert (null when it does not exist)
+     */
+    async getState(alertId) {
+        const result = await query(
+            `SELECT a.id, a.status, a.assigned_to, a.assigned_at, a.acknowledged_at, a.resolved_at, u.username AS assigned_to_username
+             FROM alerts a LEFT JOIN users u ON a.assigned_to = u.id
+             WHERE a.id = $1`,
+            [alertId]
+        );
+        if (result.rows.length === 0) {
+            return null;
+        }
+        
+        const row = result.rows[0];
+        return {
+            id: row.id,
+            status: row.status,
+            assignedTo: row.assigned_to || null,
+            assignedToUsername: row.assigned_to_username || null,
+            assignedAt: row.assigned_at ? new Date(row.assigned_at).toISOString() : null,
+            acknowledgedAt: row.acknowledged_at ? new Date(row.acknowledged_at).toISOString() : null,
+            resolvedAt: row.resolved_at ? new Date(row.resolved_at).toISOString() : null
+        };
+    }
+    
+    /**
+     * Move an alert to a new status and record the change in its history
+     * actor: { userId, username } of the user making the change
+     * Returns the updated state, or null when the alert does not exist
+     */
+    async changeStatus(alertId, status, actor, note = null) {
+        const changed = await withTransaction(async (client) => {
+            const current = await client.query('SELECT status FROM alerts WHERE id = $1 FOR UPDATE', [alertId]);
+            if (current.rows.length === 0) {
+                return false;
+            }
+            
+            const fromStatus = current.rows[0].status;
+            if (fromStatus === status && !note) {
+                return true;
+            }
+            
+            await client.query(
+                `UPDATE alerts SET
+                    status = $1,
+                    acknowledged_at = CASE WHEN $1 = 'acknowledged' THEN COALESCE(acknowledged_at, NOW()) ELSE acknowledged_at END,
+                    resolved_at = CASE WHEN $1 = ANY($2::text[]) THEN NOW() ELSE NULL END
+                 WHERE id = $3`,
+                [status, CLOSED_STATUSES, alertId]
+            );
+            await client.query(
+                `INSERT INTO alert_status_history (id, alert_id, from_status, to_status, user_id, username, note, created_at)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())`,
+                [uuidv4(), alertId, fromStatus, status, actor.userId || null, actor.username || 'system', note]
+            );
+            return true;
+        });
+        
+        return changed ? this.getState(alertId) : null;
+    }
+    
+    /**
+     * Assign an alert to a user (userId null unassigns it)
+     * Returns the updated state, or null when the alert does not exist
+     */
+    async assign(alertId, userId) {
+        const result = await query(
+            `UPDATE alerts SET
+                assigned_to = $1,
+                assigned_at = CASE WHEN $1::uuid IS NULL THEN NULL ELSE NOW() END
+             WHERE id = $2`,
+            [userId, alertId]
+        );
+        return result.rowCount > 0 ? this.getState(alertId) : null;
+    }
+    
+    /**
+     * Whether an internal user exists
+     */
+    async userExists(userId) {
+        const result = await query('SELECT 1 FROM users WHERE id = $1', [userId]);
+        return result.rows.length > 0;
+    }
+    
+    /**
+     * Comments of an alert as threads (top-level comments with nested replies, oldest first)
+     */
+    async listComments(alertId) {
+        const result = await query(
+            'SELECT * FROM alert_comments WHERE alert_id = $1 ORDER BY created_at ASC',
+            [alertId]
+        );
+        
+        const comments = new Map(result.rows.map(row => [row.id, rowToComment(row)]));
+        const threads = [];
+        for (const comment of comments.values()) {
+            const parent = comment.parentId ? comments.get(comment.parentId) : null;
+            if (parent) {
+                parent.replies.push(comment);
+            } else {
+                threads.push(comment);
+            }
+        }
+        return threads;
+    }
+    
+    /**
+     * Add a comment (parentId makes it a reply in that thread)
+     * Throws an error with statusCode 400/404 on invalid input
+     */
+    async addComment(alertId, { body, parentId = null }, actor) {
+        const text = typeof body === 'string' ? body.trim() : '';
+        if (!text) {
+            throw Object.assign(new Error('Comment text is required'), { statusCode: 400 });
+        }
+        if (text.length > MAX_COMMENT_LENGTH) {
+            throw Object.assign(new Error(`Comment must be at most ${MAX_COMMENT_LENGTH} characters`), { statusCode: 400 });
+        }
+        
+        if (parentId) {
+            const parent = await query('SELECT alert_id FROM alert_comments WHERE id = $1', [parentId]);
+            if (parent.rows.length === 0 || parent.rows[0].alert_id !== alertId.toLowerCase()) {
+                throw Object.assign(new Error('Parent comment not found'), { statusCode: 404 });
+            }
+        }
+        
+        const result = await query(
+            `INSERT INTO alert_comments (id, alert_id, parent_id, user_id, username, body, created_at)
+             VALUES ($1, $2, $3, $4, $5, $6, NOW()) RETURNING *`,
+            [uuidv4(), alertId, parentId, actor.userId || null, actor.username || 'system', text]
+        );
+        return rowToComment(result.rows[0]);
+    }
+    
+    /**
+     * Status history of an alert (oldest first)
+     */
+    async listHistory(alertId) {
+        const result = await query(
+            'SELECT * FROM alert_status_history WHERE alert_id = $1 ORDER BY created_at ASC',
+            [alertId]
+        );
+        return result.rows.map(rowToHistory);
+    }
+}
+
+// Create singleton instance
+const alertWorkflowService = new AlertWorkflowService();
+
+module.exports = alertWorkflowService;
+module.exports.ALERT_STATUSES = ALERT_STATUSES;
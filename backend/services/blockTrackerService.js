@@ -1,6 +1,8 @@
 const { read, write } = require('../storage/dbStorage');
 const logService = require('./logService');
 const settingsService = require('./settingsService');
+const webhookService = require('./webhookService');
+const proxyPoolService = require('./proxyPoolService');
 
 const BLOCKS_FILE = 'tiktok_blocks.json';
 
@@ -72,6 +74,14 @@ class BlockTrackerService {
         
         this.blocks.blockHistory[handle] = userHistory;
 
+        // Move the account off the proxy that got blocked (when the proxy pool is in use)
+        let proxyRotation = null;
+        try {
+            proxyRotation = await proxyPoolService.handleBlock(handle, errorInfo);
+        } catch (error) {
+            console.error(`[Block Tracker] Proxy rotation failed for @${handle}:`, error.message);
+        }
+        
         // Create/update block record
         const blockData = {
             handle,
@@ -80,7 +90,8 @@ class BlockTrackerService {
             dismissed: false,
             cooldownUntil: cooldownUntil.toISOString(),
             cooldownHours,
-            blockCount: userHistory.count
+            blockCount: userHistory.count,
+            proxy: proxyRotation
         };
 
         this.blocks.activeBlocks[handle] = blockData;
@@ -103,6 +114,9 @@ class BlockTrackerService {
         }).catch(console.error);
 
         await this.save();
+        
+        webhookService.dispatch('block.detected', blockData);
+        
         return blockData;
     }
 
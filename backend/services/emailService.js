@@ -0,0 +1,287 @@
+const fs = require('fs').promises;
+const path = require('path');
+const ejs = require('ejs');
+const nodemailer = require('nodemailer');
+const { query } = require('../config/database');
+
+const TEMPLATES_DIR = path.join(__dirname, '../../views/emails');
+
+const DIGEST_FREQUENCIES = ['none', 'hourly', 'daily'];
+const DIGEST_PERIODS_MS = {
+    hourly: 60 * 60 * 1000,
+    daily: 24 * 60 * 60 * 1000
+};
+const DIGEST_CHECK_INTERVAL_MS = 5 * 60 * 1000; // Look for due digests every 5 minutes
+
+const SEVERITY_NAMES = { 1: 'LOW', 2: 'MEDIUM', 3: 'HIGH' };
+
+/**
+ * SMTP settings from environment variables
+ * EMAIL_DRY_RUN=true writes every email as an .eml file instead of sending it
+ */
+function getConfig() {
+    return {
+        host: process.env.SMTP_HOST || '',
+        port: parseInt(process.env.SMTP_PORT || '587'),
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER || '',
+        password: process.env.SMTP_PASSWORD || '',
+        from: process.env.SMTP_FROM || 'T-intell <alerts@localhost>',
+        dryRun: process.env.EMAIL_DRY_RUN === 'true',
+        dryRunDir: process.env.EMAIL_DRY_RUN_DIR || path.join(__dirname, '../../emails-outbox'),
+        appUrl: (process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '')
+    };
+}
+
+/**
+ * Email Service - SMTP notification channel for alerts
+ * HIGH severity alerts are emailed immediately to users who opted in; hourly and daily digests
+ * summarize alerts grouped by handle and trigger word
+ */
+class EmailService {
+    constructor() {
+        this.transporter = null;
+        this.transporterKey = null;
+        this.digestTimer = null;
+        this.sendingDigests = false;
+    }
+    
+    /**
+     * Whether emails can go out (SMTP host configured or dry-run mode)
+     */
+    getStatus() {
+        const config = getConfig();
+        return {
+            enabled: config.dryRun || Boolean(config.host),
+            dryRun: config.dryRun,
+            dryRunDir: config.dryRun ? config.dryRunDir : null,
+            host: config.host || null,
+            from: config.from
+        };
+    }
+    
+    /**
+     * Build (or reuse) the nodemailer transport for the current settings
+     */
+    getTransporter(config) {
+        const key = config.dryRun ? 'dry-run' : `${config.host}:${config.port}:${config.secure}:${config.user}`;
+        if (this.transporter && this.transporterKey === key) {
+            return this.transporter;
+        }
+        
+        this.transporter = config.dryRun
+            ? nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' })
+            : nodemailer.createTransport({
+                host: config.host,
+                port: config.port,
+                secure: config.secure,
+                auth: config.user ? { user: config.user, pass: config.password } : undefined
+            });
+        this.transporterKey = key;
+        
+        return this.transporter;
+    }
+    
+    /**
+     * Render <template>.html.ejs and <template>.text.ejs from views/emails
+     */
+    async render(template, data) {
+        const [html, text] = await Promise.all([
+            ejs.renderFile(path.join(TEMPLATES_DIR, `${template}.html.ejs`), data),
+            ejs.renderFile(path.join(TEMPLATES_DIR, `${template}.text.ejs`), data)
+        ]);
+        return { html, text };
+    }
+    
+    /**
+     * Render and send one email
+     * In dry-run mode the message is written to disk and the file path returned
+     */
+    async send({ to, subject, template, data }) {
+        const config = getConfig();
+        if (!config.dryRun && !config.host) {
+            throw new Error('Email is not configured (set SMTP_HOST or EMAIL_DRY_RUN=true)');
+        }
+        
+        const { html, text } = await this.render(template, { ...data, appUrl: config.appUrl });
+        const info = await this.getTransporter(config).sendMail({
+            from: config.from,
+            to,
+            subject,
+            html,
+            text
+        });
+        
+        if (config.dryRun) {
+            await fs.mkdir(config.dryRunDir, { recursive: true });
+            const safeTo = String(to).replace(/[^a-zA-Z0-9@._-]/g, '_');
+            const filePath = path.join(config.dryRunDir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${template}-${safeTo}.eml`);
+            await fs.writeFile(filePath, info.message);
+            console.log(`[Email] Dry run: wrote "${subject}" for ${to} to ${filePath}`);
+            return { dryRun: true, path: filePath };
+        }
+        
+        console.log(`[Email] Sent "${subject}" to ${to}`);
+        return { dryRun: false, messageId: info.messageId };
+    }
+    
+    /**
+     * Email a new alert immediately to users who opted in (HIGH severity only)
+     * Never throws
+     */
+    async notifyAlert(alert) {
+        try {
+            if (String(alert.severity || '').toUpperCase() !== 'HIGH' || !this.getStatus().enabled) {
+                return;
+            }
+            
+            const result = await query(
+                `SELECT username, email FROM users
+                 WHERE notify_immediate = TRUE AND email IS NOT NULL AND email <> ''`
+            );
+            
+            for (const user of result.rows) {
+                await this.send({
+                    to: user.email,
+                    subject: `[T-intell] HIGH alert on @${alert.handle}: ${alert.triggerWord}`,
+                    template: 'alert',
+                    data: { user, alert }
+                }).catch(error => {
+                    console.error(`[Email] Failed to email alert to ${user.email}:`, error.message);
+                });
+            }
+        } catch (error) {
+            console.error('[Email] Error sending immediate alert emails:', error.message);
+        }
+    }
+    
+    /**
+     * Alerts between since and until grouped by handle and trigger word
+     */
+    async buildDigest(since, until) {
+        const result = await query(
+            `SELECT handle, type AS trigger_word,
+                    COUNT(*) AS alert_count,
+                    COALESCE(SUM(occurrence_count), COUNT(*)) AS occurrence_count,
+                    MAX(CASE UPPER(severity) WHEN 'HIGH' THEN 3 WHEN 'MEDIUM' THEN 2 WHEN 'MED' THEN 2 ELSE 1 END) AS severity_rank,
+                    MIN(timestamp) AS first_at,
+                    MAX(timestamp) AS last_at
+             FROM alerts
+             WHERE timestamp > $1 AND timestamp <= $2
+             GROUP BY handle, type
+             ORDER BY handle, alert_count DESC`,
+            [since, until]
+        );
+        
+        const handles = new Map();
+        for (const row of result.rows) {
+            if (!handles.has(row.handle)) {
+                handles.set(row.handle, { handle: row.handle, alertCount: 0, triggers: [] });
+            }
+            const group = handles.get(row.handle);
+            const alertCount = parseInt(row.alert_count);
+            group.alertCount += alertCount;
+            group.triggers.push({
+                triggerWord: row.trigger_word,
+                alertCount,
+                occurrenceCount: parseInt(row.occurrence_count),
+                severity: SEVERITY_NAMES[row.severity_rank] || 'LOW',
+                firstAt: new Date(row.first_at).toISOString(),
+                lastAt: new Date(row.last_at).toISOString()
+            });
+        }
+        
+        const groups = Array.from(handles.values()).sort((a, b) => b.alertCount - a.alertCount);
+        return {
+            since: new Date(since).toISOString(),
+            until: new Date(until).toISOString(),
+            totalAlerts: groups.reduce((sum, group) => sum + group.alertCount, 0),
+            handles: groups
+        };
+    }
+    
+    /**
+     * Send one user's digest covering the time since their last digest
+     * force sends even when there were no alerts (used by the test button)
+     */
+    async sendDigest(user, { now = new Date(), force = false } = {}) {
+        const frequency = DIGEST_PERIODS_MS[user.digest_frequency] ? user.digest_frequency : 'daily';
+        const since = user.last_digest_at && !force
+            ? new Date(user.last_digest_at)
+            : new Date(now.getTime() - DIGEST_PERIODS_MS[frequency]);
+        
+        const digest = await this.buildDigest(since, now);
+        if (digest.totalAlerts === 0 && !force) {
+            return null;
+        }
+        
+        return this.send({
+            to: user.email,
+            subject: `[T-intell] ${frequency === 'hourly' ? 'Hourly' : 'Daily'} alert digest: ${digest.totalAlerts} alert${digest.totalAlerts === 1 ? '' : 's'}`,
+            template: 'digest',
+            data: { user, digest, frequency }
+        });
+    }
+    
+    /**
+     * Send every digest that is due and move the users' last_digest_at forward
+     */
+    async sendDueDigests(now = new Date()) {
+        if (this.sendingDigests || !this.getStatus().enabled) {
+            return;
+        }
+        this.sendingDigests = true;
+        
+        try {
+            const result = await query(
+                `SELECT id, username, email, digest_frequency, last_digest_at FROM users
+                 WHERE digest_frequency IN ('hourly', 'daily') AND email IS NOT NULL AND email <> ''`
+            );
+            
+            for (const user of result.rows) {
+                const period = DIGEST_PERIODS_MS[user.digest_frequency];
+                if (user.last_digest_at && now - new Date(user.last_digest_at) < period) {
+                    continue;
+                }
+                
+                try {
+                    await this.sendDigest(user, { now });
+                    await query('UPDATE users SET last_digest_at = $1 WHERE id = $2', [now, user.id]);
+                } catch (error) {
+                    console.error(`[Email] Failed to send digest to ${user.email}:`, error.message);
+                }
+            }
+        } catch (error) {
+            console.error('[Email] Error sending digests:', error.message);
+        } finally {
+            this.sendingDigests = false;
+        }
+    }
+    
+    /**
+     * Start checking for due digests
+     */
+    startDigestScheduler() {
+        if (this.digestTimer) {
+            return;
+        }
+        this.digestTimer = setInterval(() => this.sendDueDigests(), DIGEST_CHECK_INTERVAL_MS);
+        console.log('[Email] Digest scheduler started');
+    }
+    
+    /**
+     * Stop the digest scheduler
+     */
+    stopDigestScheduler() {
+        if (this.digestTimer) {
+            clearInterval(this.digestTimer);
+            this.digestTimer = null;
+        }
+    }
+}
+
+// Create singleton instance
+const emailService = new EmailService();
+
+module.exports = emailService;
+module.exports.DIGEST_FREQUENCIES = DIGEST_FREQUENCIES;
@@ -0,0 +1,159 @@
+const { v4: uuidv4 } = require('uuid');
+const { query } = require('../config/database');
+const { ENTITY_TYPES } = require('../utils/entityExtractor');
+
+const MAX_VALUE_LENGTH = 500;
+
+/**
+ * Build the WHERE clause of an entity search
+ * Filters: type, q (value, as written or poster), accountHandle (live owner), username (poster), dateFrom, dateTo
+ */
+function buildFilters({ type, q, accountHandle, username, dateFrom, dateTo }) {
+    const conditions = [];
+    const params = [];
+    
+    if (type) {
+        params.push(type);
+        conditions.push(`ce.type = $${params.length}`);
+    }
+    
+    if (q) {
+        params.push(`%${q.toLowerCase()}%`);
+        conditions.push(`(LOWER(ce.value) LIKE $${params.length} OR LOWER(ce.raw_value) LIKE $${params.length} OR LOWER(ce.unique_id) LIKE $${params.length})`);
+    }
+    
+    if (accountHandle) {
+        params.push(accountHandle.replace('@', ''));
+        conditions.push(`ce.handle = $${params.length}`);
+    }
+    
+    if (username) {
+        params.push(username.replace('@', '').toLowerCase());
+        conditions.push(`LOWER(ce.unique_id) = $${params.length}`);
+    }
+    
+    if (dateFrom) {
+        params.push(new Date(dateFrom).toISOString());
+        conditions.push(`ce.timestamp >= $${params.length}`);
+    }
+    
+    if (dateTo) {
+        const endDate = new Date(dateTo);
+        endDate.setHours(23, 59, 59, 999);
+        params.push(endDate.toISOString());
+        conditions.push(`ce.timestamp <= $${params.length}`);
+    }
+    
+    return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+/**
+ * Entity Service - Stores the contact details found in chat messages and aggregates them
+ * The extractor runs when a chat event is received (event data keeps its entities); once the event
+ * is written, one chat_entities row per entity links it to the event, session and poster
+ */
+class EntityService {
+    /**
+     * Index the entities of events that were just written for a session
+     * Events without entities are skipped; rows already indexed are left alone
+     */
+    async recordEvents(sessionId, handle, events) {
+        const rows = [];
+        for (const event of events) {
+            for (const entity of event?.data?.entities || []) {
+                rows.push([
+                    uuidv4(),
+                    event.id,
+                    sessionId,
+                    handle,
+                    event.user?.uniqueId || null,
+                    event.user?.nickname || null,
+                    entity.type,
+                    String(entity.value).substring(0, MAX_VALUE_LENGTH),
+                    entity.raw ? String(entity.raw).substring(0, MAX_VALUE_LENGTH) : null,
+                    entity.platform || null,
+                    event.timestamp
+                ]);
+            }
+        }
+        
+        if (rows.length === 0) {
+            return 0;
+        }
+        
+        const params = [];
+        const placeholders = rows.map(row => {
+            const start = params.length;
+            params.push(...row);
+            return `(${row.map((_, i) => `$${start + i + 1}`).join(', ')})`;
+        });
+        
+        const result = await query(
+            `INSERT INTO chat_entities (id, event_id, session_id, handle, unique_id, nickname, type, value, raw_value, platform, timestamp)
+             VALUES ${placeholders.join(', ')}
+             ON CONFLICT (event_id, type, value) DO NOTHING`,
+            params
+        );
+        return result.rowCount;
+    }
+    
+    /**
+     * Entities grouped by type and value, most recently seen first
+     * Each entry lists the viewers who posted it and the sessions it appeared in
+     */
+    async search(filters = {}, limit = 1000) {
+        const { where, params } = buildFilters(filters);
+        params.push(limit);
+        
+        const result = await query(
+            `SELECT
+                ce.type,
+                ce.value,
+                COUNT(*) AS occurrences,
+                MIN(ce.timestamp) AS first_seen,
+                MAX(ce.timestamp) AS last_seen,
+                (ARRAY_AGG(ce.raw_value ORDER BY ce.timestamp DESC))[1] AS example,
+                ARRAY_REMOVE(ARRAY_AGG(DISTINCT ce.platform), NULL) AS platforms,
+                ARRAY_REMOVE(ARRAY_AGG(DISTINCT ce.unique_id), NULL) AS posters,
+                JSON_AGG(DISTINCT JSONB_BUILD_OBJECT('id', ce.session_id, 'handle', ce.handle, 'startTime', ls.start_time)) AS sessions
+             FROM chat_entities ce
+             INNER JOIN live_sessions ls ON ce.session_id = ls.id
+             ${where}
+             GROUP BY ce.type, ce.value
+             ORDER BY MAX(ce.timestamp) DESC
+             LIMIT $${params.length}`,
+            params
+        );
+        
+        return result.rows.map(row => ({
+            type: row.type,
+            value: row.value,
+            example: row.example || row.value,
+            occurrences: parseInt(row.occurrences) || 0,
+            firstSeen: new Date(row.first_seen).toISOString(),
+            lastSeen: new Date(row.last_seen).toISOString(),
+            platforms: row.platforms || [],
+            posters: (row.posters || []).sort(),
+            sessions: (row.sessions || [])
+                .map(session => ({ id: session.id, handle: session.handle, startTime: session.startTime }))
+                .sort((a, b) => new Date(b.startTime) - new Date(a.startTime))
+        }));
+    }
+    
+    /**
+     * Number of indexed entities per type
+     */
+    async countByType() {
+        const result = await query('SELECT type, COUNT(DISTINCT value) AS count FROM chat_entities GROUP BY type');
+        const counts = Object.fromEntries(ENTITY_TYPES.map(type => [type, 0]));
+        result.rows.forEach(row => {
+            counts[row.type] = parseInt(row.count) || 0;
+        });
+        return counts;
+    }
+}
+
+// Create singleton instance
+const entityService = new EntityService();
+
+module.exports = entityService;
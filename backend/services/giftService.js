@@ -0,0 +1,176 @@
+const { query } = require('../config/database');
+const { countGiftSends, summarizeGiftSends } = require('../utils/giftAccounting');
+
+// Default diamond to currency conversion (creators receive roughly half a US cent per diamond)
+const DEFAULT_SETTINGS = {
+    currency: 'USD',
+    diamondRate: 0.005 // Currency units per diamond
+};
+
+/**
+ * Validate gift settings sent to the API
+ */
+function sanitizeSettings(input = {}) {
+    const currency = String(input.currency || '').trim().toUpperCase();
+    const rate = parseFloat(input.diamondRate);
+    return {
+        currency: /^[A-Z]{3}$/.test(currency) ? currency : DEFAULT_SETTINGS.currency,
+        diamondRate: isNaN(rate) || rate < 0 ? DEFAULT_SETTINGS.diamondRate : Math.min(rate, 1000)
+    };
+}
+
+/**
+ * Convert gift event rows to events ({ sessionId, timestamp, user, data })
+ */
+function rowToGiftEvent(row) {
+    return {
+        sessionId: row.session_id,
+        timestamp: row.timestamp.toISOString(),
+        user: row.user_data || {},
+        data: row.event_data || {}
+    };
+}
+
+/**
+ * Gift Service - Diamond totals, top gifters and estimated earnings from stored gift events
+ * Streaks are counted once (see utils/giftAccounting), and diamonds are converted with the
+ * configured rate
+ */
+class GiftService {
+    constructor() {
+        this.settings = null;
+        this.lastLoadTime = null;
+        this.cacheTimeout = 60000; // Cache for 1 minute
+    }
+    
+    /**
+     * Load settings from database (with caching)
+     */
+    async loadSettings(forceReload = false) {
+        const now = Date.now();
+        
+        if (!forceReload && this.settings && this.lastLoadTime && (now - this.lastLoadTime) < this.cacheTimeout) {
+            return this.settings;
+        }
+        
+        try {
+            const result = await query('SELECT settings FROM gift_settings WHERE id = 1');
+            const stored = result.rows.length > 0 ? result.rows[0].settings : {};
+            this.settings = { ...DEFAULT_SETTINGS, ...stored };
+        } catch (error) {
+            console.error('[Gift Service] Error loading settings:', error.message);
+            this.settings = this.settings || { ...DEFAULT_SETTINGS };
+        }
+        this.lastLoadTime = now;
+        
+        return this.settings;
+    }
+    
+    /**
+     * Save settings (validated) and refresh the cache
+     * Fields missing from input keep their current value
+     */
+    async saveSettings(input) {
+        const current = await this.loadSettings(true);
+        const settings = sanitizeSettings({ ...current, ...input });
+        await query(
+            `INSERT INTO gift_settings (id, settings)
+             VALUES (1, $1)
+             ON CONFLICT (id) DO UPDATE SET settings = EXCLUDED.settings`,
+            [JSON.stringify(settings)]
+        );
+        this.settings = settings;
+        this.lastLoadTime = Date.now();
+        return settings;
+    }
+    
+    /**
+     * Estimated earnings of a diamond amount: { amount, currency }
+     */
+    toCurrency(diamonds, settings) {
+        return {
+            amount: Math.round(diamonds * settings.diamondRate * 100) / 100,
+            currency: settings.currency
+        };
+    }
+    
+    /**
+     * Gift events of one or more sessions, oldest first
+     */
+    async loadGiftEvents(sessionIds) {
+        if (sessionIds.length === 0) {
+            return [];
+        }
+        const result = await query(
+            `SELECT session_id, timestamp, user_data, event_data FROM events
+             WHERE session_id = ANY($1::uuid[]) AND type = 'gift'
+             ORDER BY timestamp ASC`,
+            [sessionIds]
+        );
+        return result.rows.map(rowToGiftEvent);
+    }
+    
+    /**
+     * Counted sends of a session's gift events, oldest first
+     */
+    async getSessionSends(sessionId) {
+        return countGiftSends(await this.loadGiftEvents([sessionId]));
+    }
+    
+    /**
+     * Gift economics of a session: totals, estimated earnings, top gifters and gift breakdown
+     */
+    async getSessionSummary(sessionId, topLimit = 10) {
+        const [sends, settings] = await Promise.all([this.getSessionSends(sessionId), this.loadSettings()]);
+        return this.withEarnings(summarizeGiftSends(sends, topLimit), settings);
+    }
+    
+    /**
+     * Gift economics of several sessions (e.g. all sessions of an account)
+     * Returns { summary, bySession: { sessionId: { totalGifts, totalDiamonds } } }
+     */
+    async getSessionsSummary(sessionIds, topLimit = 10) {
+        const [events, settings] = await Promise.all([this.loadGiftEvents(sessionIds), this.loadSettings()]);
+        
+        // Streaks never span sessions, so sends are counted per session
+        const eventsBySession = new Map();
+        for (const event of events) {
+            if (!eventsBySession.has(event.sessionId)) {
+                eventsBySession.set(event.sessionId, []);
+            }
+            eventsBySession.get(event.sessionId).push(event);
+        }
+        
+        const allSends = [];
+        const bySession = {};
+        for (const [sessionId, sessionEvents] of eventsBySession) {
+            const sends = countGiftSends(sessionEvents);
+            allSends.push(...sends);
+            bySession[sessionId] = {
+                totalGifts: sends.reduce((sum, send) => sum + send.repeatCount, 0),
+                totalDiamonds: sends.reduce((sum, send) => sum + send.diamonds, 0)
+            };
+        }
+        
+        return { summary: this.withEarnings(summarizeGiftSends(allSends, topLimit), settings), bySession };
+    }
+    
+    /**
+     * Add estimated earnings to a summary and its top gifters and gift types
+     */
+    withEarnings(summary, settings) {
+        return {
+            ...summary,
+            estimatedEarnings: this.toCurrency(summary.totalDiamonds, settings),
+            diamondRate: settings.diamondRate,
+            topGifters: summary.topGifters.map(gifter => ({ ...gifter, estimatedEarnings: this.toCurrency(gifter.diamonds, settings).amount })),
+            giftTypes: summary.giftTypes.map(giftType => ({ ...giftType, estimatedEarnings: this.toCurrency(giftType.diamonds, settings).amount }))
+        };
+    }
+}
+
+// Create singleton instance
+const giftService = new GiftService();
+
+module.exports = giftService;
+module.exports.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
@@ -1,8 +1,19 @@
 const { TikTokConnectionWrapper } = require('./connectionWrapper');
 const triggerService = require('./triggerService');
+const watchlistService = require('./watchlistService');
+const webhookService = require('./webhookService');
+const metricRuleService = require('./metricRuleService');
+const raidDetectionService = require('./raidDetectionService');
+const toxicityService = require('./toxicityService');
+const entityService = require('./entityService');
+const proxyPoolService = require('./proxyPoolService');
+const tiktokSessionService = require('./tiktokSessionService');
 const { v4: uuidv4 } = require('uuid');
 const { read, write, append, update, updateNested, bulkInsert } = require('../storage/dbStorage');
 const { query } = require('../config/database');
+const { detectLanguage } = require('../utils/languageDetector');
+const { extractEntities } = require('../utils/entityExtractor');
+const { GiftCounter } = require('../utils/giftAccounting');
 const path = require('path');
 
 // Active connections map: handle -> connection wrapper
@@ -14,6 +25,9 @@ const activeSessions = new Map();
 // Stats update queue: sessionId -> pending updates
 const statsUpdateQueue = new Map();
 
+// Gift totals of active sessions, counted like the session gift summary: sessionId -> GiftCounter
+const giftCounters = new Map();
+
 // Stats update interval
 let statsUpdateInterval = null;
 const STATS_UPDATE_INTERVAL_MS = 5 * 1000; // 5 seconds
@@ -48,6 +62,13 @@ async function startMonitoring(handle, roomId, io) {
             return;
         }
 
+        // Resolve the account's proxy before creating the session (throws when the pool has no
+        // available proxy and direct connections are not allowed)
+        const { options: proxyOptions, proxy } = await proxyPoolService.getConnectOptions(handle);
+        if (proxy) {
+            console.log(`[Live Connector] Using proxy ${proxy.label} for @${handle}`);
+        }
+        
         // Create new live session
         const sessionId = uuidv4();
             const session = {
@@ -61,6 +82,7 @@ async function startMonitoring(handle, roomId, io) {
                     totalLikes: 0,
                     totalViewers: 0,
                     totalGifts: 0,
+                    totalDiamonds: 0,
                     totalMessages: 0,
                     totalJoins: 0,
                     totalFollows: 0,
@@ -109,38 +131,39 @@ async function startMonitoring(handle, roomId, io) {
         startLastLiveTimeUpdates();
         
         // Start stats history tracking for this session
-        startStatsHistoryTracking(handle, sessionId);
+        startStatsHistoryTracking(handle, sessionId, io);
         
         // Start health checks if not already running
         startHealthChecks();
 
-        // Get session options if account has use_session enabled
+        // Get session options if account has use_session enabled (pinned session or round-robin from the pool)
         let connectOptions = {};
+        let tiktokSession = null;
         try {
             const accounts = await read('tiktok_accounts.json');
             const account = Array.isArray(accounts) ? accounts.find(a => a.handle === handle) : null;
             if (account?.useSession) {
-                const sessionResult = await query(
-                    'SELECT session_id, tt_target_idc, valid_until FROM tiktok_session WHERE id = 1'
-                );
-                const row = sessionResult.rows[0];
-                if (row?.session_id && row.valid_until && new Date(row.valid_until) > new Date()) {
-                    connectOptions = { sessionId: row.session_id };
-                    console.log(`[Live Connector] Using TikTok session for @${handle}`);
+                tiktokSession = await tiktokSessionService.getSession(handle);
+                if (tiktokSession) {
+                    connectOptions = { sessionId: tiktokSession.sessionId };
+                    console.log(`[Live Connector] Using TikTok session ${tiktokSession.label} for @${handle}`);
                 } else {
-                    console.warn(`[Live Connector] @${handle} - use_session enabled but no valid session (expired or not set)`);
+                    console.warn(`[Live Connector] @${handle} - use_session enabled but no usable session (none imported, expired, disabled or quarantined)`);
                 }
             }
         } catch (err) {
             console.warn(`[Live Connector] Error fetching session for @${handle}:`, err.message);
         }
 
-        // Create connection wrapper
-        const connectionWrapper = new TikTokConnectionWrapper(handle, connectOptions, true);
+        // Create connection wrapper (through the account's proxy when the proxy pool is enabled)
+        const connectionWrapper = new TikTokConnectionWrapper(handle, { ...connectOptions, ...proxyOptions }, true);
 
         // Connect with error handling
         connectionWrapper.connect().catch(async (err) => {
             const errorMessage = err?.message || err?.toString() || String(err);
+            if (tiktokSession) {
+                tiktokSessionService.recordFailure(tiktokSession.id, errorMessage).catch(console.error);
+            }
             const isDeviceBlocked = errorMessage.includes('DEVICE_BLOCKED') || 
                                    errorMessage.includes('handshake-status: 415') ||
                                    errorMessage.includes('Device blocked by TikTok') ||
@@ -190,6 +213,9 @@ async function startMonitoring(handle, roomId, io) {
         connectionWrapper.once('connected', async (state) => {
             console.log(`[Live Connector] Connected to live stream @${handle}, sessionId: ${sessionId}, roomId: ${state.roomId}`);
             activeConnections.set(handle, connectionWrapper);
+            if (tiktokSession) {
+                tiktokSessionService.recordSuccess(tiktokSession.id).catch(console.error);
+            }
 
             // Set up event handlers AFTER connection is established
             // This ensures events are captured properly
@@ -209,6 +235,12 @@ async function startMonitoring(handle, roomId, io) {
             } else {
                 console.warn(`[Live Connector] Socket.IO (io) is not available - cannot emit events`);
             }
+            
+            webhookService.dispatch('live.started', {
+                handle,
+                sessionId,
+                roomId: state.roomId
+            });
         });
 
         // Handle blocked event
@@ -289,9 +321,10 @@ async function stopMonitoring(handle, io) {
             await endSession(handle, sessionId, io);
             activeSessions.delete(handle);
             
-            // Remove from stats queue and event buffer
+            // Remove from stats queue, event buffer and gift counter
             statsUpdateQueue.delete(key);
             eventBuffers.delete(sessionId);
+            giftCounters.delete(sessionId);
         }
     } catch (error) {
         console.error(`Error stopping monitoring for @${handle}:`, error);
@@ -336,6 +369,8 @@ async function endSession(handle, sessionId, io) {
                 });
             }
             
+            webhookService.dispatch('live.ended', { handle, sessionId, endTime: null });
+            
             console.log(`[End Session] Cleaned up monitoring state for @${handle} (session ${sessionId} not found in DB)`);
             return;
         }
@@ -348,6 +383,7 @@ async function endSession(handle, sessionId, io) {
         
         // Remove from stats queue
         statsUpdateQueue.delete(key);
+        giftCounters.delete(sessionId);
         
         // Stop stats history tracking
         stopStatsHistoryTracking(sessionId);
@@ -370,6 +406,8 @@ async function endSession(handle, sessionId, io) {
                 sessionId
             });
         }
+        
+        webhookService.dispatch('live.ended', { handle, sessionId, endTime: session.endTime });
 
         console.log(`Session ended for @${handle}, sessionId: ${sessionId}`);
     } catch (error) {
@@ -392,14 +430,22 @@ function setupEventHandlers(connectionWrapper, handle, sessionId, io) {
         
         // Check trigger words for chat messages
         if (msg.comment && event) {
-            await triggerService.checkAndCreateAlert(msg.comment, handle, sessionId, event.id, io);
+            await triggerService.checkAndCreateAlert(event, handle, sessionId, io);
         }
     });
 
     // Gifts
     connection.on('gift', async (msg) => {
-        await handleEvent(handle, sessionId, 'gift', msg, io);
-        await updateStats(handle, sessionId, { totalGifts: 1 });
+        const event = await handleEvent(handle, sessionId, 'gift', msg, io);
+        // A streak repeats the event with a growing repeatCount; only the growth is added
+        if (event) {
+            if (!giftCounters.has(sessionId)) {
+                giftCounters.set(sessionId, new GiftCounter());
+            }
+            const change = giftCounters.get(sessionId).add(event);
+            await updateStats(handle, sessionId, { totalGifts: change.gifts, totalDiamonds: change.diamonds });
+        }
+        await triggerService.checkAndCreateAlert(event, handle, sessionId, io);
     });
 
     // Likes
@@ -412,7 +458,7 @@ function setupEventHandlers(connectionWrapper, handle, sessionId, io) {
 
     // Member joins/leaves
     connection.on('member', async (msg) => {
-        await handleEvent(handle, sessionId, 'member', msg, io);
+        const event = await handleEvent(handle, sessionId, 'member', msg, io);
         const actionType = (msg.actionType || '').toLowerCase();
         if (actionType === 'leave' || actionType === 'left') {
             await updateStats(handle, sessionId, { totalLeaves: 1 });
@@ -420,6 +466,7 @@ function setupEventHandlers(connectionWrapper, handle, sessionId, io) {
         } else {
             await updateStats(handle, sessionId, { totalJoins: 1 });
         }
+        await triggerService.checkAndCreateAlert(event, handle, sessionId, io);
     });
 
     // Social events (follows, shares, reposts)
@@ -439,6 +486,7 @@ function setupEventHandlers(connectionWrapper, handle, sessionId, io) {
                 console.log(`[Live Connector] Repost event @${handle}: ${msg.user?.uniqueId || 'unknown'}`);
             }
         }
+        await triggerService.checkAndCreateAlert(event, handle, sessionId, io);
     });
 
     // Viewer count updates
@@ -451,7 +499,8 @@ function setupEventHandlers(connectionWrapper, handle, sessionId, io) {
 
     // Questions
     connection.on('questionNew', async (msg) => {
-        await handleEvent(handle, sessionId, 'questionNew', msg, io);
+        const event = await handleEvent(handle, sessionId, 'questionNew', msg, io);
+        await triggerService.checkAndCreateAlert(event, handle, sessionId, io);
     });
 
     // Link Mic Battle
@@ -478,14 +527,16 @@ function setupEventHandlers(connectionWrapper, handle, sessionId, io) {
 
     // Envelopes (red packets)
     connection.on('envelope', async (msg) => {
-        await handleEvent(handle, sessionId, 'envelope', msg, io);
+        const event = await handleEvent(handle, sessionId, 'envelope', msg, io);
+        await triggerService.checkAndCreateAlert(event, handle, sessionId, io);
     });
 
     // Subscribes
     connection.on('subscribe', async (msg) => {
-        await handleEvent(handle, sessionId, 'subscribe', msg, io);
+        const event = await handleEvent(handle, sessionId, 'subscribe', msg, io);
         await updateStats(handle, sessionId, { totalSubscribes: 1 });
         console.log(`[Live Connector] Subscribe event @${handle}: ${msg.user?.uniqueId || 'unknown'}`);
+        await triggerService.checkAndCreateAlert(event, handle, sessionId, io);
     });
 
     // Stream end
@@ -520,6 +571,9 @@ async function handleEvent(handle, sessionId, type, data, io) {
             location: data.location || null
         };
 
+        // Score chat messages with the local toxicity classifier (stored with the event)
+        await toxicityService.scoreEvent(event);
+        
         // Emit Socket.IO event immediately for real-time UI updates
         // This ensures UI sees events instantly while file writes are batched
         if (io) {
@@ -542,6 +596,15 @@ async function handleEvent(handle, sessionId, type, data, io) {
         if (!eventFlushInterval) {
             startEventFlush();
         }
+        
+        // Alert if the viewer behind this event is on the watchlist
+        await watchlistService.checkAndCreateAlert(event, handle, sessionId, io);
+        
+        // Cluster chat messages across rooms to spot coordinated raids
+        await raidDetectionService.processEvent(event, handle, sessionId, io);
+        
+        // Alert on toxicity scores above their category thresholds
+        await toxicityService.checkAndCreateAlert(event, handle, sessionId, io);
 
         return event;
     } catch (error) {
@@ -576,7 +639,7 @@ function startEventFlush() {
             try {
                 // Verify session exists before writing events (foreign key constraint)
                 const { query } = require('../config/database');
-                const sessionCheck = await query('SELECT id FROM live_sessions WHERE id = $1', [sessionId]);
+                const sessionCheck = await query('SELECT id, handle FROM live_sessions WHERE id = $1', [sessionId]);
                 
                 if (sessionCheck.rows.length === 0) {
                     console.warn(`[Live Connector] Session ${sessionId} does not exist in database. Discarding ${events.length} buffered events.`);
@@ -606,6 +669,7 @@ function startEventFlush() {
                 // Write once (batch write - much faster than individual appends)
                 // dbStorage will verify session exists again before writing
                 await write(`events/${sessionId}.json`, data);
+                await indexEntities(sessionId, sessionCheck.rows[0].handle, events);
             } catch (error) {
                 // Check if it's a foreign key constraint error
                 if (error.message && error.message.includes('foreign key constraint')) {
@@ -673,6 +737,7 @@ async function flushEventsForSession(sessionId) {
 
         // Write once (dbStorage will verify session exists again before writing)
         await write(`events/${sessionId}.json`, data);
+        await indexEntities(sessionId, handle, events);
     } catch (error) {
         // Check if it's a foreign key constraint error
         if (error.message && error.message.includes('foreign key constraint')) {
@@ -688,6 +753,17 @@ async function flushEventsForSession(sessionId) {
     }
 }
 
+/**
+ * Index the contact details of written chat events (never throws, the events are already stored)
+ */
+async function indexEntities(sessionId, handle, events) {
+    try {
+        await entityService.recordEvents(sessionId, handle, events);
+    } catch (error) {
+        console.error(`[Live Connector] Error indexing chat entities for session ${sessionId}:`, error.message);
+    }
+}
+
 /**
  * Get event count for a session (for logging)
  */
@@ -728,16 +804,23 @@ function extractEventData(type, data) {
     
     // For specific types, ensure we capture important fields explicitly
     switch (type) {
-        case 'chat':
+        case 'chat': {
+            // language is what TikTok reports (often missing); detectedLanguage is identified locally
+            const detected = detectLanguage(data.comment);
+            const entities = extractEntities(data.comment);
             return {
                 ...baseData,  // Include all original fields
                 comment: data.comment || '',
                 language: data.language || null,
+                detectedLanguage: detected.language,
+                languageConfidence: detected.confidence,
+                entities, // Contact details found in the message (emails, phones, links, @handles)
                 msgType: data.msgType || null,
                 // Explicitly include any other chat-specific fields
                 commentUser: data.commentUser || null,
                 createTime: data.createTime || null
             };
+        }
         case 'gift':
             return {
                 ...baseData,
@@ -882,6 +965,7 @@ function queueStatsUpdate(handle, sessionId, updates) {
                 totalLikes: null,
                 totalViewers: null,
                 totalGifts: 0,
+                totalDiamonds: 0,
                 totalMessages: 0,
                 totalJoins: 0,
                 totalFollows: 0,
@@ -908,6 +992,9 @@ function queueStatsUpdate(handle, sessionId, updates) {
     if (updates.totalGifts) {
         queueItem.pendingUpdates.totalGifts += updates.totalGifts;
     }
+    if (updates.totalDiamonds) {
+        queueItem.pendingUpdates.totalDiamonds += updates.totalDiamonds;
+    }
     if (updates.totalMessages) {
         queueItem.pendingUpdates.totalMessages += updates.totalMessages;
     }
@@ -1002,6 +1089,7 @@ async function updateStatsInternal(handle, sessionId, updates) {
                 totalLikes: 0,
                 totalViewers: 0,
                 totalGifts: 0,
+                totalDiamonds: 0,
                 totalMessages: 0,
                 totalJoins: 0,
                 totalFollows: 0,
@@ -1019,9 +1107,13 @@ async function updateStatsInternal(handle, sessionId, updates) {
         if (updates.totalViewers !== null && updates.totalViewers !== undefined) {
             session.stats.totalViewers = Math.max(session.stats.totalViewers, updates.totalViewers);
         }
-        if (updates.totalGifts > 0) {
+        // Gift changes can be negative (see GiftCounter)
+        if (updates.totalGifts) {
             session.stats.totalGifts += updates.totalGifts;
         }
+        if (updates.totalDiamonds) {
+            session.stats.totalDiamonds = (session.stats.totalDiamonds || 0) + updates.totalDiamonds;
+        }
         if (updates.totalMessages > 0) {
             session.stats.totalMessages += updates.totalMessages;
         }
@@ -1117,6 +1209,7 @@ function startLastLiveTimeUpdates() {
 
 /**
  * Take a snapshot of current stats for history
+ * Returns the session's stats history including the new snapshot (oldest first)
  */
 async function takeStatsSnapshot(handle, sessionId) {
     try {
@@ -1135,6 +1228,7 @@ async function takeStatsSnapshot(handle, sessionId) {
                 totalLikes: 0,
                 totalViewers: 0,
                 totalGifts: 0,
+                totalDiamonds: 0,
                 totalMessages: 0,
                 totalJoins: 0,
                 totalFollows: 0,
@@ -1152,6 +1246,7 @@ async function takeStatsSnapshot(handle, sessionId) {
                 totalLikes: session.stats.totalLikes || 0,
                 totalViewers: session.stats.totalViewers || 0,
                 totalGifts: session.stats.totalGifts || 0,
+                totalDiamonds: session.stats.totalDiamonds || 0,
                 totalMessages: session.stats.totalMessages || 0,
                 totalJoins: session.stats.totalJoins || 0,
                 totalFollows: session.stats.totalFollows || 0,
@@ -1163,23 +1258,22 @@ async function takeStatsSnapshot(handle, sessionId) {
             }
         };
         
-        // Append to history file
+        // Append to history (write() of a whole history array is a no-op for stats_history)
         const history = await read(`stats_history/${sessionId}.json`);
-        if (!Array.isArray(history)) {
-            await write(`stats_history/${sessionId}.json`, [snapshot]);
-        } else {
-            history.push(snapshot);
-            await write(`stats_history/${sessionId}.json`, history);
-        }
+        await append(`stats_history/${sessionId}.json`, { ...snapshot, sessionId });
+        
+        return [...(Array.isArray(history) ? history : []), snapshot];
     } catch (error) {
         console.error(`Error taking stats snapshot for @${handle}:`, error);
+        return null;
     }
 }
 
 /**
  * Start stats history tracking for a session
+ * Metric rules are evaluated on every snapshot
  */
-function startStatsHistoryTracking(handle, sessionId) {
+function startStatsHistoryTracking(handle, sessionId, io) {
     // Take initial snapshot
     takeStatsSnapshot(handle, sessionId);
     
@@ -1187,7 +1281,10 @@ function startStatsHistoryTracking(handle, sessionId) {
     const intervalId = setInterval(async () => {
         // Check if session is still active
         if (activeSessions.get(handle) === sessionId) {
-            await takeStatsSnapshot(handle, sessionId);
+            const history = await takeStatsSnapshot(handle, sessionId);
+            if (history) {
+                await metricRuleService.evaluate(handle, sessionId, history, io);
+            }
         } else {
             // Session ended, clear interval
             clearInterval(intervalId);
@@ -1207,6 +1304,7 @@ function stopStatsHistoryTracking(sessionId) {
         clearInterval(intervalId);
         statsHistoryTracking.delete(sessionId);
     }
+    metricRuleService.clearSession(sessionId);
 }
 
 /**
@@ -1386,6 +1484,7 @@ async function verifyAndCleanupSessions(io) {
                         await processStatsUpdates();
                         statsUpdateQueue.delete(key);
                     }
+                    giftCounters.delete(sessionId);
                     
                     // Stop stats history tracking
                     stopStatsHistoryTracking(sessionId);
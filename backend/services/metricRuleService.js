@@ -0,0 +1,348 @@
+const { v4: uuidv4 } = require('uuid');
+const { query } = require('../config/database');
+const alertService = require('./alertService');
+const { appliesToAccount, normalizeScope, validateRule } = require('./triggerService');
+
+// Metrics a rule can watch
+// viewer_count: peak viewer count of the session is above threshold
+// message_rate_spike: messages per minute over the last window are threshold times the session median
+// likes_stalled: like count has not moved for window_minutes
+const METRICS = ['viewer_count', 'message_rate_spike', 'likes_stalled'];
+
+const MIN_BASELINE_SAMPLES = 5; // Minutes of history before a spike can be measured against the median
+
+/**
+ * Convert metric_rules row to JSON format
+ */
+function rowToRule(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        metric: row.metric,
+        threshold: row.threshold !== null ? parseFloat(row.threshold) : null,
+        windowMinutes: row.window_minutes,
+        severity: (row.severity || 'MEDIUM').toLowerCase(),
+        scope: normalizeScope(row.scope),
+        enabled: row.enabled !== false,
+        createdAt: row.created_at ? new Date(row.created_at).toISOString() : null,
+        updatedAt: row.updated_at ? new Date(row.updated_at).toISOString() : null
+    };
+}
+
+/**
+ * Validate metric rule fields sent to the API
+ * Returns an error message or null
+ */
+function validateMetricRule({ name, metric, threshold, windowMinutes, severity, scope }) {
+    if (name !== undefined && (typeof name !== 'string' || name.trim().length === 0)) {
+        return 'Name is required';
+    }
+    
+    if (metric !== undefined && !METRICS.includes(metric)) {
+        return `Invalid metric. Must be one of: ${METRICS.join(', ')}`;
+    }
+    
+    if (threshold !== undefined && threshold !== null) {
+        const value = Number(threshold);
+        if (!Number.isFinite(value) || value <= 0) {
+            return 'Threshold must be a positive number';
+        }
+    }
+    
+    if (windowMinutes !== undefined && windowMinutes !== null) {
+        const value = Number(windowMinutes);
+        if (!Number.isInteger(value) || value < 1 || value > 1440) {
+            return 'Window must be a whole number of minutes between 1 and 1440';
+        }
+    }
+    
+    if (severity !== undefined && !['low', 'medium', 'high'].includes(String(severity).toLowerCase())) {
+        return 'Invalid severity. Must be low, medium, or high';
+    }
+    
+    return validateRule({ scope });
+}
+
+/**
+ * Value of a stats counter at a point in time (last snapshot taken at or before it)
+ * history is ordered by timestamp; returns null when no snapshot is that old
+ */
+function valueAt(history, time, field) {
+    let value = null;
+    for (const snapshot of history) {
+        if (new Date(snapshot.timestamp).getTime() > time) {
+            break;
+        }
+        value = snapshot.stats?.[field] || 0;
+    }
+    return value;
+}
+
+/**
+ * Median of a list of numbers
+ */
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+/**
+ * Evaluate one rule against a session's stats history (stats_history snapshots, oldest first)
+ * Returns { triggered, message, values }, or null when there is not enough history yet
+ */
+function evaluateMetric(rule, history) {
+    if (!history || history.length === 0) {
+        return null;
+    }
+    
+    const latest = history[history.length - 1];
+    const latestTime = new Date(latest.timestamp).getTime();
+    const startTime = new Date(history[0].timestamp).getTime();
+    
+    if (rule.metric === 'viewer_count') {
+        const viewers = latest.stats?.totalViewers || 0;
+        return {
+            triggered: viewers > rule.threshold,
+            message: `Viewer count ${viewers.toLocaleString('en-US')} is above ${rule.threshold.toLocaleString('en-US')}`,
+            values: { viewers, threshold: rule.threshold }
+        };
+    }
+    
+    if (rule.metric === 'message_rate_spike') {
+        const windowMs = (rule.windowMinutes || 1) * 60000;
+        const currentStart = valueAt(history, latestTime - windowMs, 'totalMessages');
+        if (currentStart === null) {
+            return null;
+        }
+        const currentRate = ((latest.stats?.totalMessages || 0) - currentStart) / (rule.windowMinutes || 1);
+        
+        // Rates of every earlier window, sliding one minute at a time
+        const baselineRates = [];
+        for (let end = startTime + windowMs; end <= latestTime - windowMs; end += 60000) {
+            const from = valueAt(history, end - windowMs, 'totalMessages');
+            const to = valueAt(history, end, 'totalMessages');
+            if (from !== null && to !== null) {
+                baselineRates.push((to - from) / (rule.windowMinutes || 1));
+            }
+        }
+        if (baselineRates.length < MIN_BASELINE_SAMPLES) {
+            return null;
+        }
+        
+        const medianRate = median(baselineRates);
+        const ratio = currentRate / Math.max(medianRate, 1);
+        return {
+            triggered: ratio >= rule.threshold,
+            message: `Messages per minute spiked to ${currentRate.toFixed(1)} (${ratio.toFixed(1)}x the session median of ${medianRate.toFixed(1)})`,
+            values: {
+                messagesPerMinute: Math.round(currentRate * 10) / 10,
+                sessionMedian: Math.round(medianRate * 10) / 10,
+                ratio: Math.round(ratio * 10) / 10,
+                threshold: rule.threshold,
+                windowMinutes: rule.windowMinutes || 1
+            }
+        };
+    }
+    
+    if (rule.metric === 'likes_stalled') {
+        const windowMs = (rule.windowMinutes || 10) * 60000;
+        const likesBefore = valueAt(history, latestTime - windowMs, 'totalLikes');
+        if (likesBefore === null) {
+            return null;
+        }
+        const likes = latest.stats?.totalLikes || 0;
+        return {
+            triggered: likes === likesBefore,
+            message: `Likes stalled at ${likes.toLocaleString('en-US')} for ${rule.windowMinutes || 10} minutes`,
+            values: { likes, windowMinutes: rule.windowMinutes || 10 }
+        };
+    }
+    
+    return null;
+}
+
+/**
+ * Metric Rule Service - Alerts on live session statistics instead of keywords
+ * Rules are evaluated on every stats history snapshot of a live session. A rule fires once when its
+ * condition becomes true and fires again only after the condition has cleared
+ */
+class MetricRuleService {
+    constructor() {
+        this.rules = null; // enabled rules
+        this.accountTags = new Map(); // lowercase handle -> tags
+        this.lastLoadTime = null;
+        this.cacheTimeout = 60000; // Cache for 1 minute
+        this.firing = new Set(); // "<ruleId>|<sessionId>" of rules whose condition currently holds
+    }
+    
+    /**
+     * Load enabled rules and account tags from database (with caching)
+     */
+    async loadRules(forceReload = false) {
+        const now = Date.now();
+        
+        if (!forceReload && this.rules && this.lastLoadTime && (now - this.lastLoadTime) < this.cacheTimeout) {
+            return this.rules;
+        }
+        
+        try {
+            const [rules, accounts] = await Promise.all([
+                query('SELECT * FROM metric_rules WHERE enabled = TRUE'),
+                query('SELECT handle, tags FROM tiktok_accounts')
+            ]);
+            this.rules = rules.rows.map(rowToRule);
+            this.accountTags = new Map(accounts.rows.map(row => [String(row.handle).toLowerCase(), row.tags || []]));
+        } catch (error) {
+            console.error('[Metric Rules] Error loading rules:', error.message);
+            this.rules = this.rules || [];
+        }
+        this.lastLoadTime = now;
+        
+        return this.rules;
+    }
+    
+    /**
+     * List all metric rules
+     */
+    async list() {
+        const result = await query('SELECT * FROM metric_rules ORDER BY created_at DESC');
+        return result.rows.map(rowToRule);
+    }
+    
+    /**
+     * Add a metric rule
+     */
+    async add({ name, metric, threshold, windowMinutes, severity, scope, enabled }) {
+        const result = await query(
+            `INSERT INTO metric_rules (id, name, metric, threshold, window_minutes, severity, scope, enabled, created_at, updated_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), NOW()) RETURNING *`,
+            [
+                uuidv4(),
+                name.trim(),
+                metric,
+                threshold !== undefined && threshold !== null ? Number(threshold) : null,
+                windowMinutes !== undefined && windowMinutes !== null ? Number(windowMinutes) : null,
+                (severity || 'medium').toUpperCase(),
+                JSON.stringify(normalizeScope(scope)),
+                enabled !== false
+            ]
+        );
+        this.clearCache();
+        return rowToRule(result.rows[0]);
+    }
+    
+    /**
+     * Update a metric rule; fields left undefined keep their value
+     */
+    async update(id, { name, threshold, windowMinutes, severity, scope, enabled }) {
+        const result = await query(
+            `UPDATE metric_rules SET
+                name = COALESCE($1, name),
+                threshold = COALESCE($2, threshold),
+                window_minutes = COALESCE($3, window_minutes),
+                severity = COALESCE($4, severity),
+                scope = COALESCE($5, scope),
+                enabled = COALESCE($6, enabled),
+                updated_at = NOW()
+             WHERE id = $7 RETURNING *`,
+            [
+                name !== undefined ? name.trim() : null,
+                threshold !== undefined && threshold !== null ? Number(threshold) : null,
+                windowMinutes !== undefined && windowMinutes !== null ? Number(windowMinutes) : null,
+                severity !== undefined ? String(severity).toUpperCase() : null,
+                scope !== undefined ? JSON.stringify(normalizeScope(scope)) : null,
+                enabled !== undefined ? enabled !== false : null,
+                id
+            ]
+        );
+        this.clearCache();
+        return result.rows.length > 0 ? rowToRule(result.rows[0]) : null;
+    }
+    
+    /**
+     * Remove a metric rule
+     */
+    async remove(id) {
+        const result = await query('DELETE FROM metric_rules WHERE id = $1', [id]);
+        this.clearCache();
+        return result.rowCount > 0;
+    }
+    
+    /**
+     * Evaluate every rule that applies to the handle against the session's stats history
+     * and create a metric alert for each rule whose condition just became true
+     * Never throws
+     */
+    async evaluate(handle, sessionId, history, io) {
+        try {
+            const rules = await this.loadRules();
+            const account = { handle, tags: this.accountTags.get(String(handle).toLowerCase()) || [] };
+            
+            for (const rule of rules) {
+                if (!appliesToAccount(rule, account)) continue;
+                
+                const result = evaluateMetric(rule, history);
+                if (!result) continue;
+                
+                const key = `${rule.id}|${sessionId}`;
+                if (!result.triggered) {
+                    this.firing.delete(key);
+                    continue;
+                }
+                if (this.firing.has(key)) continue;
+                this.firing.add(key);
+                
+                const alert = {
+                    id: uuidv4(),
+                    triggerWord: 'metric',
+                    triggerId: rule.id,
+                    eventType: rule.metric,
+                    source: 'metric',
+                    sessionId,
+                    handle,
+                    eventId: null,
+                    timestamp: new Date().toISOString(),
+                    severity: rule.severity,
+                    status: 'new',
+                    message: `${rule.name}: ${result.message}`,
+                    details: { rule: rule.name, metric: rule.metric, ...result.values },
+                    acknowledgedAt: null,
+                    resolvedAt: null
+                };
+                
+                await alertService.createAlert(alert, { io });
+                console.log(`Alert created for @${handle}: metric rule "${rule.name}" fired (${result.message})`);
+            }
+        } catch (error) {
+            console.error(`[Metric Rules] Error evaluating rules for @${handle}:`, error.message);
+        }
+    }
+    
+    /**
+     * Forget firing state of an ended session
+     */
+    clearSession(sessionId) {
+        for (const key of this.firing) {
+            if (key.endsWith(`|${sessionId}`)) {
+                this.firing.delete(key);
+            }
+        }
+    }
+    
+    /**
+     * Clear cache (force reload on next access)
+     */
+    clearCache() {
+        this.rules = null;
+        this.lastLoadTime = null;
+    }
+}
+
+// Create singleton instance
+const metricRuleService = new MetricRuleService();
+
+module.exports = metricRuleService;
+module.exports.METRICS = METRICS;
+module.exports.validateMetricRule = validateMetricRule;
+module.exports.evaluateMetric = evaluateMetric;
@@ -1,9 +1,13 @@
 const { WebcastPushConnection } = require('tiktok-live-connector');
 const { read, updateNested } = require('../storage/dbStorage');
-const { query } = require('../config/database');
 const liveConnectorService = require('./liveConnectorService');
 const blockTrackerService = require('./blockTrackerService');
 const settingsService = require('./settingsService');
+const proxyPoolService = require('./proxyPoolService');
+const tiktokSessionService = require('./tiktokSessionService');
+const probeSchedulerService = require('./probeSchedulerService');
+const pollingScheduleService = require('./pollingScheduleService');
+const tikTokMetaService = require('./tikTokMetaService');
 
 // Get io instance when available
 let ioInstance = null;
@@ -12,9 +16,6 @@ function setIo(io) {
     ioInstance = io;
 }
 
-// Track polling intervals per account
-const accountPollIntervals = new Map();
-
 // Track recovery test intervals
 const recoveryTestIntervals = new Map();
 
@@ -25,34 +26,26 @@ const quickRetryAttempts = new Map();
 const SESSION_END_COOLDOWN_MS = 90000; // 90 seconds default
 
 /**
- * Check if an account is currently live using two-phase verification:
- * 1. Connect phase: attempt WebSocket connection to get roomId
- * 2. Verification phase: listen for live-only events (chat, gift, viewerCount, etc.)
- * 
- * TikTok allows connecting to inactive/scheduled/ghost rooms, so connection alone
- * doesn't guarantee LIVE status. We need to see actual live events.
+ * TikTok session to check an account with (null when it does not use one)
  */
 async function getSessionOptionsForHandle(handle) {
     try {
-        const accounts = await read('tiktok_accounts.json');
-        const account = Array.isArray(accounts) ? accounts.find(a => a.handle === handle) : null;
-        if (!account?.useSession) return null;
-        const sessionResult = await query(
-            'SELECT session_id, tt_target_idc, valid_until FROM tiktok_session WHERE id = 1'
-        );
-        const row = sessionResult.rows[0];
-        if (!row?.session_id || !row.valid_until || new Date(row.valid_until) <= new Date()) return null;
-        return { sessionId: row.session_id, ttTargetIdc: row.tt_target_idc };
+        return await tiktokSessionService.getSessionForHandle(handle);
     } catch (err) {
         console.warn(`[checkIfLive] Error fetching session for @${handle}:`, err.message);
         return null;
     }
 }
 
-async function checkIfLive(handle, previousRoomId = null, sessionOptions = null) {
-    if (sessionOptions === null || sessionOptions === undefined) {
-        sessionOptions = await getSessionOptionsForHandle(handle);
-    }
+/**
+ * Websocket probe: check if an account is currently live using two-phase verification:
+ * 1. Connect phase: attempt WebSocket connection to get roomId
+ * 2. Verification phase: listen for live-only events (chat, gift, viewerCount, etc.)
+ * 
+ * TikTok allows connecting to inactive/scheduled/ghost rooms, so connection alone
+ * doesn't guarantee LIVE status. We need to see actual live events.
+ */
+async function websocketProbe(handle, previousRoomId = null, sessionOptions = null) {
     const startTime = Date.now();
     const PROBE_TIMEOUT_MS = 5000; // 5 seconds to detect live events
     const MIN_PROBE_TIME_MS = 2000; // Minimum 2 seconds even if events arrive
@@ -83,8 +76,12 @@ async function checkIfLive(handle, previousRoomId = null, sessionOptions = null)
     
     try {
         // ========== PHASE 1: CONNECT ==========
-        const connectOptions = sessionOptions?.sessionId ? { sessionId: sessionOptions.sessionId } : {};
-        console.log(`[DEBUG checkIfLive] @${handle} - [PHASE 1] Creating connection object...${connectOptions.sessionId ? ' (with session)' : ''}`);
+        const { options: proxyOptions, proxy } = await proxyPoolService.getConnectOptions(handle);
+        const connectOptions = {
+            ...(sessionOptions?.sessionId ? { sessionId: sessionOptions.sessionId } : {}),
+            ...proxyOptions
+        };
+        console.log(`[DEBUG checkIfLive] @${handle} - [PHASE 1] Creating connection object...${connectOptions.sessionId ? ` (with session ${sessionOptions.label})` : ''}${proxy ? ` (via proxy ${proxy.label})` : ''}`);
         connection = new WebcastPushConnection(handle, connectOptions);
         
         console.log(`[DEBUG checkIfLive] @${handle} - [PHASE 1] Attempting WebSocket connection...`);
@@ -92,6 +89,9 @@ async function checkIfLive(handle, previousRoomId = null, sessionOptions = null)
         const connectTime = Date.now() - startTime;
         
         console.log(`[DEBUG checkIfLive] @${handle} - [PHASE 1] ✓ Connection successful! roomId: ${connectedState.roomId}, connectTime: ${connectTime}ms`);
+        if (sessionOptions?.id) {
+            tiktokSessionService.recordSuccess(sessionOptions.id).catch(console.error);
+        }
         
         // Check for roomId reuse
         if (previousRoomId && connectedState.roomId === previousRoomId) {
@@ -309,6 +309,10 @@ async function checkIfLive(handle, previousRoomId = null, sessionOptions = null)
         // Clean up on error
         cleanup();
         
+        if (sessionOptions?.id) {
+            tiktokSessionService.recordFailure(sessionOptions.id, errorMessage).catch(console.error);
+        }
+        
         // Check if it's a device blocked error
         const isDeviceBlocked = errorMessage.includes('DEVICE_BLOCKED') || 
                                errorMessage.includes('handshake-status: 415') ||
@@ -338,6 +342,93 @@ async function checkIfLive(handle, previousRoomId = null, sessionOptions = null)
     }
 }
 
+/**
+ * HTTP pre-check: live status from the account's profile page (through its proxy when the pool is on)
+ * Returns { stage: 'http', outcome: 'live' | 'offline' | 'inconclusive', reason, roomId, timeMs }
+ */
+async function httpPrecheck(handle, sessionOptions = null) {
+    const startTime = Date.now();
+    try {
+        const { options } = await proxyPoolService.getConnectOptions(handle);
+        const status = await tikTokMetaService.fetchLiveStatus(handle, {
+            session: sessionOptions,
+            agent: options.requestOptions?.httpsAgent || null
+        });
+        return {
+            stage: 'http',
+            outcome: status.status === 'unknown' ? 'inconclusive' : status.status,
+            reason: status.reason,
+            roomId: status.roomId,
+            timeMs: Date.now() - startTime
+        };
+    } catch (error) {
+        return { stage: 'http', outcome: 'inconclusive', reason: error.message, roomId: null, timeMs: Date.now() - startTime };
+    }
+}
+
+/**
+ * Check if an account is live in two stages, each switchable in the anti-blocking settings:
+ * 1. HTTP pre-check (cheap, no websocket): an account the profile page shows offline is offline
+ * 2. Websocket probe (see websocketProbe), run only when the pre-check says live or is inconclusive
+ * The outcome of every stage is logged and returned in `stages`. websocketOnly skips the pre-check
+ * (block recovery tests must exercise the websocket, which is what TikTok blocks)
+ */
+async function probeIfLive(handle, previousRoomId = null, sessionOptions = null, { websocketOnly = false } = {}) {
+    if (sessionOptions === null || sessionOptions === undefined) {
+        sessionOptions = await getSessionOptionsForHandle(handle);
+    }
+    const stageSettings = await settingsService.getLiveCheckStages();
+    const stages = [];
+    let precheck = null;
+    
+    if (stageSettings.httpPrecheck && !websocketOnly) {
+        precheck = await httpPrecheck(handle, sessionOptions);
+        stages.push(precheck);
+        console.log(`[checkIfLive] @${handle} - [HTTP pre-check] ${precheck.outcome} (${precheck.reason}, ${precheck.timeMs}ms)`);
+        
+        if (precheck.outcome === 'offline') {
+            console.log(`[checkIfLive] @${handle} - [Websocket probe] skipped, pre-check says offline`);
+            return { isLive: false, roomId: null, reason: 'http_precheck_offline', stages, totalTime: precheck.timeMs };
+        }
+    }
+    
+    if (!stageSettings.websocketProbe && !websocketOnly) {
+        const isLive = precheck?.outcome === 'live';
+        console.log(`[checkIfLive] @${handle} - [Websocket probe] skipped (disabled), ${isLive ? 'live' : 'not live'} from the pre-check`);
+        return {
+            isLive,
+            roomId: isLive ? precheck.roomId : null,
+            reason: isLive ? 'http_precheck_live' : 'http_precheck_inconclusive',
+            stages,
+            totalTime: precheck ? precheck.timeMs : 0
+        };
+    }
+    
+    const result = await websocketProbe(handle, previousRoomId, sessionOptions);
+    const outcome = result.blocked ? 'blocked' : result.error ? 'error' : result.isLive ? 'live' : 'offline';
+    stages.push({ stage: 'websocket', outcome, reason: result.reason || result.error || null, roomId: result.roomId, timeMs: result.totalTime });
+    console.log(`[checkIfLive] @${handle} - [Websocket probe] ${outcome}${result.reason || result.error ? ` (${result.reason || result.error})` : ''}, ${result.totalTime}ms${precheck ? `; pre-check said ${precheck.outcome}` : ''}`);
+    
+    return { ...result, stages };
+}
+
+/**
+ * True when a check result came from the websocket probe (an HTTP-only result says nothing about
+ * websocket blocks)
+ */
+function websocketProbed(liveStatus) {
+    return liveStatus.stages.some(stage => stage.stage === 'websocket');
+}
+
+/**
+ * Check if an account is live (see probeIfLive), within the probe scheduler's concurrency and
+ * rate budget: the probe waits in the scheduler queue until a slot and a token are free
+ * options.priority puts the probe ahead of the scheduled ones (a user is waiting for the answer)
+ */
+function checkIfLive(handle, previousRoomId = null, sessionOptions = null, options = {}) {
+    return probeSchedulerService.run(handle, () => probeIfLive(handle, previousRoomId, sessionOptions, options), { priority: options.priority === true });
+}
+
 /**
  * Check a single account and update status
  */
@@ -578,13 +669,13 @@ async function checkAccount(handle) {
         }
         
         // Connection successful - clear quick retry counter if it exists
-        if (quickRetryAttempts.has(handle)) {
+        if (websocketProbed(liveStatus) && quickRetryAttempts.has(handle)) {
             quickRetryAttempts.delete(handle);
             console.log(`[Poller] ✓ @${handle} - Connection successful after retry. Cleared retry counter.`);
         }
         
         // If we got here and weren't blocked, clear any existing block (recovery)
-        if (blockTrackerService.getActiveBlocks().find(b => b.handle === handle && !b.dismissed)) {
+        if (websocketProbed(liveStatus) && blockTrackerService.getActiveBlocks().find(b => b.handle === handle && !b.dismissed)) {
             await blockTrackerService.clearBlock(handle);
             console.log(`[Poller] ✓ @${handle} - Block cleared, connection recovered!`);
             
@@ -610,6 +701,7 @@ async function checkAccount(handle) {
                 // Not monitoring yet, or sessionId exists but monitoring not active - start monitoring
                 console.log(`[@${handle}] is LIVE! Starting monitoring...`);
                 await liveConnectorService.startMonitoring(handle, liveStatus.roomId, ioInstance);
+                pollingScheduleService.invalidate(handle); // Learn from this start on the next offline check
                 
                 // Get updated status after starting monitoring
                 const updatedMonitored = await read('monitored.json');
@@ -731,10 +823,10 @@ async function checkAccount(handle) {
                 });
             }
             
-            // Schedule next check (offline - use settings)
-            const intervals = await settingsService.getPollingIntervals();
-            scheduleNextCheck(handle, intervals.offlineMs);
-            console.log(`[DEBUG checkAccount] @${handle} - ✓ Check complete: NOT LIVE, next check in ${intervals.offlineMs / 1000 / 60}min (total time: ${Date.now() - checkStartTime}ms)`);
+            // Schedule next check (offline - adaptive around the account's usual go-live times, or fixed)
+            const plan = await pollingScheduleService.getPlan(handle);
+            scheduleNextCheck(handle, plan.intervalMs);
+            console.log(`[DEBUG checkAccount] @${handle} - ✓ Check complete: NOT LIVE, next check in ${Math.round(plan.intervalMs / 6000) / 10}min (${plan.reason}) (total time: ${Date.now() - checkStartTime}ms)`);
         }
         console.log(`[DEBUG checkAccount] @${handle} ========== Check completed successfully ==========`);
     } catch (error) {
@@ -748,22 +840,10 @@ async function checkAccount(handle) {
 }
 
 /**
- * Schedule next check for an account
+ * Schedule next check for an account (replaces its pending check; the scheduler adds jitter)
  */
 function scheduleNextCheck(handle, intervalMs) {
-    // Clear existing interval for this account
-    const existingInterval = accountPollIntervals.get(handle);
-    if (existingInterval) {
-        clearTimeout(existingInterval);
-    }
-    
-    // Schedule next check
-    const timeoutId = setTimeout(() => {
-        accountPollIntervals.delete(handle);
-        checkAccount(handle);
-    }, intervalMs);
-    
-    accountPollIntervals.set(handle, timeoutId);
+    probeSchedulerService.schedule(handle, intervalMs, () => checkAccount(handle));
 }
 
 /**
@@ -823,7 +903,7 @@ async function testBlockRecovery(handle) {
     console.log(`[Block Recovery Test] Testing @${handle} - Block age: ${hoursInCooldown.toFixed(1)}h`);
     
     try {
-        const liveStatus = await checkIfLive(handle);
+        const liveStatus = await checkIfLive(handle, null, null, { websocketOnly: true });
         
         if (!liveStatus.blocked && liveStatus.isLive !== undefined) {
             // Connection succeeded - block appears to be lifted
@@ -872,10 +952,14 @@ async function pollMonitoredAccounts() {
             console.log(`[Poller] ${accountsInCooldown.length} account(s) in cooldown: ${accountsInCooldown.join(', ')}`);
         }
         
-        console.log(`[Poller] Checking ${accountsToCheck.length} monitored accounts (${enabledAccounts.length - accountsToCheck.length} in cooldown)...`);
+        // Spread the first checks evenly over the offline poll interval instead of probing every account at once
+        const intervals = await settingsService.getPollingIntervals();
+        const spacingMs = accountsToCheck.length > 0 ? intervals.offlineMs / accountsToCheck.length : 0;
+        console.log(`[Poller] Scheduling ${accountsToCheck.length} monitored accounts over ${intervals.offlineMs / 1000 / 60}min (${enabledAccounts.length - accountsToCheck.length} in cooldown)...`);
         
-        // Check all non-cooldown accounts in parallel
-        await Promise.all(accountsToCheck.map(handle => checkAccount(handle)));
+        accountsToCheck.forEach((handle, index) => {
+            scheduleNextCheck(handle, Math.round(index * spacingMs));
+        });
     } catch (error) {
         console.error('Error in poller service:', error);
     }
@@ -895,11 +979,8 @@ function start() {
  * Stop the polling service
  */
 function stop() {
-    // Clear all account-specific intervals
-    for (const [handle, timeoutId] of accountPollIntervals.entries()) {
-        clearTimeout(timeoutId);
-    }
-    accountPollIntervals.clear();
+    // Clear all account-specific scheduled checks
+    probeSchedulerService.cancelAll();
     console.log('[Poller] Poller service stopped');
 }
 
@@ -907,10 +988,7 @@ function stop() {
  * Clear poller interval for a specific handle (used when account is deleted)
  */
 function clearAccountInterval(handle) {
-    const existingInterval = accountPollIntervals.get(handle);
-    if (existingInterval) {
-        clearTimeout(existingInterval);
-        accountPollIntervals.delete(handle);
+    if (probeSchedulerService.cancel(handle)) {
         console.log(`[Poller] Cleared polling interval for @${handle}`);
     }
     
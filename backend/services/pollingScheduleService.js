@@ -0,0 +1,249 @@
+const { query } = require('../config/database');
+const settingsService = require('./settingsService');
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// Resolution of the learned go-live profile (minutes per slot of the day)
+const SLOT_MINUTES = 5;
+const SLOTS_PER_DAY = MINUTES_PER_DAY / SLOT_MINUTES;
+
+// Learned profiles are rebuilt from live_sessions after this long
+const PATTERN_CACHE_MS = 10 * 60 * 1000;
+
+// default = follow the anti-blocking settings, adaptive = learned windows, fixed = constant offline interval
+const POLLING_MODES = ['default', 'adaptive', 'fixed'];
+
+/**
+ * Minute of the day (UTC) of a date
+ */
+function minuteOfDay(date) {
+    return date.getUTCHours() * 60 + date.getUTCMinutes();
+}
+
+/**
+ * Minutes between two times of day, across midnight
+ */
+function circularDistance(a, b) {
+    const distance = Math.abs(a - b) % MINUTES_PER_DAY;
+    return Math.min(distance, MINUTES_PER_DAY - distance);
+}
+
+/**
+ * Learn the go-live times of an account from its past start times (oldest first)
+ * A start less than windowMinutes after the previous one is a reconnect of the same stream and is
+ * dropped. Every slot of the day counts the starts within windowMinutes of it; slots counting at
+ * least minStarts are hot (the account usually goes live around then)
+ * Returns { starts, counts, hot }
+ */
+function buildPattern(startTimes, { windowMinutes, minStarts }) {
+    const starts = [];
+    let previous = null;
+    for (const time of startTimes) {
+        if (!previous || time - previous >= windowMinutes * 60000) {
+            starts.push(minuteOfDay(time));
+        }
+        previous = time;
+    }
+    
+    const counts = [];
+    for (let slot = 0; slot < SLOTS_PER_DAY; slot++) {
+        const slotMinute = slot * SLOT_MINUTES;
+        counts.push(starts.filter(minute => circularDistance(minute, slotMinute) <= windowMinutes).length);
+    }
+    
+    return { starts, counts, hot: counts.map(count => count >= minStarts) };
+}
+
+/**
+ * The hot window containing now, or else the next one within 24 hours
+ * Returns { start, end, inWindow, startsObserved } (dates) or null when no slot is hot
+ */
+function findWindow(pattern, now) {
+    if (!pattern.hot.some(Boolean)) {
+        return null;
+    }
+    
+    const slotMs = SLOT_MINUTES * 60000;
+    const currentSlot = Math.floor(minuteOfDay(now) / SLOT_MINUTES);
+    const currentSlotStart = Math.floor(now.getTime() / slotMs) * slotMs;
+    const isHot = offset => pattern.hot[((currentSlot + offset) % SLOTS_PER_DAY + SLOTS_PER_DAY) % SLOTS_PER_DAY];
+    
+    if (pattern.hot.every(Boolean)) {
+        return {
+            start: now,
+            end: new Date(now.getTime() + MINUTES_PER_DAY * 60000),
+            inWindow: true,
+            startsObserved: Math.max(...pattern.counts)
+        };
+    }
+    
+    let first = 0;
+    while (!isHot(first)) first++;
+    if (first === 0) {
+        while (isHot(first - 1)) first--;
+    }
+    let last = Math.max(first, 0);
+    while (isHot(last + 1)) last++;
+    
+    let startsObserved = 0;
+    for (let offset = first; offset <= last; offset++) {
+        const slot = ((currentSlot + offset) % SLOTS_PER_DAY + SLOTS_PER_DAY) % SLOTS_PER_DAY;
+        startsObserved = Math.max(startsObserved, pattern.counts[slot]);
+    }
+    
+    return {
+        start: new Date(currentSlotStart + first * slotMs),
+        end: new Date(currentSlotStart + (last + 1) * slotMs),
+        inWindow: first <= 0,
+        startsObserved
+    };
+}
+
+/**
+ * Convert account_polling_overrides row to JSON format (no row = every field follows the settings)
+ */
+function rowToOverride(row) {
+    return {
+        mode: row ? row.mode : 'default',
+        offlineIntervalMinutes: row ? row.offline_interval_minutes : null,
+        hotIntervalMinutes: row ? row.hot_interval_minutes : null,
+        coldIntervalMinutes: row ? row.cold_interval_minutes : null
+    };
+}
+
+/**
+ * Polling Schedule Service - Offline poll interval of each account, learned from the start times
+ * of its past live sessions: accounts are polled often around the times of day they usually go
+ * live and rarely outside them. Accounts can be pinned to a fixed interval or their own intervals
+ */
+class PollingScheduleService {
+    constructor() {
+        this.patterns = new Map(); // handle -> { key, computedAt, pattern }
+    }
+    
+    /**
+     * Polling overrides of an account
+     */
+    async getOverride(handle) {
+        const result = await query('SELECT * FROM account_polling_overrides WHERE handle = $1', [handle]);
+        return rowToOverride(result.rows[0]);
+    }
+    
+    /**
+     * Save the polling overrides of an account (null fields follow the settings); an account back on
+     * all defaults has its row removed
+     */
+    async setOverride(handle, { mode = 'default', offlineIntervalMinutes = null, hotIntervalMinutes = null, coldIntervalMinutes = null }) {
+        if (mode === 'default' && offlineIntervalMinutes === null && hotIntervalMinutes === null && coldIntervalMinutes === null) {
+            await query('DELETE FROM account_polling_overrides WHERE handle = $1', [handle]);
+            return rowToOverride(null);
+        }
+        
+        const result = await query(
+            `INSERT INTO account_polling_overrides (handle, mode, offline_interval_minutes, hot_interval_minutes, cold_interval_minutes, updated_at)
+             VALUES ($1, $2, $3, $4, $5, NOW())
+             ON CONFLICT (handle) DO UPDATE SET
+                mode = EXCLUDED.mode,
+                offline_interval_minutes = EXCLUDED.offline_interval_minutes,
+                hot_interval_minutes = EXCLUDED.hot_interval_minutes,
+                cold_interval_minutes = EXCLUDED.cold_interval_minutes,
+                updated_at = NOW()
+             RETURNING *`,
+            [handle, mode, offlineIntervalMinutes, hotIntervalMinutes, coldIntervalMinutes]
+        );
+        return rowToOverride(result.rows[0]);
+    }
+    
+    /**
+     * Learned go-live profile of an account (cached; an unreadable history counts as empty)
+     */
+    async getPattern(handle, settings) {
+        const key = `${settings.lookbackDays}:${settings.windowMinutes}:${settings.minStarts}`;
+        const cached = this.patterns.get(handle);
+        if (cached && cached.key === key && Date.now() - cached.computedAt < PATTERN_CACHE_MS) {
+            return cached.pattern;
+        }
+        
+        let startTimes = [];
+        try {
+            const result = await query(
+                `SELECT start_time FROM live_sessions
+                 WHERE handle = $1 AND start_time >= NOW() - make_interval(days => $2)
+                 ORDER BY start_time ASC`,
+                [handle, settings.lookbackDays]
+            );
+            startTimes = result.rows.map(row => new Date(row.start_time));
+        } catch (error) {
+            console.error(`[Polling Schedule] Error loading live history for @${handle}:`, error.message);
+        }
+        
+        const pattern = buildPattern(startTimes, settings);
+        this.patterns.set(handle, { key, computedAt: Date.now(), pattern });
+        return pattern;
+    }
+    
+    /**
+     * How long to wait before the next check of an offline account, and why
+     * Returns { mode, adaptive, intervalMs, reason, historyStarts, inWindow, nextWindow, overrides }
+     * reason: fixed, learning (not enough history yet), in_window or outside_window
+     */
+    async getPlan(handle, now = new Date()) {
+        const [settings, intervals, overrides] = await Promise.all([
+            settingsService.getAdaptivePollingSettings(),
+            settingsService.getPollingIntervals(),
+            this.getOverride(handle)
+        ]);
+        
+        const adaptive = overrides.mode === 'adaptive' || (overrides.mode === 'default' && settings.enabled);
+        const fixedMs = overrides.offlineIntervalMinutes ? overrides.offlineIntervalMinutes * 60000 : intervals.offlineMs;
+        const hotMs = (overrides.hotIntervalMinutes || settings.hotIntervalMinutes) * 60000;
+        const coldMs = (overrides.coldIntervalMinutes || settings.coldIntervalMinutes) * 60000;
+        
+        // The prediction is reported for every account, but only adaptive accounts poll by it
+        const pattern = await this.getPattern(handle, settings);
+        const window = findWindow(pattern, now);
+        
+        let intervalMs = fixedMs;
+        let reason = 'fixed';
+        if (adaptive && !window) {
+            reason = 'learning';
+        } else if (adaptive && window.inWindow) {
+            intervalMs = hotMs;
+            reason = 'in_window';
+        } else if (adaptive) {
+            // Wake up when the next window opens rather than sleeping through its start
+            intervalMs = Math.max(hotMs, Math.min(coldMs, window.start.getTime() - now.getTime()));
+            reason = 'outside_window';
+        }
+        
+        return {
+            mode: overrides.mode,
+            adaptive,
+            intervalMs,
+            reason,
+            historyStarts: pattern.starts.length,
+            inWindow: window ? window.inWindow : false,
+            nextWindow: window ? {
+                start: window.start.toISOString(),
+                end: window.end.toISOString(),
+                startsObserved: window.startsObserved
+            } : null,
+            overrides
+        };
+    }
+    
+    /**
+     * Forget the learned profile of an account (rebuilt on its next check)
+     */
+    invalidate(handle) {
+        this.patterns.delete(handle);
+    }
+}
+
+// Create singleton instance
+const pollingScheduleService = new PollingScheduleService();
+
+module.exports = pollingScheduleService;
+module.exports.POLLING_MODES = POLLING_MODES;
+module.exports.buildPattern = buildPattern;
+module.exports.findWindow = findWindow;
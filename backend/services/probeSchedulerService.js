@@ -0,0 +1,212 @@
+const settingsService = require('./settingsService');
+
+/**
+ * Probe Scheduler Service - Central budget for live probes (WebSocket checks of whether an account is live)
+ * Probes wait in a FIFO queue (priority probes such as Check Now ahead of the scheduled ones) and
+ * start only when a concurrency slot and a token are free. Tokens refill at the configured requests
+ * per minute (token bucket, burst = max concurrency). Next checks are timers owned here, delayed by
+ * a random jitter so accounts drift apart instead of probing in step
+ */
+class ProbeSchedulerService {
+    constructor() {
+        this.timers = new Map(); // handle -> { timeoutId, dueAt }
+        this.queue = []; // [{ handle, task, resolve, reject, queuedAt, priority }]
+        this.running = new Map(); // handle -> number of probes in progress
+        this.activeProbes = 0;
+        this.tokens = null;
+        this.lastRefill = Date.now();
+        this.pumpTimer = null;
+        this.pumping = false;
+        this.limits = {
+            maxConcurrency: settingsService.DEFAULT_SETTINGS.probeMaxConcurrency,
+            requestsPerMinute: settingsService.DEFAULT_SETTINGS.probeRequestsPerMinute,
+            jitterSeconds: settingsService.DEFAULT_SETTINGS.probeJitterSeconds
+        };
+    }
+    
+    /**
+     * Reload the limits from the anti-blocking settings (cached there for a minute)
+     */
+    async refreshLimits() {
+        try {
+            this.limits = await settingsService.getProbeSchedulerSettings();
+        } catch (error) {
+            console.error('[Probe Scheduler] Error loading settings:', error.message);
+        }
+        return this.limits;
+    }
+    
+    /**
+     * Random delay added to a scheduled check: up to jitterSeconds, never more than half the interval
+     */
+    jitterFor(delayMs) {
+        const maxJitterMs = Math.min(this.limits.jitterSeconds * 1000, delayMs / 2);
+        return Math.round(Math.random() * maxJitterMs);
+    }
+    
+    /**
+     * Run task (the account's next check) after delayMs plus jitter, replacing any pending check
+     */
+    schedule(handle, delayMs, task) {
+        this.cancel(handle);
+        
+        const waitMs = Math.max(0, delayMs) + this.jitterFor(Math.max(0, delayMs));
+        const timeoutId = setTimeout(() => {
+            this.timers.delete(handle);
+            Promise.resolve()
+                .then(task)
+                .catch(error => console.error(`[Probe Scheduler] Scheduled check for @${handle} failed:`, error));
+        }, waitMs);
+        
+        this.timers.set(handle, { timeoutId, dueAt: Date.now() + waitMs });
+    }
+    
+    /**
+     * Cancel the pending check of an account
+     */
+    cancel(handle) {
+        const timer = this.timers.get(handle);
+        if (timer) {
+            clearTimeout(timer.timeoutId);
+            this.timers.delete(handle);
+            return true;
+        }
+        return false;
+    }
+    
+    /**
+     * Cancel every pending check (queued probes still run)
+     */
+    cancelAll() {
+        for (const timer of this.timers.values()) {
+            clearTimeout(timer.timeoutId);
+        }
+        this.timers.clear();
+    }
+    
+    /**
+     * Run a probe within the concurrency and rate budget; resolves with the probe's result
+     * A priority probe (someone is waiting for it) goes behind the other priority probes only
+     */
+    run(handle, task, { priority = false } = {}) {
+        return new Promise((resolve, reject) => {
+            const item = { handle, task, resolve, reject, queuedAt: Date.now(), priority };
+            const firstScheduled = this.queue.findIndex(queued => !queued.priority);
+            if (priority && firstScheduled !== -1) {
+                this.queue.splice(firstScheduled, 0, item);
+            } else {
+                this.queue.push(item);
+            }
+            this.pump();
+        });
+    }
+    
+    /**
+     * Add the tokens earned since the last refill (bucket size = max concurrency)
+     */
+    refillTokens() {
+        const now = Date.now();
+        const capacity = Math.max(1, this.limits.maxConcurrency);
+        if (this.tokens === null) {
+            this.tokens = capacity;
+        } else {
+            const perMs = this.limits.requestsPerMinute / 60000;
+            this.tokens = Math.min(capacity, this.tokens + (now - this.lastRefill) * perMs);
+        }
+        this.lastRefill = now;
+    }
+    
+    /**
+     * Start queued probes while a slot and a token are free; wait for the next token otherwise
+     */
+    async pump() {
+        if (this.pumping) return;
+        this.pumping = true;
+        
+        try {
+            await this.refreshLimits();
+            
+            while (this.queue.length > 0 && this.activeProbes < this.limits.maxConcurrency) {
+                this.refillTokens();
+                if (this.tokens < 1) {
+                    const waitMs = Math.ceil((1 - this.tokens) / (this.limits.requestsPerMinute / 60000));
+                    if (!this.pumpTimer) {
+                        this.pumpTimer = setTimeout(() => {
+                            this.pumpTimer = null;
+                            this.pump();
+                        }, waitMs);
+                    }
+                    break;
+                }
+                
+                this.tokens -= 1;
+                this.start(this.queue.shift());
+            }
+        } finally {
+            this.pumping = false;
+        }
+    }
+    
+    /**
+     * Run one probe and free its slot when it settles
+     */
+    start(item) {
+        this.activeProbes++;
+        this.running.set(item.handle, (this.running.get(item.handle) || 0) + 1);
+        
+        const waitedMs = Date.now() - item.queuedAt;
+        if (waitedMs > 1000) {
+            console.log(`[Probe Scheduler] @${item.handle} waited ${Math.round(waitedMs / 1000)}s in queue (${this.queue.length} still queued)`);
+        }
+        
+        Promise.resolve()
+            .then(item.task)
+            .then(item.resolve, item.reject)
+            .finally(() => {
+                this.activeProbes--;
+                const count = (this.running.get(item.handle) || 1) - 1;
+                if (count > 0) {
+                    this.running.set(item.handle, count);
+                } else {
+                    this.running.delete(item.handle);
+                }
+                this.pump();
+            });
+    }
+    
+    /**
+     * Scheduler state for an account: { nextCheckAt, queuePosition (1-based, null when not queued), probing }
+     */
+    getAccountStatus(handle) {
+        const timer = this.timers.get(handle);
+        const index = this.queue.findIndex(item => item.handle === handle);
+        return {
+            nextCheckAt: timer ? new Date(timer.dueAt).toISOString() : null,
+            queuePosition: index >= 0 ? index + 1 : null,
+            probing: this.running.has(handle)
+        };
+    }
+    
+    /**
+     * Overall scheduler state
+     */
+    getStatus() {
+        this.refillTokens();
+        const dueTimes = [...this.timers.values()].map(timer => timer.dueAt);
+        return {
+            maxConcurrency: this.limits.maxConcurrency,
+            requestsPerMinute: this.limits.requestsPerMinute,
+            jitterSeconds: this.limits.jitterSeconds,
+            activeProbes: this.activeProbes,
+            queueDepth: this.queue.length,
+            availableTokens: Math.floor(this.tokens),
+            scheduledChecks: this.timers.size,
+            nextCheckAt: dueTimes.length > 0 ? new Date(Math.min(...dueTimes)).toISOString() : null
+        };
+    }
+}
+
+// Create singleton instance
+const probeSchedulerService = new ProbeSchedulerService();
+
+module.exports = probeSchedulerService;
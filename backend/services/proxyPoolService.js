@@ -0,0 +1,485 @@
+const https = require('https');
+const { ProxyAgent } = require('proxy-agent');
+const { v4: uuidv4 } = require('uuid');
+const { query } = require('../config/database');
+const logService = require('./logService');
+const settingsService = require('./settingsService');
+const { DEFAULT_SETTINGS } = settingsService;
+
+// Proxy URL schemes understood by proxy-agent
+const PROXY_PROTOCOLS = ['http', 'https', 'socks', 'socks4', 'socks4a', 'socks5', 'socks5h'];
+
+const HEALTH_CHECK_URL = 'https://www.tiktok.com/robots.txt';
+const HEALTH_CHECK_TIMEOUT_MS = 10000;
+
+// Health score (0-100): checks move it up or down, a block takes a large bite
+const MIN_HEALTH_SCORE = 30; // Proxies below this are not assigned
+const CHECK_SUCCESS_BONUS = 20;
+const CHECK_FAILURE_PENALTY = 30;
+const BLOCK_PENALTY = 50;
+
+/**
+ * Validate a proxy URL (scheme://[user:pass@]host:port)
+ * Returns an error message or null
+ */
+function validateProxyUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(String(url || '').trim());
+    } catch (error) {
+        return 'Invalid proxy URL. Use scheme://[user:password@]host:port';
+    }
+    const protocol = parsed.protocol.replace(':', '');
+    if (!PROXY_PROTOCOLS.includes(protocol)) {
+        return `Invalid proxy scheme. Must be one of: ${PROXY_PROTOCOLS.join(', ')}`;
+    }
+    if (!parsed.hostname || !parsed.port) {
+        return 'Proxy URL must include a host and a port';
+    }
+    return null;
+}
+
+/**
+ * Proxy URL with the password hidden (URLs are never sent back with credentials)
+ */
+function maskProxyUrl(url) {
+    try {
+        const parsed = new URL(url);
+        if (parsed.password) {
+            parsed.password = '****';
+        }
+        return parsed.toString().replace(/\/$/, '');
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * True when a proxy may be used: enabled, healthy enough and not cooling down after a block
+ */
+function isAvailable(row) {
+    return row.enabled !== false &&
+        row.health_score >= MIN_HEALTH_SCORE &&
+        (!row.cooldown_until || new Date(row.cooldown_until) <= new Date());
+}
+
+/**
+ * Convert proxies row to JSON format
+ */
+function rowToProxy(row) {
+    const parsed = new URL(row.url);
+    return {
+        id: row.id,
+        label: row.label || `${parsed.hostname}:${parsed.port}`,
+        url: maskProxyUrl(row.url),
+        protocol: parsed.protocol.replace(':', ''),
+        enabled: row.enabled !== false,
+        healthScore: row.health_score,
+        available: isAvailable(row),
+        lastCheckAt: row.last_check_at ? new Date(row.last_check_at).toISOString() : null,
+        lastCheckOk: row.last_check_ok,
+        lastLatencyMs: row.last_latency_ms,
+        lastError: row.last_error,
+        blockCount: row.block_count || 0,
+        lastBlockAt: row.last_block_at ? new Date(row.last_block_at).toISOString() : null,
+        cooldownUntil: row.cooldown_until && new Date(row.cooldown_until) > new Date() ? new Date(row.cooldown_until).toISOString() : null,
+        handles: row.handles || [],
+        createdAt: row.created_at ? new Date(row.created_at).toISOString() : null
+    };
+}
+
+/**
+ * GET a URL through an agent, resolving with the HTTP status
+ */
+function requestStatus(url, agent) {
+    return new Promise((resolve, reject) => {
+        const req = https.get(url, { agent, timeout: HEALTH_CHECK_TIMEOUT_MS }, (res) => {
+            res.resume();
+            resolve(res.statusCode);
+        });
+        req.on('timeout', () => req.destroy(new Error(`Timed out after ${HEALTH_CHECK_TIMEOUT_MS / 1000}s`)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Proxy Pool Service - Routes TikTok connections through a pool of HTTP/SOCKS proxies
+ * Each monitored account keeps the same proxy (sticky assignment) until that proxy is blocked,
+ * disabled or unhealthy; a block puts the proxy in cooldown and moves the account to another one
+ */
+class ProxyPoolService {
+    constructor() {
+        this.agents = new Map(); // proxy id -> { url, agent }
+        this.healthCheckTimer = null;
+        this.healthChecksRunning = false;
+    }
+    
+    /**
+     * Agent for a proxy (reused between connections)
+     */
+    getAgent(row) {
+        const cached = this.agents.get(row.id);
+        if (cached && cached.url === row.url) {
+            return cached.agent;
+        }
+        const agent = new ProxyAgent({ getProxyForUrl: () => row.url });
+        this.agents.set(row.id, { url: row.url, agent });
+        return agent;
+    }
+    
+    /**
+     * All proxies with the accounts assigned to them
+     */
+    async list() {
+        const result = await query(
+            `SELECT p.*, COALESCE(ARRAY_AGG(pa.handle ORDER BY pa.handle) FILTER (WHERE pa.handle IS NOT NULL), '{}') AS handles
+             FROM proxies p
+             LEFT JOIN proxy_assignments pa ON pa.proxy_id = p.id
+             GROUP BY p.id
+             ORDER BY p.created_at ASC`
+        );
+        return result.rows.map(rowToProxy);
+    }
+    
+    /**
+     * Add a proxy
+     */
+    async add({ url, label }) {
+        const result = await query(
+            `INSERT INTO proxies (id, label, url, created_at)
+             VALUES ($1, $2, $3, NOW()) RETURNING *`,
+            [uuidv4(), label ? String(label).trim() : null, String(url).trim()]
+        );
+        return rowToProxy(result.rows[0]);
+    }
+    
+    /**
+     * Update a proxy; fields left undefined keep their value
+     */
+    async update(id, { url, label, enabled }) {
+        const result = await query(
+            `UPDATE proxies SET
+                url = COALESCE($1, url),
+                label = CASE WHEN $2::boolean THEN $3 ELSE label END,
+                enabled = COALESCE($4, enabled)
+             WHERE id = $5 RETURNING *`,
+            [
+                url !== undefined ? String(url).trim() : null,
+                label !== undefined,
+                label ? String(label).trim() : null,
+                enabled !== undefined ? enabled !== false : null,
+                id
+            ]
+        );
+        return result.rows.length > 0 ? rowToProxy(result.rows[0]) : null;
+    }
+    
+    /**
+     * Remove a proxy (its assignments and block history go with it)
+     */
+    async remove(id) {
+        const result = await query('DELETE FROM proxies WHERE id = $1', [id]);
+        this.agents.delete(id);
+        return result.rowCount > 0;
+    }
+    
+    /**
+     * Restore a proxy's health score and end its cooldown
+     */
+    async reset(id) {
+        const result = await query(
+            'UPDATE proxies SET health_score = 100, cooldown_until = NULL WHERE id = $1 RETURNING *',
+            [id]
+        );
+        return result.rows.length > 0 ? rowToProxy(result.rows[0]) : null;
+    }
+    
+    /**
+     * Latest blocks received through a proxy
+     */
+    async listBlocks(proxyId, limit = 50) {
+        const result = await query(
+            `SELECT pb.*, p2.label AS rotated_to_label, p2.url AS rotated_to_url
+             FROM proxy_blocks pb
+             LEFT JOIN proxies p2 ON p2.id = pb.rotated_to
+             WHERE pb.proxy_id = $1
+             ORDER BY pb.blocked_at DESC
+             LIMIT $2`,
+            [proxyId, limit]
+        );
+        return result.rows.map(row => ({
+            id: row.id,
+            handle: row.handle,
+            type: row.type,
+            rotatedTo: row.rotated_to ? (row.rotated_to_label || maskProxyUrl(row.rotated_to_url)) : null,
+            blockedAt: new Date(row.blocked_at).toISOString()
+        }));
+    }
+    
+    /**
+     * Proxy currently assigned to every account
+     */
+    async listAssignments() {
+        const result = await query(
+            `SELECT pa.handle, pa.assigned_at, p.*
+             FROM proxy_assignments pa
+             INNER JOIN proxies p ON p.id = pa.proxy_id
+             ORDER BY pa.handle ASC`
+        );
+        return result.rows.map(row => ({
+            handle: row.handle,
+            assignedAt: new Date(row.assigned_at).toISOString(),
+            proxy: rowToProxy(row)
+        }));
+    }
+    
+    /**
+     * Assign an account to a proxy (manual assignment), or release it with proxyId null
+     */
+    async setAssignment(handle, proxyId) {
+        if (!proxyId) {
+            await query('DELETE FROM proxy_assignments WHERE handle = $1', [handle]);
+            return null;
+        }
+        const result = await query(
+            `INSERT INTO proxy_assignments (handle, proxy_id, assigned_at)
+             VALUES ($1, $2, NOW())
+             ON CONFLICT (handle) DO UPDATE SET proxy_id = EXCLUDED.proxy_id, assigned_at = EXCLUDED.assigned_at
+             RETURNING *`,
+            [handle, proxyId]
+        );
+        return result.rows[0];
+    }
+    
+    /**
+     * Assign the least loaded available proxy to an account, skipping the excluded ones
+     * Returns the proxies row, or null (and no assignment) when none is available
+     */
+    async assign(handle, excludeIds = []) {
+        const result = await query(
+            `SELECT p.*
+             FROM proxies p
+             LEFT JOIN proxy_assignments pa ON pa.proxy_id = p.id AND pa.handle <> $1
+             WHERE p.enabled = true
+             AND p.health_score >= $2
+             AND (p.cooldown_until IS NULL OR p.cooldown_until <= NOW())
+             AND NOT (p.id = ANY($3::uuid[]))
+             GROUP BY p.id
+             ORDER BY COUNT(pa.handle) ASC, p.health_score DESC, p.last_block_at ASC NULLS FIRST
+             LIMIT 1`,
+            [handle, MIN_HEALTH_SCORE, excludeIds]
+        );
+        
+        if (result.rows.length === 0) {
+            await query('DELETE FROM proxy_assignments WHERE handle = $1', [handle]);
+            return null;
+        }
+        
+        const proxy = result.rows[0];
+        await this.setAssignment(handle, proxy.id);
+        return proxy;
+    }
+    
+    /**
+     * Proxy an account should connect through: its current one while available, otherwise a new one
+     */
+    async getProxyForHandle(handle) {
+        const current = await query(
+            `SELECT p.* FROM proxy_assignments pa
+             INNER JOIN proxies p ON p.id = pa.proxy_id
+             WHERE pa.handle = $1`,
+            [handle]
+        );
+        if (current.rows.length > 0 && isAvailable(current.rows[0])) {
+            return current.rows[0];
+        }
+        return this.assign(handle);
+    }
+    
+    /**
+     * WebcastPushConnection options routing an account through its proxy
+     * Returns { options, proxy }; options is empty when the pool is disabled, or when no proxy is
+     * available and direct connections are allowed (otherwise this throws)
+     */
+    async getConnectOptions(handle) {
+        const settings = await settingsService.getProxyPoolSettings();
+        if (!settings.enabled) {
+            return { options: {}, proxy: null };
+        }
+        
+        const proxy = await this.getProxyForHandle(handle);
+        if (!proxy) {
+            if (settings.fallbackDirect) {
+                console.warn(`[Proxy Pool] No available proxy for @${handle}, connecting directly`);
+                return { options: {}, proxy: null };
+            }
+            throw new Error('No available proxy in the pool');
+        }
+        
+        const agent = this.getAgent(proxy);
+        return {
+            options: {
+                requestOptions: { httpsAgent: agent, httpAgent: agent },
+                websocketOptions: { agent }
+            },
+            proxy: rowToProxy(proxy)
+        };
+    }
+    
+    /**
+     * Called when TikTok blocks an account: the account's proxy takes a health penalty and goes into
+     * cooldown, the block is added to its history and the account is moved to another proxy
+     * Returns { proxyId, proxyLabel, rotatedTo } or null when the account had no proxy
+     */
+    async handleBlock(handle, errorInfo = {}) {
+        const settings = await settingsService.getProxyPoolSettings();
+        if (!settings.enabled) {
+            return null;
+        }
+        
+        const current = await query(
+            `SELECT p.* FROM proxy_assignments pa
+             INNER JOIN proxies p ON p.id = pa.proxy_id
+             WHERE pa.handle = $1`,
+            [handle]
+        );
+        if (current.rows.length === 0) {
+            return null;
+        }
+        
+        const blocked = current.rows[0];
+        const cooldownUntil = new Date(Date.now() + settings.blockCooldownHours * 60 * 60 * 1000);
+        await query(
+            `UPDATE proxies SET
+                block_count = block_count + 1,
+                last_block_at = NOW(),
+                health_score = GREATEST(0, health_score - $2),
+                cooldown_until = $3
+             WHERE id = $1`,
+            [blocked.id, BLOCK_PENALTY, cooldownUntil.toISOString()]
+        );
+        
+        const next = await this.assign(handle, [blocked.id]);
+        await query(
+            `INSERT INTO proxy_blocks (id, proxy_id, handle, type, rotated_to, blocked_at)
+             VALUES ($1, $2, $3, $4, $5, NOW())`,
+            [uuidv4(), blocked.id, handle, errorInfo.type || 'DEVICE_BLOCKED', next ? next.id : null]
+        );
+        
+        const rotation = {
+            proxyId: blocked.id,
+            proxyLabel: rowToProxy(blocked).label,
+            rotatedTo: next ? rowToProxy(next).label : null
+        };
+        logService.warn(`Proxy ${rotation.proxyLabel} blocked for @${handle}, ${next ? `rotated to ${rotation.rotatedTo}` : 'no other proxy available'}`, {
+            handle,
+            ...rotation,
+            cooldownUntil: cooldownUntil.toISOString()
+        }).catch(console.error);
+        
+        return rotation;
+    }
+    
+    /**
+     * Check that a proxy reaches TikTok and update its health score
+     */
+    async checkProxy(id) {
+        const rowResult = await query('SELECT * FROM proxies WHERE id = $1', [id]);
+        if (rowResult.rows.length === 0) {
+            return null;
+        }
+        
+        const row = rowResult.rows[0];
+        const startTime = Date.now();
+        let ok = false;
+        let error = null;
+        try {
+            const status = await requestStatus(HEALTH_CHECK_URL, this.getAgent(row));
+            ok = status >= 200 && status < 400;
+            if (!ok) error = `HTTP ${status}`;
+        } catch (err) {
+            error = err.message || String(err);
+        }
+        
+        const result = await query(
+            `UPDATE proxies SET
+                last_check_at = NOW(),
+                last_check_ok = $2,
+                last_latency_ms = $3,
+                last_error = $4,
+                health_score = LEAST(100, GREATEST(0, health_score + $5))
+             WHERE id = $1 RETURNING *`,
+            [id, ok, ok ? Date.now() - startTime : null, error, ok ? CHECK_SUCCESS_BONUS : -CHECK_FAILURE_PENALTY]
+        );
+        return rowToProxy(result.rows[0]);
+    }
+    
+    /**
+     * Check every enabled proxy, one at a time
+     */
+    async checkAll() {
+        const result = await query('SELECT id FROM proxies WHERE enabled = true ORDER BY created_at ASC');
+        for (const row of result.rows) {
+            try {
+                await this.checkProxy(row.id);
+            } catch (error) {
+                console.error('[Proxy Pool] Health check error:', error.message);
+            }
+        }
+        return result.rows.length;
+    }
+    
+    /**
+     * Start periodic health checks (interval from the anti-blocking settings, read before each run)
+     */
+    startHealthChecks() {
+        if (this.healthChecksRunning) {
+            return;
+        }
+        this.healthChecksRunning = true;
+        
+        // An error in one round (settings or database unreachable) must not end the checks
+        let intervalMinutes = DEFAULT_SETTINGS.proxyHealthCheckIntervalMinutes;
+        const scheduleNext = async () => {
+            try {
+                intervalMinutes = (await settingsService.getProxyPoolSettings()).healthCheckIntervalMinutes;
+            } catch (error) {
+                console.error('[Proxy Pool] Error loading health check interval:', error.message);
+            }
+            if (!this.healthChecksRunning) return;
+            this.healthCheckTimer = setTimeout(async () => {
+                try {
+                    const current = await settingsService.getProxyPoolSettings();
+                    if (current.enabled) {
+                        await this.checkAll();
+                    }
+                } catch (error) {
+                    console.error('[Proxy Pool] Health checks failed:', error.message);
+                } finally {
+                    scheduleNext();
+                }
+            }, intervalMinutes * 60 * 1000);
+        };
+        
+        scheduleNext();
+        console.log('[Proxy Pool] Health checks started');
+    }
+    
+    /**
+     * Stop periodic health checks
+     */
+    stopHealthChecks() {
+        this.healthChecksRunning = false;
+        if (this.healthCheckTimer) {
+            clearTimeout(this.healthCheckTimer);
+            this.healthCheckTimer = null;
+        }
+    }
+}
+
+// Create singleton instance
+const proxyPoolService = new ProxyPoolService();
+
+module.exports = proxyPoolService;
+module.exports.PROXY_PROTOCOLS = PROXY_PROTOCOLS;
+module.exports.validateProxyUrl = validateProxyUrl;
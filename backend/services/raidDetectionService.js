@@ -0,0 +1,209 @@
+const { v4: uuidv4 } = require('uuid');
+const alertService = require('./alertService');
+const { normalizeText, collapseRepeats } = require('../utils/textNormalizer');
+const { signature, similarity, bandKeys } = require('../utils/minHash');
+
+const MAX_TRACKED_MESSAGES = 20000; // Hard cap on messages kept in the sliding window
+const MAX_LISTED_ACCOUNTS = 100; // uniqueIds listed on one alert
+
+/**
+ * Raid Detection Service - Spots many accounts posting near-identical chat messages
+ * Messages from every monitored room go through one sliding window. Each message joins the most
+ * similar open cluster (MinHash over character shingles, LSH buckets to find candidates) or opens
+ * a new one; when a cluster reaches the configured number of distinct accounts it raises one alert
+ */
+class RaidDetectionService {
+    constructor() {
+        this.clusters = new Map(); // cluster id -> { id, signature, text, members: [], alerted }
+        this.buckets = new Map(); // LSH band key -> Set of cluster ids
+        this.messageCount = 0;
+        this.lastPruneTime = 0;
+    }
+    
+    /**
+     * Feed one live event (only chat messages are considered)
+     * Never throws
+     */
+    async processEvent(event, handle, sessionId, io) {
+        try {
+            if (!event || event.type !== 'chat') {
+                return null;
+            }
+            
+            const settings = await alertService.loadSettings();
+            if (!settings.raidDetectionEnabled) {
+                return null;
+            }
+            
+            const text = event.data?.comment || '';
+            // Repeats collapsed: "sooo cool" and "so coool" are the same spam
+            const normalized = collapseRepeats(normalizeText(text)).replace(/\s+/g, ' ').trim();
+            const uniqueId = event.user?.uniqueId;
+            if (!uniqueId || normalized.length < settings.raidMinMessageLength) {
+                return null;
+            }
+            
+            const now = Date.now();
+            if (now - this.lastPruneTime >= 1000) {
+                this.prune(now, settings.raidWindowSeconds * 1000);
+                this.lastPruneTime = now;
+            }
+            
+            const messageSignature = signature(normalized);
+            const cluster = this.findCluster(messageSignature, settings.raidSimilarity) || this.openCluster(messageSignature, text);
+            cluster.members.push({ uniqueId, handle, sessionId, eventId: event.id, text, time: now });
+            cluster.lastSeen = now;
+            this.messageCount++;
+            
+            if (cluster.alerted) {
+                return null;
+            }
+            
+            const accounts = new Set(cluster.members.map(member => member.uniqueId.toLowerCase()));
+            if (accounts.size < settings.raidMinAccounts) {
+                return null;
+            }
+            
+            cluster.alerted = true;
+            return this.raiseAlert(cluster, event, handle, sessionId, settings, io);
+        } catch (error) {
+            console.error('[Raid Detection] Error processing message:', error.message);
+            return null;
+        }
+    }
+    
+    /**
+     * Most similar open cluster at or above the similarity threshold
+     */
+    findCluster(messageSignature, threshold) {
+        const candidates = new Set();
+        for (const key of bandKeys(messageSignature)) {
+            for (const clusterId of this.buckets.get(key) || []) {
+                candidates.add(clusterId);
+            }
+        }
+        
+        let best = null;
+        let bestSimilarity = threshold;
+        for (const clusterId of candidates) {
+            const cluster = this.clusters.get(clusterId);
+            if (!cluster) continue;
+            const score = similarity(messageSignature, cluster.signature);
+            if (score >= bestSimilarity) {
+                best = cluster;
+                bestSimilarity = score;
+            }
+        }
+        return best;
+    }
+    
+    /**
+     * Open a cluster represented by this message
+     */
+    openCluster(messageSignature, text) {
+        const cluster = {
+            id: uuidv4(),
+            signature: messageSignature,
+            text,
+            keys: bandKeys(messageSignature),
+            members: [],
+            alerted: false,
+            lastSeen: Date.now()
+        };
+        this.clusters.set(cluster.id, cluster);
+        for (const key of cluster.keys) {
+            if (!this.buckets.has(key)) {
+                this.buckets.set(key, new Set());
+            }
+            this.buckets.get(key).add(cluster.id);
+        }
+        return cluster;
+    }
+    
+    /**
+     * Drop messages older than the window and clusters left empty
+     * Oldest clusters are also dropped while over the message cap
+     */
+    prune(now, windowMs) {
+        for (const cluster of this.clusters.values()) {
+            const before = cluster.members.length;
+            cluster.members = cluster.members.filter(member => now - member.time < windowMs);
+            this.messageCount -= before - cluster.members.length;
+            if (cluster.members.length === 0 && now - cluster.lastSeen >= windowMs) {
+                this.removeCluster(cluster);
+            }
+        }
+        
+        if (this.messageCount > MAX_TRACKED_MESSAGES) {
+            const oldestFirst = Array.from(this.clusters.values()).sort((a, b) => a.lastSeen - b.lastSeen);
+            for (const cluster of oldestFirst) {
+                if (this.messageCount <= MAX_TRACKED_MESSAGES) break;
+                this.removeCluster(cluster);
+            }
+        }
+    }
+    
+    /**
+     * Remove a cluster and its bucket entries
+     */
+    removeCluster(cluster) {
+        this.messageCount -= cluster.members.length;
+        this.clusters.delete(cluster.id);
+        for (const key of cluster.keys) {
+            const bucket = this.buckets.get(key);
+            if (!bucket) continue;
+            bucket.delete(cluster.id);
+            if (bucket.size === 0) {
+                this.buckets.delete(key);
+            }
+        }
+    }
+    
+    /**
+     * Create the raid alert for a cluster (on the room of the message that completed it)
+     */
+    async raiseAlert(cluster, event, handle, sessionId, settings, io) {
+        const uniqueIds = [...new Set(cluster.members.map(member => member.uniqueId))];
+        const handles = [...new Set(cluster.members.map(member => member.handle))];
+        const sessionIds = [...new Set(cluster.members.map(member => member.sessionId))];
+        const rooms = handles.length > 1 ? `across ${handles.length} rooms (${handles.map(h => `@${h}`).join(', ')})` : `in @${handle}`;
+        
+        const alert = {
+            id: uuidv4(),
+            triggerWord: 'raid',
+            triggerId: cluster.id,
+            eventType: 'chat',
+            source: 'raid',
+            sessionId,
+            handle,
+            eventId: event.id,
+            timestamp: new Date().toISOString(),
+            severity: 'high',
+            status: 'new',
+            message: `${uniqueIds.length} accounts posted near-identical messages ${rooms} within ${settings.raidWindowSeconds}s: "${cluster.text}"`.substring(0, 500),
+            rawText: cluster.text,
+            details: {
+                representativeMessage: cluster.text,
+                uniqueIds: uniqueIds.slice(0, MAX_LISTED_ACCOUNTS),
+                accountCount: uniqueIds.length,
+                messageCount: cluster.members.length,
+                handles,
+                sessionIds,
+                windowSeconds: settings.raidWindowSeconds,
+                similarity: settings.raidSimilarity
+            },
+            acknowledgedAt: null,
+            resolvedAt: null
+        };
+        
+        const result = await alertService.createAlert(alert, { io });
+        console.log(`Alert created for @${handle}: raid of ${uniqueIds.length} accounts ${rooms}`);
+        
+        return result;
+    }
+}
+
+// Create singleton instance
+const raidDetectionService = new RaidDetectionService();
+
+module.exports = raidDetectionService;
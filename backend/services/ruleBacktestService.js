@@ -0,0 +1,121 @@
+const { query } = require('../config/database');
+const { TriggerMatcher, describeEvent } = require('./triggerService');
+
+const BATCH_SIZE = 5000; // Events read per query
+const MAX_SCANNED_EVENTS = 1000000; // Stop (and report truncated) after this many events
+const DEFAULT_SAMPLE_LIMIT = 20;
+const MAX_SAMPLE_LIMIT = 200;
+
+/**
+ * Rule Backtest Service - Runs a proposed trigger rule against stored events
+ * Uses the same TriggerMatcher as live alerting (word, mode, normalization, conditions and scope)
+ * and only counts matches; no alert is created
+ */
+class RuleBacktestService {
+    /**
+     * Run a rule over the events of a date range
+     * rule: { word, mode, normalize, eventType, conditions, scope } (already validated)
+     * options: { from, to (Date), handles (empty = all accounts), sampleLimit }
+     * Returns { matchCount, scannedEvents, truncated, samples, sessions }
+     */
+    async run(rule, { from, to, handles = [], sampleLimit = DEFAULT_SAMPLE_LIMIT }) {
+        const accounts = await query('SELECT handle, tags FROM tiktok_accounts');
+        const accountTags = new Map(accounts.rows.map(row => [String(row.handle).toLowerCase(), row.tags || []]));
+        const matcher = new TriggerMatcher([{ ...rule, id: 'backtest' }], accountTags);
+        
+        const eventType = rule.eventType || 'chat';
+        const handleFilter = handles.map(handle => String(handle).replace(/^@/, '').toLowerCase());
+        const limit = Math.min(Math.max(parseInt(sampleLimit) || DEFAULT_SAMPLE_LIMIT, 0), MAX_SAMPLE_LIMIT);
+        
+        const samples = [];
+        const sessions = new Map();
+        let matchCount = 0;
+        let scannedEvents = 0;
+        let cursor = null; // { timestamp, id } of the last event read (keyset pagination)
+        
+        while (scannedEvents < MAX_SCANNED_EVENTS) {
+            const params = [eventType, from, to];
+            let sql = `SELECT e.id, e.session_id, e.type, e.timestamp, e.user_data, e.event_data, ls.handle, ls.start_time,
+                              e.timestamp::text AS cursor_timestamp
+                       FROM events e
+                       JOIN live_sessions ls ON e.session_id = ls.id
+                       WHERE e.type = $1 AND e.timestamp >= $2 AND e.timestamp <= $3`;
+            
+            if (handleFilter.length > 0) {
+                params.push(handleFilter);
+                sql += ` AND LOWER(ls.handle) = ANY($${params.length})`;
+            }
+            if (cursor) {
+                params.push(cursor.timestamp, cursor.id);
+                sql += ` AND (e.timestamp, e.id) > ($${params.length - 1}::timestamptz, $${params.length})`;
+            }
+            params.push(Math.min(BATCH_SIZE, MAX_SCANNED_EVENTS - scannedEvents));
+            sql += ` ORDER BY e.timestamp ASC, e.id ASC LIMIT $${params.length}`;
+            
+            const result = await query(sql, params);
+            if (result.rows.length === 0) {
+                break;
+            }
+            
+            for (const row of result.rows) {
+                const event = {
+                    id: row.id,
+                    type: row.type,
+                    timestamp: new Date(row.timestamp).toISOString(),
+                    user: row.user_data || {},
+                    data: row.event_data || {}
+                };
+                if (matcher.match(event, row.handle).length === 0) {
+                    continue;
+                }
+                
+                matchCount++;
+                if (!sessions.has(row.session_id)) {
+                    sessions.set(row.session_id, {
+                        sessionId: row.session_id,
+                        handle: row.handle,
+                        startTime: row.start_time ? new Date(row.start_time).toISOString() : null,
+                        matchCount: 0,
+                        firstMatchAt: event.timestamp,
+                        lastMatchAt: event.timestamp
+                    });
+                }
+                const session = sessions.get(row.session_id);
+                session.matchCount++;
+                session.lastMatchAt = event.timestamp;
+                
+                if (samples.length < limit) {
+                    samples.push({
+                        eventId: event.id,
+                        sessionId: row.session_id,
+                        handle: row.handle,
+                        timestamp: event.timestamp,
+                        uniqueId: event.user.uniqueId || null,
+                        message: describeEvent(event).substring(0, 500)
+                    });
+                }
+            }
+            
+            scannedEvents += result.rows.length;
+            const last = result.rows[result.rows.length - 1];
+            cursor = { timestamp: last.cursor_timestamp, id: last.id }; // Text keeps microseconds
+            
+            if (result.rows.length < BATCH_SIZE) {
+                break;
+            }
+        }
+        
+        return {
+            matchCount,
+            scannedEvents,
+            truncated: scannedEvents >= MAX_SCANNED_EVENTS,
+            samples,
+            sessions: Array.from(sessions.values()).sort((a, b) => b.matchCount - a.matchCount)
+        };
+    }
+}
+
+// Create singleton instance
+const ruleBacktestService = new RuleBacktestService();
+
+module.exports = ruleBacktestService;
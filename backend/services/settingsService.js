@@ -16,7 +16,22 @@ const DEFAULT_SETTINGS = {
     enableAutoCooldown: true,
     enableAutoRecovery: true,
     stopMonitoringOnBlock: true,
-    logBlockEvents: true
+    logBlockEvents: true,
+    enableProxyPool: false,
+    proxyFallbackDirect: true,
+    proxyHealthCheckIntervalMinutes: 15,
+    proxyBlockCooldownHours: 6,
+    probeMaxConcurrency: 3,
+    probeRequestsPerMinute: 20,
+    probeJitterSeconds: 30,
+    enableAdaptivePolling: true,
+    adaptiveLookbackDays: 30,
+    adaptiveWindowMinutes: 60,
+    adaptiveMinStarts: 2,
+    adaptiveHotIntervalMinutes: 2,
+    adaptiveColdIntervalMinutes: 30,
+    enableHttpPrecheck: true,
+    enableWebsocketProbe: true
 };
 
 /**
@@ -134,6 +149,58 @@ class SettingsService {
         return settings.logBlockEvents !== false;
     }
 
+    /**
+     * Get proxy pool settings
+     */
+    async getProxyPoolSettings() {
+        const settings = await this.loadSettings();
+        return {
+            enabled: settings.enableProxyPool === true,
+            fallbackDirect: settings.proxyFallbackDirect !== false,
+            healthCheckIntervalMinutes: settings.proxyHealthCheckIntervalMinutes,
+            blockCooldownHours: settings.proxyBlockCooldownHours
+        };
+    }
+    
+    /**
+     * Get live probe scheduler limits
+     */
+    async getProbeSchedulerSettings() {
+        const settings = await this.loadSettings();
+        return {
+            maxConcurrency: settings.probeMaxConcurrency,
+            requestsPerMinute: settings.probeRequestsPerMinute,
+            jitterSeconds: settings.probeJitterSeconds
+        };
+    }
+    
+    /**
+     * Get adaptive polling settings
+     */
+    async getAdaptivePollingSettings() {
+        const settings = await this.loadSettings();
+        return {
+            enabled: settings.enableAdaptivePolling !== false,
+            lookbackDays: settings.adaptiveLookbackDays,
+            windowMinutes: settings.adaptiveWindowMinutes,
+            minStarts: settings.adaptiveMinStarts,
+            hotIntervalMinutes: settings.adaptiveHotIntervalMinutes,
+            coldIntervalMinutes: settings.adaptiveColdIntervalMinutes
+        };
+    }
+    
+    /**
+     * Get the enabled live check stages (at least one is always on)
+     */
+    async getLiveCheckStages() {
+        const settings = await this.loadSettings();
+        const httpPrecheck = settings.enableHttpPrecheck !== false;
+        return {
+            httpPrecheck,
+            websocketProbe: settings.enableWebsocketProbe !== false || !httpPrecheck
+        };
+    }
+    
     /**
      * Clear cache (force reload on next access)
      */
@@ -147,3 +214,4 @@ class SettingsService {
 const settingsService = new SettingsService();
 
 module.exports = settingsService;
+module.exports.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
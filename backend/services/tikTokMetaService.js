@@ -1,7 +1,7 @@
 const https = require('https');
 const { v4: uuidv4 } = require('uuid');
 const { read, write, append } = require('../storage/dbStorage');
-const { query } = require('../config/database');
+const tiktokSessionService = require('./tiktokSessionService');
 
 /**
  * Fetch TikTok user profile by handle using web scraping approach
@@ -17,7 +17,7 @@ async function fetchUserProfile(handle) {
         const url = `https://www.tiktok.com/@${cleanHandle}`;
         
         // Use saved session for profiles with audience controls
-        const session = await getValidSession();
+        const session = await getValidSession(cleanHandle);
         
         // Fetch the page HTML
         const html = await fetchPage(url, session);
@@ -75,30 +75,49 @@ async function fetchUserProfile(handle) {
 }
 
 /**
- * Get valid TikTok session from database (for profiles with audience controls)
+ * Get a usable TikTok session from the pool (for profiles with audience controls)
+ * Uses the session pinned to the account when there is one, otherwise the next one in round-robin
  */
-async function getValidSession() {
+async function getValidSession(handle = null) {
     try {
-        const result = await query(
-            'SELECT session_id, tt_target_idc, valid_until FROM tiktok_session WHERE id = 1'
-        );
-        const row = result.rows[0];
-        if (!row?.session_id || !row.valid_until || new Date(row.valid_until) <= new Date()) {
-            return null;
-        }
-        return {
-            sessionId: row.session_id,
-            ttTargetIdc: row.tt_target_idc || null
-        };
+        return await tiktokSessionService.getSession(handle);
     } catch (err) {
         return null;
     }
 }
 
+/**
+ * Live status of an account from its profile page, without opening a websocket
+ * The page's user data carries the roomId of the current stream, and an empty roomId while offline
+ * Returns { status: 'live' | 'offline' | 'unknown', roomId, reason }
+ */
+async function fetchLiveStatus(handle, { session = null, agent = null, timeoutMs = 8000 } = {}) {
+    const cleanHandle = handle.replace('@', '');
+    const html = await fetchPage(`https://www.tiktok.com/@${cleanHandle}`, session, { agent, timeoutMs });
+    const userData = parseUserDataFromHTML(html);
+    
+    if (!userData) {
+        return { status: 'unknown', roomId: null, reason: 'no_user_data' };
+    }
+    if (userData.uniqueId && String(userData.uniqueId).toLowerCase() !== cleanHandle.toLowerCase()) {
+        return { status: 'unknown', roomId: null, reason: 'other_user_on_page' };
+    }
+    if (userData.roomId === undefined || userData.roomId === null) {
+        return { status: 'unknown', roomId: null, reason: 'no_room_field' };
+    }
+    
+    const roomId = String(userData.roomId);
+    if (roomId && roomId !== '0') {
+        return { status: 'live', roomId, reason: 'room_id_present' };
+    }
+    return { status: 'offline', roomId: null, reason: 'room_id_empty' };
+}
+
 /**
  * Fetch HTML page content
+ * Options: agent (e.g. a proxy agent), timeoutMs (abort a request that takes longer)
  */
-function fetchPage(url, cookieOptions = null) {
+function fetchPage(url, cookieOptions = null, { agent = null, timeoutMs = null } = {}) {
     return new Promise((resolve, reject) => {
         // Add query parameters similar to bash script
         const urlObj = new URL(url);
@@ -124,8 +143,9 @@ function fetchPage(url, cookieOptions = null) {
             headers['Cookie'] = cookieStr;
         }
 
-        https.get(finalUrl, {
-            headers
+        const request = https.get(finalUrl, {
+            headers,
+            ...(agent ? { agent } : {})
         }, (res) => {
             let data = '';
             
@@ -153,9 +173,17 @@ function fetchPage(url, cookieOptions = null) {
             stream.on('error', (err) => {
                 reject(err);
             });
-        }).on('error', (err) => {
+        });
+        
+        request.on('error', (err) => {
             reject(err);
         });
+        
+        if (timeoutMs) {
+            request.setTimeout(timeoutMs, () => {
+                request.destroy(new Error(`Request timed out after ${timeoutMs}ms`));
+            });
+        }
     });
 }
 
@@ -456,7 +484,7 @@ async function fetchUserActivity(handle) {
         const cleanHandle = handle.replace('@', '');
         const url = `https://www.tiktok.com/@${cleanHandle}`;
         
-        const session = await getValidSession();
+        const session = await getValidSession(cleanHandle);
         console.log(`[Activity] Fetching activity for @${cleanHandle}...`);
         const html = await fetchPage(url, session);
         console.log(`[Activity] HTML length: ${html.length} characters`);
@@ -911,6 +939,7 @@ function extractVideosFromData(data, depth = 0, maxDepth = 10) {
 module.exports = {
     fetchUserProfile,
     fetchUserActivity,
+    fetchLiveStatus,
     detectChanges,
     storeAccountHistory
 };
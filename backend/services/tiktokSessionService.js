@@ -0,0 +1,327 @@
+const { v4: uuidv4 } = require('uuid');
+const { query } = require('../config/database');
+const { read } = require('../storage/dbStorage');
+const logService = require('./logService');
+
+// Validity assumed when the sessionid cookie has no expiration date
+const SESSION_VALID_DAYS = 30;
+
+// Consecutive failures after which a session is quarantined
+const QUARANTINE_AFTER_FAILURES = 3;
+
+// Sessions expiring within this window are reported on the dashboard
+const EXPIRY_WARNING_DAYS = 3;
+
+/**
+ * Extract the session from a cookie export (EditThisCookie, Cookie-Editor format)
+ * Returns { sessionId, ttTargetIdc, validUntil } or null when there is no sessionid cookie
+ */
+function parseSessionCookies(cookies) {
+    if (!Array.isArray(cookies)) {
+        return null;
+    }
+    
+    const sessionCookie = cookies.find(c => c && (c.name === 'sessionid' || c.name === 'sessionid_ss'));
+    if (!sessionCookie || !sessionCookie.value) {
+        return null;
+    }
+    
+    const ttCookie = cookies.find(c => c && c.name === 'tt-target-idc');
+    
+    let validUntil;
+    if (sessionCookie.expirationDate && typeof sessionCookie.expirationDate === 'number') {
+        validUntil = new Date(sessionCookie.expirationDate * 1000);
+    } else {
+        validUntil = new Date();
+        validUntil.setDate(validUntil.getDate() + SESSION_VALID_DAYS);
+    }
+    
+    return {
+        sessionId: String(sessionCookie.value),
+        ttTargetIdc: ttCookie && ttCookie.value ? String(ttCookie.value) : null,
+        validUntil
+    };
+}
+
+/**
+ * True for connection errors caused by the session rather than the account or network
+ * (an offline streamer or an IP block says nothing about the session)
+ */
+function isSessionError(message) {
+    return /sessionid|session expired|invalid session|not logged|login|unauthori[sz]ed|\b401\b|forbidden|\b403\b|age.?restrict|audience/i.test(String(message || ''));
+}
+
+/**
+ * Status of a session: quarantined, disabled, expired or active
+ */
+function sessionStatus(row) {
+    if (row.quarantined_at) return 'quarantined';
+    if (row.enabled === false) return 'disabled';
+    if (!row.valid_until || new Date(row.valid_until) <= new Date()) return 'expired';
+    return 'active';
+}
+
+/**
+ * Convert tiktok_sessions row to JSON format (the sessionid value is never returned)
+ */
+function rowToSession(row) {
+    const toIso = value => value ? new Date(value).toISOString() : null;
+    return {
+        id: row.id,
+        label: row.label || `Session ${String(row.session_id).slice(0, 4)}…`,
+        sessionIdHint: `${String(row.session_id).slice(0, 4)}…${String(row.session_id).slice(-4)}`,
+        ttTargetIdc: row.tt_target_idc,
+        status: sessionStatus(row),
+        enabled: row.enabled !== false,
+        validUntil: toIso(row.valid_until),
+        lastSuccessAt: toIso(row.last_success_at),
+        lastFailureAt: toIso(row.last_failure_at),
+        lastError: row.last_error,
+        consecutiveFailures: row.consecutive_failures || 0,
+        quarantinedAt: toIso(row.quarantined_at),
+        handles: row.handles || [],
+        createdAt: toIso(row.created_at),
+        updatedAt: toIso(row.updated_at)
+    };
+}
+
+/**
+ * TikTok Session Service - Pool of imported TikTok login sessions
+ * Accounts pinned to a session always use it; the others take the active sessions in turn
+ * (round-robin). Session-related connection failures are counted, and a session failing
+ * repeatedly is quarantined until it is released or imported again
+ */
+class TikTokSessionService {
+    constructor() {
+        this.roundRobinIndex = 0;
+    }
+    
+    /**
+     * All sessions with the accounts pinned to them
+     */
+    async list() {
+        const result = await query(
+            `SELECT s.*, COALESCE(ARRAY_AGG(sa.handle ORDER BY sa.handle) FILTER (WHERE sa.handle IS NOT NULL), '{}') AS handles
+             FROM tiktok_sessions s
+             LEFT JOIN tiktok_session_assignments sa ON sa.session_id = s.id
+             GROUP BY s.id
+             ORDER BY s.created_at ASC`
+        );
+        return result.rows.map(rowToSession);
+    }
+    
+    /**
+     * Counts shown on the dashboard: { total, active, quarantined, expired, expiringSoon, quarantinedSessions }
+     */
+    async getSummary() {
+        const sessions = await this.list();
+        const soon = Date.now() + EXPIRY_WARNING_DAYS * 24 * 60 * 60 * 1000;
+        const quarantined = sessions.filter(s => s.status === 'quarantined');
+        return {
+            total: sessions.length,
+            active: sessions.filter(s => s.status === 'active').length,
+            quarantined: quarantined.length,
+            expired: sessions.filter(s => s.status === 'expired').length,
+            expiringSoon: sessions.filter(s => s.status === 'active' && new Date(s.validUntil).getTime() <= soon).length,
+            quarantinedSessions: quarantined.map(s => ({ id: s.id, label: s.label, lastError: s.lastError, quarantinedAt: s.quarantinedAt }))
+        };
+    }
+    
+    /**
+     * Add a session from a cookie export; importing a session already in the pool refreshes its
+     * expiry and releases it from quarantine
+     * Returns null when the cookies have no sessionid
+     */
+    async importCookies(cookies, label = null) {
+        const parsed = parseSessionCookies(cookies);
+        if (!parsed) {
+            return null;
+        }
+        
+        const result = await query(
+            `INSERT INTO tiktok_sessions (id, label, session_id, tt_target_idc, valid_until, created_at, updated_at)
+             VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+             ON CONFLICT (session_id) DO UPDATE SET
+                label = COALESCE(EXCLUDED.label, tiktok_sessions.label),
+                tt_target_idc = EXCLUDED.tt_target_idc,
+                valid_until = EXCLUDED.valid_until,
+                consecutive_failures = 0,
+                quarantined_at = NULL,
+                updated_at = NOW()
+             RETURNING *`,
+            [uuidv4(), label ? String(label).trim() : null, parsed.sessionId, parsed.ttTargetIdc, parsed.validUntil.toISOString()]
+        );
+        return rowToSession(result.rows[0]);
+    }
+    
+    /**
+     * Update a session's label or enabled flag; fields left undefined keep their value
+     */
+    async update(id, { label, enabled }) {
+        const result = await query(
+            `UPDATE tiktok_sessions SET
+                label = CASE WHEN $1::boolean THEN $2 ELSE label END,
+                enabled = COALESCE($3, enabled),
+                updated_at = NOW()
+             WHERE id = $4 RETURNING *`,
+            [label !== undefined, label ? String(label).trim() : null, enabled !== undefined ? enabled !== false : null, id]
+        );
+        return result.rows.length > 0 ? rowToSession(result.rows[0]) : null;
+    }
+    
+    /**
+     * Remove a session (accounts pinned to it go back to round-robin)
+     */
+    async remove(id) {
+        const result = await query('DELETE FROM tiktok_sessions WHERE id = $1', [id]);
+        return result.rowCount > 0;
+    }
+    
+    /**
+     * Release a session from quarantine
+     */
+    async release(id) {
+        const result = await query(
+            `UPDATE tiktok_sessions SET quarantined_at = NULL, consecutive_failures = 0, updated_at = NOW()
+             WHERE id = $1 RETURNING *`,
+            [id]
+        );
+        return result.rows.length > 0 ? rowToSession(result.rows[0]) : null;
+    }
+    
+    /**
+     * Session pinned to every account
+     */
+    async listAssignments() {
+        const result = await query(
+            `SELECT sa.handle, sa.assigned_at, s.*
+             FROM tiktok_session_assignments sa
+             INNER JOIN tiktok_sessions s ON s.id = sa.session_id
+             ORDER BY sa.handle ASC`
+        );
+        return result.rows.map(row => ({
+            handle: row.handle,
+            assignedAt: new Date(row.assigned_at).toISOString(),
+            session: rowToSession(row)
+        }));
+    }
+    
+    /**
+     * Pin an account to a session, or put it back on round-robin with sessionId null
+     */
+    async setAssignment(handle, sessionId) {
+        if (!sessionId) {
+            await query('DELETE FROM tiktok_session_assignments WHERE handle = $1', [handle]);
+            return null;
+        }
+        const result = await query(
+            `INSERT INTO tiktok_session_assignments (handle, session_id, assigned_at)
+             VALUES ($1, $2, NOW())
+             ON CONFLICT (handle) DO UPDATE SET session_id = EXCLUDED.session_id, assigned_at = EXCLUDED.assigned_at
+             RETURNING *`,
+            [handle, sessionId]
+        );
+        return result.rows[0];
+    }
+    
+    /**
+     * Session to use for an account: its pinned session, or the next active one in round-robin
+     * Returns { id, label, sessionId, ttTargetIdc } or null when no usable session exists
+     */
+    async getSession(handle = null) {
+        if (handle) {
+            const pinned = await query(
+                `SELECT s.* FROM tiktok_session_assignments sa
+                 INNER JOIN tiktok_sessions s ON s.id = sa.session_id
+                 WHERE sa.handle = $1`,
+                [handle]
+            );
+            if (pinned.rows.length > 0) {
+                const row = pinned.rows[0];
+                if (sessionStatus(row) !== 'active') {
+                    console.warn(`[TikTok Sessions] Session ${rowToSession(row).label} pinned to @${handle} is ${sessionStatus(row)}`);
+                    return null;
+                }
+                return { id: row.id, label: rowToSession(row).label, sessionId: row.session_id, ttTargetIdc: row.tt_target_idc };
+            }
+        }
+        
+        const result = await query(
+            `SELECT * FROM tiktok_sessions
+             WHERE enabled = true AND quarantined_at IS NULL AND valid_until > NOW()
+             ORDER BY created_at ASC`
+        );
+        if (result.rows.length === 0) {
+            return null;
+        }
+        
+        const row = result.rows[this.roundRobinIndex % result.rows.length];
+        this.roundRobinIndex = (this.roundRobinIndex + 1) % result.rows.length;
+        return { id: row.id, label: rowToSession(row).label, sessionId: row.session_id, ttTargetIdc: row.tt_target_idc };
+    }
+    
+    /**
+     * Session for an account that has "use session" enabled, otherwise null
+     */
+    async getSessionForHandle(handle) {
+        const accounts = await read('tiktok_accounts.json');
+        const account = Array.isArray(accounts) ? accounts.find(a => a.handle === handle) : null;
+        if (!account?.useSession) {
+            return null;
+        }
+        return this.getSession(handle);
+    }
+    
+    /**
+     * Record a successful connection made with a session
+     */
+    async recordSuccess(id) {
+        await query(
+            `UPDATE tiktok_sessions SET last_success_at = NOW(), consecutive_failures = 0 WHERE id = $1`,
+            [id]
+        );
+    }
+    
+    /**
+     * Record a failed connection made with a session; failures not caused by the session are ignored
+     * The session is quarantined after QUARANTINE_AFTER_FAILURES consecutive failures
+     * Returns true when this failure quarantined the session
+     */
+    async recordFailure(id, errorMessage) {
+        if (!isSessionError(errorMessage)) {
+            return false;
+        }
+        
+        const result = await query(
+            `UPDATE tiktok_sessions SET
+                last_failure_at = NOW(),
+                last_error = $2,
+                consecutive_failures = consecutive_failures + 1,
+                quarantined_at = CASE
+                    WHEN quarantined_at IS NULL AND consecutive_failures + 1 >= $3 THEN NOW()
+                    ELSE quarantined_at
+                END
+             WHERE id = $1
+             RETURNING *, (quarantined_at IS NOT NULL AND consecutive_failures = $3) AS just_quarantined`,
+            [id, String(errorMessage).slice(0, 500), QUARANTINE_AFTER_FAILURES]
+        );
+        
+        const row = result.rows[0];
+        if (!row || !row.just_quarantined) {
+            return false;
+        }
+        
+        logService.warn(`TikTok session ${rowToSession(row).label} quarantined after ${QUARANTINE_AFTER_FAILURES} consecutive failures`, {
+            sessionId: row.id,
+            lastError: row.last_error
+        }).catch(console.error);
+        return true;
+    }
+}
+
+// Create singleton instance
+const tiktokSessionService = new TikTokSessionService();
+
+module.exports = tiktokSessionService;
+module.exports.parseSessionCookies = parseSessionCookies;
+module.exports.QUARANTINE_AFTER_FAILURES = QUARANTINE_AFTER_FAILURES;
@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const alertService = require('./alertService');
+const LexiconClassifier = require('../utils/lexiconClassifier');
+
+// Labels and alert severities of the built-in categories (other classifier categories alert as medium)
+const CATEGORY_INFO = {
+    threat: { label: 'Threat', severity: 'high' },
+    hate: { label: 'Hate', severity: 'high' },
+    selfHarm: { label: 'Self-harm', severity: 'high' },
+    sexual: { label: 'Sexual', severity: 'medium' }
+};
+
+/**
+ * Check that an object implements the classifier interface
+ */
+function isClassifier(candidate) {
+    return Boolean(candidate) && typeof candidate.classify === 'function';
+}
+
+/**
+ * Build the classifier named by the environment
+ * TOXICITY_CLASSIFIER: path of a module exporting a classifier, a class or a factory returning one
+ * TOXICITY_LEXICON: path of a JSON lexicon ({ category: { term: weight } }) for the built-in classifier
+ */
+function createConfiguredClassifier() {
+    const modulePath = process.env.TOXICITY_CLASSIFIER;
+    if (modulePath) {
+        const exported = require(path.resolve(modulePath));
+        if (isClassifier(exported)) {
+            return exported;
+        }
+        if (typeof exported === 'function') {
+            const instance = isClassifier(exported.prototype) ? new exported() : exported();
+            if (isClassifier(instance)) {
+                return instance;
+            }
+        }
+        throw new Error(`${modulePath} does not export a classifier (an object with classify(text))`);
+    }
+    
+    const lexiconPath = process.env.TOXICITY_LEXICON;
+    if (lexiconPath) {
+        return new LexiconClassifier(JSON.parse(fs.readFileSync(path.resolve(lexiconPath), 'utf8')));
+    }
+    
+    return new LexiconClassifier();
+}
+
+/**
+ * Toxicity Service - Scores chat messages with a local classifier and alerts above per-category thresholds
+ * A classifier is any object with
+ *   name: shown next to the scores
+ *   classify(text): { category: score 0-1 } (or a Promise of it)
+ *   load() (optional): awaited once before the first message, e.g. to read a model from disk
+ * The built-in lexicon classifier runs unless TOXICITY_CLASSIFIER names another one; scoring never
+ * leaves the machine and a failing classifier only skips the scores
+ */
+class ToxicityService {
+    constructor() {
+        this.classifier = null;
+        this.loading = null;
+    }
+    
+    /**
+     * Replace the classifier (e.g. from a plugin); load() is awaited before its first message
+     */
+    setClassifier(classifier) {
+        if (!isClassifier(classifier)) {
+            throw new Error('A classifier needs a classify(text) method');
+        }
+        this.loading = Promise.resolve(typeof classifier.load === 'function' ? classifier.load() : null)
+            .then(() => {
+                this.classifier = classifier;
+                return classifier;
+            });
+        return this.loading;
+    }
+    
+    /**
+     * Current classifier, created from the environment on first use
+     * Falls back to the built-in lexicon when the configured classifier cannot be loaded
+     */
+    async getClassifier() {
+        if (this.classifier) {
+            return this.classifier;
+        }
+        
+        if (!this.loading) {
+            let configured;
+            try {
+                configured = createConfiguredClassifier();
+            } catch (error) {
+                console.error('[Toxicity] Could not load the configured classifier, using the built-in lexicon:', error.message);
+                configured = new LexiconClassifier();
+            }
+            this.setClassifier(configured).catch(error => {
+                console.error(`[Toxicity] Classifier ${configured.name || 'custom'} failed to load, using the built-in lexicon:`, error.message);
+                this.classifier = new LexiconClassifier();
+            });
+        }
+        
+        try {
+            return await this.loading;
+        } catch (error) {
+            this.classifier = this.classifier || new LexiconClassifier();
+            return this.classifier;
+        }
+    }
+    
+    /**
+     * Score a text: { classifier, scores: { category: score } }
+     */
+    async classify(text) {
+        const classifier = await this.getClassifier();
+        const raw = await classifier.classify(String(text || ''));
+        const scores = {};
+        for (const [category, value] of Object.entries(raw || {})) {
+            const score = Number(value);
+            if (!isNaN(score)) {
+                scores[category] = Math.round(Math.max(0, Math.min(1, score)) * 100) / 100;
+            }
+        }
+        return { classifier: classifier.name || 'custom', scores };
+    }
+    
+    /**
+     * Score a chat event and store the result in its data as toxicity: { classifier, scores }
+     * Never throws; the event is left without scores when the classifier fails
+     */
+    async scoreEvent(event) {
+        try {
+            if (!event || event.type !== 'chat' || !event.data?.comment) {
+                return null;
+            }
+            event.data.toxicity = await this.classify(event.data.comment);
+            return event.data.toxicity;
+        } catch (error) {
+            console.error('[Toxicity] Error scoring message:', error.message);
+            return null;
+        }
+    }
+    
+    /**
+     * Create an alert when a scored event reaches the threshold of one or more categories
+     * The alert is named after the highest-scoring category over its threshold and lists all scores
+     */
+    async checkAndCreateAlert(event, handle, sessionId, io) {
+        try {
+            const toxicity = event?.data?.toxicity;
+            if (!toxicity) {
+                return null;
+            }
+            
+            const settings = await alertService.loadSettings();
+            if (!settings.toxicityAlertsEnabled) {
+                return null;
+            }
+            
+            const thresholds = settings.toxicityThresholds || {};
+            const exceeded = Object.entries(toxicity.scores)
+                .filter(([category, score]) => thresholds[category] > 0 && score >= thresholds[category])
+                .sort((a, b) => b[1] - a[1]);
+            if (exceeded.length === 0) {
+                return null;
+            }
+            
+            const [category, score] = exceeded[0];
+            const info = CATEGORY_INFO[category] || { label: category, severity: 'medium' };
+            const text = event.data.comment;
+            
+            const alert = {
+                id: uuidv4(),
+                triggerWord: `toxicity:${category}`,
+                eventType: event.type,
+                source: 'toxicity',
+                sessionId,
+                handle,
+                eventId: event.id,
+                timestamp: new Date().toISOString(),
+                severity: info.severity,
+                status: 'new',
+                message: text.substring(0, 500),
+                rawText: text,
+                details: {
+                    classifier: toxicity.classifier,
+                    category,
+                    score,
+                    threshold: thresholds[category],
+                    scores: toxicity.scores,
+                    exceeded: exceeded.map(([name]) => name)
+                },
+                acknowledgedAt: null,
+                resolvedAt: null
+            };
+            
+            // Repeats are grouped and the global ceiling applied by the alert service
+            const result = await alertService.createAlert(alert, { io, viewer: event.user?.uniqueId });
+            
+            console.log(`Alert ${result?.occurrenceCount > 1 ? 'grouped' : 'created'} for @${handle}: ${info.label} score ${score} from ${toxicity.classifier}`);
+            
+            return result;
+        } catch (error) {
+            console.error('[Toxicity] Error creating alert:', error);
+            return null;
+        }
+    }
+}
+
+// Create singleton instance
+const toxicityService = new ToxicityService();
+
+module.exports = toxicityService;
+module.exports.CATEGORY_INFO = CATEGORY_INFO;
@@ -0,0 +1,140 @@
+const { v4: uuidv4 } = require('uuid');
+const { query } = require('../config/database');
+const triggerService = require('./triggerService');
+
+const SEVERITIES = ['low', 'medium', 'high'];
+
+/**
+ * Convert trigger_categories row to JSON format
+ */
+function rowToCategory(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        description: row.description || '',
+        defaultSeverity: (row.default_severity || 'MEDIUM').toLowerCase(),
+        enabled: row.enabled !== false,
+        wordCount: row.word_count !== undefined ? parseInt(row.word_count) || 0 : undefined,
+        createdAt: row.created_at ? new Date(row.created_at).toISOString() : null,
+        updatedAt: row.updated_at ? new Date(row.updated_at).toISOString() : null
+    };
+}
+
+/**
+ * Validate category fields sent to the API
+ * Returns an error message or null
+ */
+function validateCategory({ name, description, defaultSeverity, enabled }) {
+    if (name !== undefined && (typeof name !== 'string' || name.trim().length === 0 || name.trim().length > 255)) {
+        return 'Name is required (at most 255 characters)';
+    }
+    
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+        return 'Description must be text';
+    }
+    
+    if (defaultSeverity !== undefined && !SEVERITIES.includes(String(defaultSeverity).toLowerCase())) {
+        return 'Invalid default severity. Must be low, medium, or high';
+    }
+    
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+        return 'Enabled must be true or false';
+    }
+    
+    return null;
+}
+
+/**
+ * Trigger Category Service - Named lists of trigger words
+ * A category groups words by topic (e.g. "election terms"); disabling it switches all its words off
+ * at once, and alerts raised by its words record the category
+ */
+class TriggerCategoryService {
+    /**
+     * List categories with the number of words in each
+     */
+    async list() {
+        const result = await query(
+            `SELECT c.*, (SELECT COUNT(*) FROM trigger_words w WHERE w.category_id = c.id) AS word_count
+             FROM trigger_categories c ORDER BY LOWER(c.name) ASC`
+        );
+        return result.rows.map(rowToCategory);
+    }
+    
+    /**
+     * Get one category (null when it does not exist)
+     */
+    async get(id) {
+        const result = await query('SELECT * FROM trigger_categories WHERE id = $1', [id]);
+        return result.rows.length > 0 ? rowToCategory(result.rows[0]) : null;
+    }
+    
+    /**
+     * Add a category
+     * Throws an error with statusCode 409 when the name is taken
+     */
+    async add({ name, description, defaultSeverity, enabled }) {
+        try {
+            const result = await query(
+                `INSERT INTO trigger_categories (id, name, description, default_severity, enabled, created_at, updated_at)
+                 VALUES ($1, $2, $3, $4, $5, NOW(), NOW()) RETURNING *`,
+                [uuidv4(), name.trim(), description ? description.trim() : null, (defaultSeverity || 'medium').toUpperCase(), enabled !== false]
+            );
+            triggerService.invalidateMatcher();
+            return { ...rowToCategory(result.rows[0]), wordCount: 0 };
+        } catch (error) {
+            if (error.code === '23505') {
+                throw Object.assign(new Error('A category with this name already exists'), { statusCode: 409 });
+            }
+            throw error;
+        }
+    }
+    
+    /**
+     * Update a category; fields left undefined keep their value
+     * Throws an error with statusCode 409 when the new name is taken
+     */
+    async update(id, { name, description, defaultSeverity, enabled }) {
+        try {
+            const result = await query(
+                `UPDATE trigger_categories SET
+                    name = COALESCE($1, name),
+                    description = CASE WHEN $2::boolean THEN $3 ELSE description END,
+                    default_severity = COALESCE($4, default_severity),
+                    enabled = COALESCE($5, enabled),
+                    updated_at = NOW()
+                 WHERE id = $6 RETURNING *`,
+                [
+                    name !== undefined ? name.trim() : null,
+                    description !== undefined,
+                    description ? description.trim() : null,
+                    defaultSeverity !== undefined ? String(defaultSeverity).toUpperCase() : null,
+                    enabled !== undefined ? enabled : null,
+                    id
+                ]
+            );
+            triggerService.invalidateMatcher();
+            return result.rows.length > 0 ? rowToCategory(result.rows[0]) : null;
+        } catch (error) {
+            if (error.code === '23505') {
+                throw Object.assign(new Error('A category with this name already exists'), { statusCode: 409 });
+            }
+            throw error;
+        }
+    }
+    
+    /**
+     * Delete a category; its words stay and become uncategorized
+     */
+    async remove(id) {
+        const result = await query('DELETE FROM trigger_categories WHERE id = $1', [id]);
+        triggerService.invalidateMatcher();
+        return result.rowCount > 0;
+    }
+}
+
+// Create singleton instance
+const triggerCategoryService = new TriggerCategoryService();
+
+module.exports = triggerCategoryService;
+module.exports.validateCategory = validateCategory;
@@ -0,0 +1,355 @@
+const { v4: uuidv4 } = require('uuid');
+const { query, withTransaction } = require('../config/database');
+const triggerService = require('./triggerService');
+const { parseCsv, formatCsv } = require('../utils/csv');
+const { normalizeLanguages } = require('../utils/languageDetector');
+
+const IMPORT_FORMATS = ['csv', 'json'];
+
+// CSV columns, in export order; scope and language lists are comma-separated inside their cell
+const CSV_COLUMNS = ['word', 'category', 'severity', 'eventType', 'mode', 'normalize', 'conditions', 'handles', 'tags', 'excludeHandles', 'excludeTags', 'languages'];
+const SCOPE_COLUMNS = ['handles', 'tags', 'excludeHandles', 'excludeTags'];
+
+const SEVERITY_MAP = { low: 'LOW', medium: 'MEDIUM', med: 'MEDIUM', high: 'HIGH' };
+
+// Trigger words with the name of their category
+const SELECT_WORDS = `SELECT w.*, c.name AS category_name
+    FROM trigger_words w LEFT JOIN trigger_categories c ON w.category_id = c.id`;
+
+/**
+ * Convert trigger_words row to the exported rule format
+ */
+function rowToRule(row) {
+    return {
+        id: row.id,
+        word: row.word,
+        category: row.category_name || null,
+        categoryId: row.category_id || null,
+        severity: (SEVERITY_MAP[String(row.severity || 'medium').toLowerCase()] || 'MEDIUM').toLowerCase(),
+        eventType: row.event_type || 'chat',
+        mode: row.mode || 'contains',
+        normalize: row.normalize !== false,
+        conditions: row.conditions || [],
+        scope: triggerService.normalizeScope(row.scope),
+        languages: normalizeLanguages(row.languages)
+    };
+}
+
+/**
+ * Header name reduced to letters and digits ("Event Type", "event_type" -> "eventtype")
+ */
+function headerKey(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Read a yes/no cell ("true", "yes", "1" / "false", "no", "0"); empty keeps the default
+ */
+function parseBoolean(value, defaultValue) {
+    if (value === undefined || value === null || value === '') {
+        return defaultValue;
+    }
+    if (typeof value === 'boolean') {
+        return value;
+    }
+    const text = String(value).trim().toLowerCase();
+    if (['true', 'yes', 'y', '1'].includes(text)) return true;
+    if (['false', 'no', 'n', '0'].includes(text)) return false;
+    return null;
+}
+
+/**
+ * Raw entries of an uploaded file ({ line, fields } per rule)
+ * Throws an error with statusCode 400 when the file cannot be read
+ */
+function parseFile(content, format) {
+    if (!IMPORT_FORMATS.includes(format)) {
+        throw Object.assign(new Error(`Invalid format. Must be one of: ${IMPORT_FORMATS.join(', ')}`), { statusCode: 400 });
+    }
+    
+    if (format === 'json') {
+        // Bodies sent as application/json arrive already parsed
+        let data = content;
+        if (typeof content === 'string') {
+            try {
+                data = JSON.parse(content.replace(/^\uFEFF/, ''));
+            } catch (error) {
+                throw Object.assign(new Error(`Invalid JSON: ${error.message}`), { statusCode: 400 });
+            }
+        }
+        const items = Array.isArray(data) ? data : data?.triggerWords;
+        if (!Array.isArray(items)) {
+            throw Object.assign(new Error('JSON must be an array of trigger words (or { "triggerWords": [...] })'), { statusCode: 400 });
+        }
+        return items.map((fields, index) => ({ line: index + 1, fields: fields && typeof fields === 'object' ? fields : { word: fields } }));
+    }
+    
+    if (typeof content !== 'string') {
+        throw Object.assign(new Error('Send the CSV file as the request body (text/csv)'), { statusCode: 400 });
+    }
+    const rows = parseCsv(content);
+    if (rows.length === 0) {
+        return [];
+    }
+    
+    const columns = new Map(CSV_COLUMNS.map(column => [headerKey(column), column]));
+    const header = rows[0].map(name => columns.get(headerKey(name)) || null);
+    if (!header.includes('word')) {
+        throw Object.assign(new Error('CSV header must include a "word" column'), { statusCode: 400 });
+    }
+    
+    return rows.slice(1).map((cells, index) => {
+        const fields = {};
+        header.forEach((column, position) => {
+            if (column && cells[position] !== undefined && cells[position].trim() !== '') {
+                fields[column] = cells[position].trim();
+            }
+        });
+        if (fields.conditions !== undefined) {
+            try {
+                fields.conditions = JSON.parse(fields.conditions);
+            } catch (error) {
+                fields.conditions = { invalid: fields.conditions };
+            }
+        }
+        const scope = {};
+        for (const column of SCOPE_COLUMNS) {
+            if (fields[column] !== undefined) {
+                scope[column] = fields[column].split(',').map(value => value.trim()).filter(Boolean);
+                delete fields[column];
+            }
+        }
+        fields.scope = scope;
+        if (fields.languages !== undefined) {
+            fields.languages = fields.languages.split(',').map(value => value.trim()).filter(Boolean);
+        }
+        return { line: index + 2, fields };
+    });
+}
+
+/**
+ * Validate one imported entry with the same rules as POST /api/alerts/trigger-words
+ * categories: lowercase name -> trigger_categories row; a word without severity gets its category's default
+ * Returns { rule } or { error }
+ */
+function toRule(fields, categories) {
+    const mode = fields.mode || 'contains';
+    const eventType = fields.eventType || 'chat';
+    const conditions = fields.conditions === undefined ? [] : fields.conditions;
+    const scope = fields.scope === undefined ? {} : fields.scope;
+    const languages = fields.languages === undefined ? [] : fields.languages;
+    
+    if (!fields.word || typeof fields.word !== 'string' || fields.word.trim().length === 0) {
+        return { error: 'Word is required' };
+    }
+    
+    const word = triggerService.normalizeWord(fields.word, mode);
+    const ruleError = triggerService.validateRule({ word, mode, eventType, conditions, scope, languages });
+    if (ruleError) {
+        return { error: ruleError };
+    }
+    
+    let category = null;
+    if (fields.category !== undefined && fields.category !== null && String(fields.category).trim() !== '') {
+        category = categories.get(String(fields.category).trim().toLowerCase());
+        if (!category) {
+            return { error: `Unknown category "${String(fields.category).trim()}" (create it first)` };
+        }
+    }
+    
+    const severity = String(fields.severity || (category ? category.default_severity : 'medium')).toLowerCase();
+    if (!['low', 'medium', 'high'].includes(severity)) {
+        return { error: 'Invalid severity. Must be low, medium, or high' };
+    }
+    
+    const normalize = parseBoolean(fields.normalize, true);
+    if (normalize === null) {
+        return { error: 'Normalize must be true or false' };
+    }
+    
+    return {
+        rule: {
+            word,
+            category: category ? category.name : null,
+            categoryId: category ? category.id : null,
+            severity,
+            eventType,
+            mode,
+            normalize,
+            conditions,
+            scope: triggerService.normalizeScope(scope),
+            languages: normalizeLanguages(languages)
+        }
+    };
+}
+
+/**
+ * Fields that differ between an existing rule and an imported one
+ */
+function changedFields(existing, rule) {
+    return ['word', 'category', 'severity', 'eventType', 'mode', 'normalize', 'conditions', 'scope', 'languages']
+        .filter(field => JSON.stringify(existing[field]) !== JSON.stringify(rule[field]));
+}
+
+/**
+ * Trigger Import Service - Bulk export and import of trigger word lists (CSV and JSON)
+ * Imports are compared with the current words first (added, changed, unchanged, duplicate, invalid)
+ * using the same lowercase uniqueness as idx_trigger_words_unique, then applied in one transaction
+ */
+class TriggerImportService {
+    /**
+     * All trigger words as a CSV or JSON document
+     */
+    async export(format) {
+        const result = await query(`${SELECT_WORDS} ORDER BY w.created_at ASC`);
+        const rules = result.rows.map(rowToRule).map(({ id, categoryId, ...rule }) => rule);
+        
+        if (format === 'json') {
+            return JSON.stringify(rules, null, 2);
+        }
+        
+        return formatCsv(CSV_COLUMNS, rules.map(rule => [
+            rule.word,
+            rule.category || '',
+            rule.severity,
+            rule.eventType,
+            rule.mode,
+            rule.normalize ? 'true' : 'false',
+            rule.conditions.length > 0 ? JSON.stringify(rule.conditions) : '',
+            ...SCOPE_COLUMNS.map(column => rule.scope[column].join(', ')),
+            rule.languages.join(', ')
+        ]));
+    }
+    
+    /**
+     * Compare imported entries with the existing words (rows from trigger_words) and categories
+     */
+    diff(entries, existingRows, categoryRows) {
+        const categories = new Map(categoryRows.map(row => [row.name.toLowerCase(), row]));
+        const existing = new Map(existingRows.map(row => [row.word.toLowerCase(), rowToRule(row)]));
+        const seen = new Map(); // lowercase word -> line of its first occurrence in the file
+        const preview = { added: [], changed: [], unchanged: [], duplicates: [], invalid: [] };
+        
+        for (const { line, fields } of entries) {
+            const { rule, error } = toRule(fields, categories);
+            if (error) {
+                preview.invalid.push({ line, word: typeof fields.word === 'string' ? fields.word : null, error });
+                continue;
+            }
+            
+            const key = rule.word.toLowerCase();
+            if (seen.has(key)) {
+                preview.duplicates.push({ line, word: rule.word, firstLine: seen.get(key) });
+                continue;
+            }
+            seen.set(key, line);
+            
+            const current = existing.get(key);
+            if (current && !rule.categoryId) {
+                // A word listed without a category keeps the one it already has
+                rule.category = current.category;
+                rule.categoryId = current.categoryId;
+            }
+            if (!current) {
+                preview.added.push({ line, rule });
+                continue;
+            }
+            
+            const { id, ...previous } = current;
+            const changed = changedFields(previous, rule);
+            if (changed.length === 0) {
+                preview.unchanged.push({ line, word: rule.word });
+            } else {
+                preview.changed.push({ line, id, rule, previous, fields: changed });
+            }
+        }
+        
+        return preview;
+    }
+    
+    /**
+     * Preview an import without writing anything
+     */
+    async preview(content, format) {
+        const entries = parseFile(content, format);
+        const [words, categories] = await Promise.all([
+            query(SELECT_WORDS),
+            query('SELECT * FROM trigger_categories')
+        ]);
+        return this.summarize(this.diff(entries, words.rows, categories.rows));
+    }
+    
+    /**
+     * Apply an import in one transaction: insert added words and (unless updateExisting is false)
+     * update changed ones. Nothing is written when the file has invalid entries
+     * Throws an error with statusCode 400 on an unreadable file or invalid entries
+     */
+    async apply(content, format, { updateExisting = true } = {}) {
+        const entries = parseFile(content, format);
+        
+        const preview = await withTransaction(async (client) => {
+            // Keep other writers out so the diff still holds when the rows are written
+            await client.query('LOCK TABLE trigger_words IN SHARE ROW EXCLUSIVE MODE');
+            const current = await client.query(SELECT_WORDS);
+            const categories = await client.query('SELECT * FROM trigger_categories');
+            const diff = this.diff(entries, current.rows, categories.rows);
+            
+            if (diff.invalid.length > 0) {
+                throw Object.assign(new Error(`${diff.invalid.length} invalid entr${diff.invalid.length === 1 ? 'y' : 'ies'}; fix them before importing`), {
+                    statusCode: 400,
+                    preview: this.summarize(diff)
+                });
+            }
+            
+            for (const { rule } of diff.added) {
+                await client.query(
+                    'INSERT INTO trigger_words (id, word, case_sensitive, severity, event_type, conditions, mode, normalize, scope, category_id, languages, created_at) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW())',
+                    [uuidv4(), rule.word, false, SEVERITY_MAP[rule.severity], rule.eventType, JSON.stringify(rule.conditions), rule.mode, rule.normalize, JSON.stringify(rule.scope), rule.categoryId, JSON.stringify(rule.languages)]
+                );
+            }
+            
+            if (updateExisting) {
+                for (const { id, rule } of diff.changed) {
+                    await client.query(
+                        'UPDATE trigger_words SET word = $1, severity = $2, event_type = $3, conditions = $4, mode = $5, normalize = $6, scope = $7, category_id = $8, languages = $9 WHERE id = $10',
+                        [rule.word, SEVERITY_MAP[rule.severity], rule.eventType, JSON.stringify(rule.conditions), rule.mode, rule.normalize, JSON.stringify(rule.scope), rule.categoryId, JSON.stringify(rule.languages), id]
+                    );
+                }
+            }
+            
+            return diff;
+        });
+        
+        triggerService.invalidateMatcher();
+        
+        return {
+            ...this.summarize(preview),
+            applied: {
+                added: preview.added.length,
+                updated: updateExisting ? preview.changed.length : 0
+            }
+        };
+    }
+    
+    /**
+     * Diff with counts for the API
+     */
+    summarize(diff) {
+        return {
+            counts: {
+                added: diff.added.length,
+                changed: diff.changed.length,
+                unchanged: diff.unchanged.length,
+                duplicates: diff.duplicates.length,
+                invalid: diff.invalid.length
+            },
+            ...diff
+        };
+    }
+}
+
+// Create singleton instance
+const triggerImportService = new TriggerImportService();
+
+module.exports = triggerImportService;
+module.exports.IMPORT_FORMATS = IMPORT_FORMATS;
@@ -1,5 +1,86 @@
 const { v4: uuidv4 } = require('uuid');
-const { read, append } = require('../storage/dbStorage');
+const { read } = require('../storage/dbStorage');
+const { query } = require('../config/database');
+const alertService = require('./alertService');
+const { normalizeText, normalizePattern, collapseRepeats } = require('../utils/textNormalizer');
+const AhoCorasick = require('../utils/ahoCorasick');
+const { LANGUAGES, detectLanguage, normalizeLanguages } = require('../utils/languageDetector');
+
+/**
+ * Event types a trigger rule can target
+ * chat and questionNew carry text, so their rule word is matched against the message;
+ * for the other types the word is only the rule's name and the conditions decide the match
+ */
+const RULE_EVENT_TYPES = ['chat', 'gift', 'member', 'social', 'subscribe', 'envelope', 'questionNew'];
+
+/**
+ * Event types whose rule word is matched against the event text
+ */
+const TEXT_EVENT_TYPES = ['chat', 'questionNew'];
+
+/**
+ * Condition operators supported on extractEventData fields
+ */
+const CONDITION_OPERATORS = ['=', '!=', '>', '>=', '<', '<=', 'contains'];
+
+/**
+ * Matching modes for a trigger word
+ * - contains: substring match with * and % wildcards
+ * - whole-word: like contains, but only matches complete words ("ass" does not match "class")
+ * - regex: JavaScript regular expression (case-insensitive)
+ * - boolean: terms combined with AND, OR, NOT and parentheses, e.g. (gun OR knife) AND NOT game
+ */
+const TRIGGER_MODES = ['contains', 'whole-word', 'regex', 'boolean'];
+
+// Letters, digits and underscore in any script count as word characters
+const WORD_CHAR = '[\\p{L}\\p{N}_]';
+
+// Placeholders protecting wildcards while a pattern is escaped
+const WILDCARD_STAR = '\u0000';
+const WILDCARD_PERCENT = '\u0001';
+
+// Compiled regexes and parsed boolean expressions, keyed by mode and pattern
+const compiledCache = new Map();
+const COMPILED_CACHE_LIMIT = 1000;
+
+function getCompiled(key, build) {
+    if (!compiledCache.has(key)) {
+        if (compiledCache.size >= COMPILED_CACHE_LIMIT) {
+            compiledCache.clear();
+        }
+        compiledCache.set(key, build());
+    }
+    return compiledCache.get(key);
+}
+
+/**
+ * Escape a wildcard pattern into a regex source
+ * starPattern is what * expands to (any characters, or word characters for whole-word matching)
+ * With repeatTolerant, a run of a letter also matches longer runs of it ("kill" -> k+i+l{2,})
+ */
+function patternToSource(pattern, starPattern, repeatTolerant = false) {
+    let regexPattern = pattern;
+    
+    // First, replace wildcards with placeholders (no letters, so repeats leave them alone)
+    regexPattern = regexPattern.replace(/\*/g, WILDCARD_STAR);
+    regexPattern = regexPattern.replace(/%/g, WILDCARD_PERCENT);
+    
+    // Escape special regex characters (.*+?^${}()[\]|\\)
+    regexPattern = regexPattern.replace(/[.+?^${}()[\]|\\]/g, '\\$&');
+    
+    if (repeatTolerant) {
+        regexPattern = regexPattern.replace(/(\p{L})\1*/gu, run => {
+            const length = Array.from(run).length;
+            return length === 1 ? `${run}+` : `${Array.from(run)[0]}{${length},}`;
+        });
+    }
+    
+    // Replace placeholders with actual regex patterns
+    regexPattern = regexPattern.split(WILDCARD_PERCENT).join('[^a-zA-Z0-9]');
+    regexPattern = regexPattern.split(WILDCARD_STAR).join(starPattern);
+    
+    return regexPattern;
+}
 
 /**
  * Convert trigger word pattern to regex
@@ -8,81 +89,795 @@ const { read, append } = require('../storage/dbStorage');
  * - % = any symbol (non-alphanumeric character)
  * Always case-insensitive
  */
-function patternToRegex(pattern) {
-    let regexPattern = pattern;
+function patternToRegex(pattern, repeatTolerant = false) {
+    // Always global case-insensitive search; unicode so repeats of any letter are quantified whole
+    return new RegExp(patternToSource(pattern, '.*', repeatTolerant), 'giu');
+}
+
+/**
+ * Convert trigger word pattern to a regex that only matches whole words
+ * Here * only spans word characters, so "kill*" matches "killer" but not "kill them all"
+ */
+function wholeWordRegex(pattern, repeatTolerant = false) {
+    const source = patternToSource(pattern, `${WORD_CHAR}*`, repeatTolerant);
+    return new RegExp(`(?<!${WORD_CHAR})${source}(?!${WORD_CHAR})`, 'iu');
+}
+
+/**
+ * Split a boolean expression into tokens: parentheses, quoted phrases, operators and terms
+ */
+function tokenizeBoolean(expression) {
+    const tokens = [];
+    const tokenRegex = /\s*(?:(\()|(\))|"([^"]*)"|([^\s()"]+))/y;
     
-    // First, replace wildcards with placeholders to protect them from escaping
-    regexPattern = regexPattern.replace(/\*/g, '__WILDCARD_STAR__');
-    regexPattern = regexPattern.replace(/%/g, '__WILDCARD_PERCENT__');
+    let position = 0;
     
-    // Escape special regex characters (.*+?^${}()[\]|\\)
-    regexPattern = regexPattern.replace(/[.+?^${}()[\]|\\]/g, '\\$&');
+    while (position < expression.length) {
+        tokenRegex.lastIndex = position;
+        const match = tokenRegex.exec(expression);
+        if (!match) {
+            if (expression.slice(position).trim() === '') break;
+            throw new Error('Unterminated quote in boolean expression');
+        }
+        position = tokenRegex.lastIndex;
+        
+        if (match[1]) {
+            tokens.push({ type: '(' });
+        } else if (match[2]) {
+            tokens.push({ type: ')' });
+        } else if (match[3] !== undefined) {
+            tokens.push({ type: 'term', value: match[3] });
+        } else {
+            const upper = match[4].toUpperCase();
+            tokens.push(['AND', 'OR', 'NOT'].includes(upper) ? { type: upper } : { type: 'term', value: match[4] });
+        }
+    }
     
-    // Replace placeholders with actual regex patterns
-    regexPattern = regexPattern.replace(/__WILDCARD_PERCENT__/g, '[^a-zA-Z0-9]');
-    regexPattern = regexPattern.replace(/__WILDCARD_STAR__/g, '.*');
+    return tokens;
+}
+
+/**
+ * Parse a boolean expression into a tree of { op: 'and' | 'or' | 'not' | 'term' } nodes
+ * NOT binds tightest, then AND, then OR; adjacent terms are joined with an implicit AND
+ * Throws with a readable message when the expression is invalid
+ */
+function parseBooleanExpression(expression, repeatTolerant = false) {
+    const tokens = tokenizeBoolean(expression);
+    let index = 0;
+    
+    const peek = () => tokens[index];
+    const startsOperand = token => token && (token.type === 'term' || token.type === 'NOT' || token.type === '(');
+    const describe = token => (token.type === 'term' ? `"${token.value}"` : token.type);
     
-    // Always use 'gi' flags for global case-insensitive search
-    return new RegExp(regexPattern, 'gi');
+    function parseOr() {
+        let node = parseAnd();
+        while (peek() && peek().type === 'OR') {
+            index++;
+            node = { op: 'or', left: node, right: parseAnd() };
+        }
+        return node;
+    }
+    
+    function parseAnd() {
+        let node = parseNot();
+        while (peek() && (peek().type === 'AND' || startsOperand(peek()))) {
+            if (peek().type === 'AND') index++;
+            node = { op: 'and', left: node, right: parseNot() };
+        }
+        return node;
+    }
+    
+    function parseNot() {
+        if (peek() && peek().type === 'NOT') {
+            index++;
+            return { op: 'not', operand: parseNot() };
+        }
+        return parsePrimary();
+    }
+    
+    function parsePrimary() {
+        const token = tokens[index++];
+        if (!token) {
+            throw new Error('Boolean expression ended unexpectedly');
+        }
+        if (token.type === '(') {
+            const node = parseOr();
+            if (!peek() || peek().type !== ')') {
+                throw new Error('Missing closing parenthesis in boolean expression');
+            }
+            index++;
+            return node;
+        }
+        if (token.type === 'term' && token.value.trim() !== '') {
+            return { op: 'term', regex: wholeWordRegex(token.value.trim(), repeatTolerant) };
+        }
+        throw new Error(`Unexpected ${describe(token)} in boolean expression`);
+    }
+    
+    const tree = parseOr();
+    if (index < tokens.length) {
+        throw new Error(`Unexpected ${describe(tokens[index])} in boolean expression`);
+    }
+    return tree;
 }
 
 /**
- * Check if message matches trigger pattern
+ * Evaluate a parsed boolean expression against a message
+ * Terms and quoted phrases are matched as whole words
+ */
+function evaluateBoolean(node, message) {
+    switch (node.op) {
+        case 'and':
+            return evaluateBoolean(node.left, message) && evaluateBoolean(node.right, message);
+        case 'or':
+            return evaluateBoolean(node.left, message) || evaluateBoolean(node.right, message);
+        case 'not':
+            return !evaluateBoolean(node.operand, message);
+        default:
+            return node.regex.test(message);
+    }
+}
+
+/**
+ * Check if message matches trigger pattern in the given mode
+ * With normalize, the normalized message (leetspeak, accents, look-alikes, ...) is tried as well
  * Always case-insensitive
  */
-function matchesTrigger(message, triggerPattern) {
-    // If pattern contains wildcards (* or %), use regex matching
-    if (triggerPattern.includes('*') || triggerPattern.includes('%')) {
-        const regex = patternToRegex(triggerPattern);
-        return regex.test(message);
+function matchesTrigger(message, triggerPattern, mode = 'contains', normalize = false) {
+    if (matchesPattern(message, triggerPattern, mode)) {
+        return true;
+    }
+    
+    if (!normalize) {
+        return false;
+    }
+    
+    const test = getCompiled(`normalized:${mode}:${triggerPattern}`, () => compileNormalizedPattern(triggerPattern, mode));
+    return test(normalizeText(message));
+}
+
+/**
+ * Compile a trigger pattern into a test function for its mode (no normalization)
+ * With repeatTolerant, letters also match longer runs of themselves (not used for regex mode)
+ */
+function compilePattern(triggerPattern, mode, repeatTolerant = false) {
+    if (mode === 'whole-word') {
+        const regex = wholeWordRegex(triggerPattern, repeatTolerant);
+        return message => regex.test(message);
+    }
+    
+    if (mode === 'regex') {
+        const regex = new RegExp(triggerPattern, 'i');
+        return message => regex.test(message);
+    }
+    
+    if (mode === 'boolean') {
+        const tree = parseBooleanExpression(triggerPattern, repeatTolerant);
+        return message => evaluateBoolean(tree, message);
+    }
+    
+    // If pattern contains wildcards (* or %) or repeats are tolerated, use regex matching
+    if (repeatTolerant || triggerPattern.includes('*') || triggerPattern.includes('%')) {
+        const regex = patternToRegex(triggerPattern, repeatTolerant);
+        return message => {
+            regex.lastIndex = 0; // Global regex keeps its position between tests
+            return regex.test(message);
+        };
     }
     
     // Otherwise, use simple case-insensitive string matching
-    return message.toLowerCase().includes(triggerPattern.toLowerCase());
+    const lowerPattern = triggerPattern.toLowerCase();
+    return message => message.toLowerCase().includes(lowerPattern);
 }
 
 /**
- * Check message against trigger words and create alert if match found
+ * Compile a trigger pattern into a test function for normalized messages
+ * The pattern is folded like messages but keeps its repeated letters, which match longer runs in
+ * the message ("kill" matches "kiiill" but not "kilometers"); regular expressions are written by
+ * hand, so only the message side is normalized
  */
-async function checkAndCreateAlert(message, handle, sessionId, eventId, io) {
-    try {
-        const triggerWords = await read('trigger_words.json');
-        if (!triggerWords || triggerWords.length === 0) {
-            return null;
+function compileNormalizedPattern(triggerPattern, mode) {
+    return mode === 'regex'
+        ? compilePattern(triggerPattern, mode)
+        : compilePattern(normalizePattern(triggerPattern), mode, true);
+}
+
+/**
+ * Match a message against a trigger pattern in the given mode (no normalization)
+ */
+function matchesPattern(message, triggerPattern, mode) {
+    return getCompiled(`${mode}:${triggerPattern}`, () => compilePattern(triggerPattern, mode))(message);
+}
+
+/**
+ * Normalize a trigger word for storage
+ * Regular expressions keep their case (\W and \w mean different things); everything else is lowercase
+ */
+function normalizeWord(word, mode = 'contains') {
+    const trimmed = String(word || '').trim();
+    return mode === 'regex' ? trimmed : trimmed.toLowerCase();
+}
+
+// Regular expressions run on every message, so they are kept short and free of nested repeats
+const MAX_REGEX_LENGTH = 200;
+
+/**
+ * Length of the quantifier (?, *, + or {n}, {n,}, {n,m}) at source[index], 0 if none
+ * repeating is true when it allows more than one repetition (anything but ?, {0,1} and {1})
+ */
+function readQuantifier(source, index) {
+    if (source[index] === '*' || source[index] === '+') {
+        return { length: 1, repeating: true };
+    }
+    if (source[index] === '?') {
+        return { length: 1, repeating: false };
+    }
+    const braces = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(index));
+    if (!braces) {
+        return { length: 0, repeating: false };
+    }
+    const max = !braces[2] ? Number(braces[1]) : braces[3] === '' ? Infinity : Number(braces[3]);
+    return { length: braces[0].length, repeating: max > 1 };
+}
+
+/**
+ * True when a repeated group contains a quantifier or an alternation, e.g. (a+)+, (.*a){20} or
+ * (a|aa)*: the engine can split the same text between repetitions in exponentially many ways and
+ * tries them all on messages that almost match
+ */
+function hasAmbiguousRepeat(source) {
+    const groups = [{ ambiguous: false }];
+    let index = 0;
+    
+    while (index < source.length) {
+        const char = source[index];
+        if (char === '\\') {
+            index += 2;
+        } else if (char === '[') {
+            // Character class: skip to its closing bracket
+            index++;
+            while (index < source.length && source[index] !== ']') {
+                index += source[index] === '\\' ? 2 : 1;
+            }
+            index++;
+        } else if (char === '(') {
+            groups.push({ ambiguous: false });
+            index += source[index + 1] === '?' ? 2 : 1;
+        } else if (char === ')' && groups.length > 1) {
+            const group = groups.pop();
+            index++;
+            const quantifier = readQuantifier(source, index);
+            if (quantifier.repeating && group.ambiguous) {
+                return true;
+            }
+            if (quantifier.length > 0 || group.ambiguous) {
+                groups[groups.length - 1].ambiguous = true;
+            }
+            index += quantifier.length;
+        } else if (char === '|') {
+            groups[groups.length - 1].ambiguous = true;
+            index++;
+        } else {
+            const quantifier = readQuantifier(source, index);
+            if (quantifier.length > 0) {
+                groups[groups.length - 1].ambiguous = true;
+            }
+            index += Math.max(quantifier.length, 1);
         }
+    }
+    
+    return false;
+}
+
+/**
+ * Validate a trigger word for its mode
+ * Returns an error message, or null when the word is valid
+ */
+function validateWord(word, mode = 'contains') {
+    if (!TRIGGER_MODES.includes(mode)) {
+        return `Invalid mode. Must be one of: ${TRIGGER_MODES.join(', ')}`;
+    }
+    
+    if (mode === 'regex') {
+        if (word.length > MAX_REGEX_LENGTH) {
+            return `Regular expression is too long (at most ${MAX_REGEX_LENGTH} characters)`;
+        }
+        if (hasAmbiguousRepeat(word)) {
+            return 'Regular expression repeats a group containing a quantifier or | (e.g. (a+)+ or (a|aa)*), which can freeze matching';
+        }
+        let regex;
+        try {
+            regex = new RegExp(word, 'i');
+        } catch (error) {
+            return error.message;
+        }
+        if (regex.test('')) {
+            return 'Regular expression matches empty text and would alert on every message';
+        }
+    }
+    
+    if (mode === 'boolean') {
+        try {
+            parseBooleanExpression(word);
+        } catch (error) {
+            return error.message;
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Get the text a rule word is matched against for an event (null for events without text)
+ */
+function getEventText(event) {
+    const data = event.data || {};
+    if (event.type === 'chat') {
+        return data.comment || '';
+    }
+    if (event.type === 'questionNew') {
+        return data.questionText || data.question || '';
+    }
+    return null;
+}
+
+/**
+ * Language of an event's text (null when unknown)
+ * Chat events store detectedLanguage when they are received; older events and questions are detected here
+ */
+function getEventLanguage(event) {
+    const data = event.data || {};
+    if (data.detectedLanguage !== undefined) {
+        return data.detectedLanguage;
+    }
+    const text = getEventText(event);
+    return text ? detectLanguage(text).language : null;
+}
+
+/**
+ * Check a trigger word's language restriction (empty list = any language)
+ * Only text events are restricted; messages of unknown language never match a restricted word
+ */
+function appliesToLanguage(trigger, event) {
+    const languages = normalizeLanguages(trigger.languages);
+    if (languages.length === 0 || !TEXT_EVENT_TYPES.includes(event.type)) {
+        return true;
+    }
+    return languages.includes(getEventLanguage(event));
+}
+
+/**
+ * Resolve a condition field against an event
+ * Plain names read extractEventData fields (e.g. diamondCount), "user.x" reads the event user
+ */
+function resolveField(event, field) {
+    const [root, ...rest] = field.startsWith('user.') ? ['user', ...field.slice(5).split('.')] : ['data', ...field.split('.')];
+    let value = event[root];
+    for (const key of rest) {
+        if (value === null || value === undefined) return undefined;
+        value = value[key];
+    }
+    return value;
+}
+
+/**
+ * Evaluate a single condition ({ field, op, value }) against an event
+ */
+function evaluateCondition(event, condition) {
+    const actual = resolveField(event, condition.field);
+    if (actual === undefined || actual === null) {
+        return false;
+    }
+    
+    const expected = condition.value;
+    const actualNumber = Number(actual);
+    const expectedNumber = Number(expected);
+    const numeric = typeof actual !== 'boolean' && !isNaN(actualNumber) && !isNaN(expectedNumber) && expected !== '' && expected !== null;
+    
+    switch (condition.op) {
+        case '=':
+            return numeric ? actualNumber === expectedNumber : String(actual).toLowerCase() === String(expected).toLowerCase();
+        case '!=':
+            return numeric ? actualNumber !== expectedNumber : String(actual).toLowerCase() !== String(expected).toLowerCase();
+        case '>':
+            return numeric && actualNumber > expectedNumber;
+        case '>=':
+            return numeric && actualNumber >= expectedNumber;
+        case '<':
+            return numeric && actualNumber < expectedNumber;
+        case '<=':
+            return numeric && actualNumber <= expectedNumber;
+        case 'contains':
+            return String(actual).toLowerCase().includes(String(expected).toLowerCase());
+        default:
+            return false;
+    }
+}
+
+/**
+ * Scope lists a trigger word can carry
+ * handles / tags limit the word to those accounts (empty = every account),
+ * excludeHandles / excludeTags switch it off for those accounts
+ */
+const SCOPE_FIELDS = ['handles', 'tags', 'excludeHandles', 'excludeTags'];
+
+/**
+ * Normalize a scope object: lowercase, trimmed, unique entries and no leading @ on handles
+ */
+function normalizeScope(scope) {
+    const normalized = {};
+    for (const field of SCOPE_FIELDS) {
+        const values = Array.isArray(scope?.[field]) ? scope[field] : [];
+        const cleaned = values
+            .map(value => String(value).trim().toLowerCase())
+            .map(value => (field.toLowerCase().includes('handles') ? value.replace(/^@/, '') : value))
+            .filter(Boolean);
+        normalized[field] = [...new Set(cleaned)];
+    }
+    return normalized;
+}
+
+/**
+ * Check whether a trigger word applies to an account ({ handle, tags })
+ */
+function appliesToAccount(trigger, account) {
+    const scope = normalizeScope(trigger.scope);
+    const handle = String(account?.handle || '').toLowerCase();
+    const tags = (account?.tags || []).map(tag => String(tag).toLowerCase());
+    
+    if (scope.excludeHandles.includes(handle) || scope.excludeTags.some(tag => tags.includes(tag))) {
+        return false;
+    }
+    
+    if (scope.handles.length === 0 && scope.tags.length === 0) {
+        return true;
+    }
+    
+    return scope.handles.includes(handle) || scope.tags.some(tag => tags.includes(tag));
+}
+
+/**
+ * Check if an event matches a trigger rule (event type, word and all conditions)
+ * When account ({ handle, tags }) is given, the rule's handle / tag scope is honored too
+ */
+function matchesRule(trigger, event, account = null) {
+    const ruleEventType = trigger.eventType || 'chat';
+    if (ruleEventType !== event.type) {
+        return false;
+    }
+    
+    if (account && !appliesToAccount(trigger, account)) {
+        return false;
+    }
+    
+    if (!appliesToLanguage(trigger, event)) {
+        return false;
+    }
+    
+    const text = getEventText(event);
+    if (text !== null && !matchesTrigger(text, trigger.word, trigger.mode, trigger.normalize !== false)) {
+        return false;
+    }
+    
+    const conditions = Array.isArray(trigger.conditions) ? trigger.conditions : [];
+    return conditions.every(condition => evaluateCondition(event, condition));
+}
+
+// Letters, digits and underscore directly before / after a literal match break a whole-word match
+const WORD_CHAR_BEFORE = /[\p{L}\p{N}_]$/u;
+const WORD_CHAR_AFTER = /^[\p{L}\p{N}_]/u;
+
+/**
+ * Check that text[start, end) is not part of a longer word
+ */
+function isWholeWord(text, start, end) {
+    return !WORD_CHAR_BEFORE.test(text.slice(Math.max(0, start - 2), start)) &&
+        !WORD_CHAR_AFTER.test(text.slice(end, end + 2));
+}
+
+/**
+ * Compiled matcher over a set of trigger rules
+ * Literal contains / whole-word words go into two Aho-Corasick automatons (lowercased message and
+ * normalized message), so a message is scanned once whatever the number of words; wildcard, regex
+ * and boolean words are precompiled and tested one by one
+ * The normalized automaton holds words with repeats collapsed and only preselects: a hit is
+ * confirmed on the normalized message with the repeat-tolerant pattern of the word
+ */
+class TriggerMatcher {
+    constructor(triggers = [], accountTags = new Map()) {
+        this.triggers = triggers;
+        this.accountTags = accountTags; // lowercase handle -> tags, for tag-scoped words
+        this.byEventType = new Map(); // event type -> rule indexes, in rule order
+        this.rawAutomaton = new AhoCorasick();
+        this.normalizedAutomaton = new AhoCorasick();
+        this.patternRules = []; // text rules tested with their own compiled pattern: { index, test, normalizedTest }
         
-        for (const trigger of triggerWords) {
-            const match = matchesTrigger(message, trigger.word);
+        triggers.forEach((trigger, index) => {
+            const eventType = trigger.eventType || 'chat';
+            if (!this.byEventType.has(eventType)) {
+                this.byEventType.set(eventType, []);
+            }
+            this.byEventType.get(eventType).push(index);
+            
+            if (!TEXT_EVENT_TYPES.includes(eventType)) {
+                return;
+            }
             
-            if (match) {
-                // Create alert with severity from trigger word
-                const alert = {
-                    id: uuidv4(),
-                    triggerWord: trigger.word,
-                    sessionId,
-                    handle,
-                    eventId,
-                    timestamp: new Date().toISOString(),
-                    severity: trigger.severity || 'medium', // Use severity from trigger word, default to medium
-                    status: 'new',
-                    message: message.substring(0, 500),
-                    acknowledgedAt: null,
-                    resolvedAt: null
-                };
-
-                await append('alerts.json', alert);
-
-                // Emit Socket.IO event
-                if (io) {
-                    io.emit('newAlert', alert);
+            const mode = trigger.mode || 'contains';
+            const normalize = trigger.normalize !== false;
+            
+            // Words edited in the table directly skip the API checks: an unsafe regular expression never matches
+            const regexError = mode === 'regex' ? validateWord(trigger.word, mode) : null;
+            if (regexError) {
+                console.warn(`Skipping trigger regex "${trigger.word}": ${regexError}`);
+                return;
+            }
+            
+            const literal = (mode === 'contains' || mode === 'whole-word') && !/[*%]/.test(trigger.word);
+            
+            if (!literal) {
+                this.patternRules.push({
+                    index,
+                    test: compilePattern(trigger.word, mode),
+                    normalizedTest: normalize ? compileNormalizedPattern(trigger.word, mode) : null
+                });
+                return;
+            }
+            
+            this.rawAutomaton.add(trigger.word.toLowerCase(), { index, wholeWord: mode === 'whole-word' });
+            if (normalize) {
+                this.normalizedAutomaton.add(collapseRepeats(normalizePattern(trigger.word)), {
+                    index,
+                    verify: compileNormalizedPattern(trigger.word, mode)
+                });
+            }
+        });
+        
+        this.rawAutomaton.build();
+        this.normalizedAutomaton.build();
+    }
+    
+    /**
+     * Indexes of text rules whose word matches the text
+     */
+    findTextMatches(text) {
+        const matched = new Set();
+        const lowered = text.toLowerCase();
+        this.rawAutomaton.search(lowered, (hit, start, end) => {
+            if (!hit.wholeWord || isWholeWord(lowered, start, end)) {
+                matched.add(hit.index);
+            }
+        });
+        
+        const normalized = normalizeText(text);
+        this.normalizedAutomaton.search(collapseRepeats(normalized), hit => {
+            if (!matched.has(hit.index) && hit.verify(normalized)) {
+                matched.add(hit.index);
+            }
+        });
+        
+        for (const rule of this.patternRules) {
+            if (!matched.has(rule.index) && (rule.test(text) || (rule.normalizedTest && rule.normalizedTest(normalized)))) {
+                matched.add(rule.index);
+            }
+        }
+        
+        return matched;
+    }
+    
+    /**
+     * Triggers matching an event (event type, word and all conditions), in rule order
+     * With a handle, only words scoped to that account (handles, tags, exclude lists) are returned;
+     * words restricted to languages only match messages detected in one of them
+     */
+    match(event, handle = null) {
+        const indexes = this.byEventType.get(event.type);
+        if (!indexes) {
+            return [];
+        }
+        
+        const account = handle ? { handle, tags: this.accountTags.get(String(handle).toLowerCase()) || [] } : null;
+        const text = getEventText(event);
+        const textMatches = text !== null ? this.findTextMatches(text) : null;
+        
+        return indexes
+            .filter(index => !textMatches || textMatches.has(index))
+            .map(index => this.triggers[index])
+            .filter(trigger => !account || appliesToAccount(trigger, account))
+            .filter(trigger => appliesToLanguage(trigger, event))
+            .filter(trigger => (Array.isArray(trigger.conditions) ? trigger.conditions : []).every(condition => evaluateCondition(event, condition)));
+    }
+}
+
+// Compiled matcher over the current trigger words; rebuilt when they change through the API
+let matcher = null;
+let matcherLoadedAt = 0;
+let matcherLoading = null;
+let matcherVersion = 0;
+const MATCHER_CACHE_TIMEOUT = 60000; // Also reload every minute in case the table is edited directly
+
+/**
+ * Get the compiled matcher, loading trigger words from the database when needed
+ */
+async function getMatcher() {
+    if (matcher && (Date.now() - matcherLoadedAt) < MATCHER_CACHE_TIMEOUT) {
+        return matcher;
+    }
+    
+    if (!matcherLoading) {
+        const version = matcherVersion;
+        matcherLoading = Promise.all([
+            read('trigger_words.json'),
+            read('tiktok_accounts.json'),
+            query('SELECT id, name, enabled FROM trigger_categories')
+        ])
+            .then(([triggerWords, accounts, categories]) => {
+                const accountTags = new Map((accounts || []).map(account => [String(account.handle).toLowerCase(), account.tags || []]));
+                // Words of disabled categories are left out; the others carry their category for the alert
+                const categoriesById = new Map(categories.rows.map(row => [row.id, row]));
+                const activeWords = (triggerWords || [])
+                    .filter(trigger => !trigger.categoryId || categoriesById.get(trigger.categoryId)?.enabled !== false)
+                    .map(trigger => {
+                        const category = categoriesById.get(trigger.categoryId);
+                        return category ? { ...trigger, category: { id: category.id, name: category.name } } : trigger;
+                    });
+                const compiled = new TriggerMatcher(activeWords, accountTags);
+                if (version === matcherVersion) {
+                    matcher = compiled;
+                    matcherLoadedAt = Date.now();
                 }
+                return compiled;
+            })
+            .finally(() => {
+                matcherLoading = null;
+            });
+    }
+    
+    return matcherLoading;
+}
+
+/**
+ * Drop the compiled matcher so the next event rebuilds it from the database
+ */
+function invalidateMatcher() {
+    matcherVersion++;
+    matcher = null;
+    matcherLoading = null;
+}
+
+/**
+ * Build the alert message for an event
+ */
+function describeEvent(event) {
+    const data = event.data || {};
+    const user = event.user?.uniqueId ? `@${event.user.uniqueId}` : 'unknown user';
+    
+    switch (event.type) {
+        case 'chat':
+            return data.comment || '';
+        case 'questionNew':
+            return data.questionText || data.question || '';
+        case 'gift':
+            return `${user} sent gift "${data.giftName || data.giftId || 'unknown'}" x${data.repeatCount || 1} (${data.diamondCount || 0} diamonds each)`;
+        case 'member':
+            return `${user} ${data.actionType === 'leave' || data.actionType === 'left' ? 'left' : 'joined'} the room`;
+        case 'social':
+            return `${user} social action: ${data.socialAction || data.displayType || 'unknown'}`;
+        case 'subscribe':
+            return `${user} subscribed${data.monthCount ? ` (${data.monthCount} months)` : ''}`;
+        case 'envelope':
+            return `${user} sent an envelope`;
+        case 'like':
+            return `${user} sent ${data.likeCount || 1} likes`;
+        default:
+            return `${user} ${event.type} event`;
+    }
+}
 
-                console.log(`Alert created for @${handle}: trigger word "${trigger.word}" matched`);
-                
-                return alert;
+/**
+ * Validate rule fields sent to the trigger words API
+ * Returns an error message, or null when the rule is valid
+ */
+function validateRule({ word, mode, eventType, conditions, scope, languages }) {
+    if (eventType !== undefined && !RULE_EVENT_TYPES.includes(eventType)) {
+        return `Invalid event type. Must be one of: ${RULE_EVENT_TYPES.join(', ')}`;
+    }
+    
+    if (word !== undefined) {
+        const wordError = validateWord(word, mode);
+        if (wordError) {
+            return wordError;
+        }
+    }
+    
+    if (conditions !== undefined) {
+        if (!Array.isArray(conditions)) {
+            return 'Conditions must be an array';
+        }
+        for (const condition of conditions) {
+            if (!condition || typeof condition.field !== 'string' || !/^[A-Za-z0-9_.]+$/.test(condition.field)) {
+                return 'Each condition needs a field name (letters, digits, "_" and "." only)';
+            }
+            if (!CONDITION_OPERATORS.includes(condition.op)) {
+                return `Invalid condition operator. Must be one of: ${CONDITION_OPERATORS.join(', ')}`;
             }
+            if (condition.value === undefined || condition.value === null || String(condition.value).trim() === '') {
+                return `Condition on "${condition.field}" needs a value`;
+            }
+        }
+    }
+    
+    if (scope !== undefined) {
+        if (!scope || typeof scope !== 'object' || Array.isArray(scope)) {
+            return `Scope must be an object with ${SCOPE_FIELDS.join(', ')} lists`;
+        }
+        for (const field of SCOPE_FIELDS) {
+            if (scope[field] !== undefined && !Array.isArray(scope[field])) {
+                return `Scope ${field} must be an array`;
+            }
+        }
+    }
+    
+    if (languages !== undefined) {
+        if (!Array.isArray(languages)) {
+            return 'Languages must be an array of language codes';
         }
+        const unknown = languages.find(code => !LANGUAGES[String(code).trim().toLowerCase()]);
+        if (unknown !== undefined) {
+            return `Unknown language "${unknown}". Must be one of: ${Object.keys(LANGUAGES).join(', ')}`;
+        }
+    }
+    
+    return null;
+}
 
+/**
+ * Check an event against trigger rules and create alert if match found
+ */
+async function checkAndCreateAlert(event, handle, sessionId, io) {
+    try {
+        if (!event || !RULE_EVENT_TYPES.includes(event.type)) {
+            return null;
+        }
+        
+        // Compiled in memory instead of reading trigger_words for every message
+        const compiledMatcher = await getMatcher();
+        const [trigger] = compiledMatcher.match(event, handle);
+        
+        if (trigger) {
+            // Keep the raw text and the normalized form it may have matched on
+            const text = getEventText(event);
+            
+            // Create alert with severity from trigger word
+            const alert = {
+                id: uuidv4(),
+                triggerWord: trigger.word,
+                triggerId: trigger.id,
+                eventType: event.type,
+                source: 'trigger',
+                sessionId,
+                handle,
+                eventId: event.id,
+                timestamp: new Date().toISOString(),
+                severity: trigger.severity || 'medium', // Use severity from trigger word, default to medium
+                status: 'new',
+                message: describeEvent(event).substring(0, 500),
+                rawText: text,
+                normalizedText: text !== null ? normalizeText(text) : null,
+                categoryId: trigger.category?.id || null,
+                categoryName: trigger.category?.name || null,
+                acknowledgedAt: null,
+                resolvedAt: null
+            };
+            
+            // Repeats are grouped and the global ceiling applied by the alert service
+            const result = await alertService.createAlert(alert, { io, viewer: event.user?.uniqueId });
+            
+            console.log(`Alert ${result?.occurrenceCount > 1 ? 'grouped' : 'created'} for @${handle}: ${event.type} rule "${trigger.word}" matched`);
+            
+            return result;
+        }
+        
         return null;
     } catch (error) {
         console.error('Error checking trigger words:', error);
@@ -91,5 +886,19 @@ async function checkAndCreateAlert(message, handle, sessionId, eventId, io) {
 }
 
 module.exports = {
+    RULE_EVENT_TYPES,
+    CONDITION_OPERATORS,
+    TRIGGER_MODES,
+    matchesTrigger,
+    normalizeWord,
+    matchesRule,
+    normalizeScope,
+    appliesToAccount,
+    appliesToLanguage,
+    validateRule,
+    describeEvent,
+    TriggerMatcher,
+    getMatcher,
+    invalidateMatcher,
     checkAndCreateAlert
 };
@@ -0,0 +1,266 @@
+const { query } = require('../config/database');
+const giftService = require('./giftService');
+const { countGiftSends } = require('../utils/giftAccounting');
+
+// Most recent events loaded for one profile (older activity is left out and the profile is marked truncated)
+const MAX_EVENTS = 50000;
+const RECENT_MESSAGES_LIMIT = 100;
+
+/**
+ * True for a member event that reports the viewer leaving the room
+ */
+function isLeave(event) {
+    const action = String(event.event_data?.actionType || event.event_data?.action || '').toLowerCase();
+    return event.type === 'member' && (action === 'leave' || action === 'left');
+}
+
+/**
+ * True for a social event that is a follow of the streamer
+ */
+function isFollow(event) {
+    if (event.type !== 'social') return false;
+    const data = event.event_data || {};
+    if (data.socialAction) return data.socialAction === 'follow';
+    const displayType = String(data.displayType || '').toLowerCase();
+    const actionType = String(data.actionType || '').toLowerCase();
+    return (displayType.includes('follow') || actionType.includes('follow')) && !displayType.includes('unfollow');
+}
+
+/**
+ * Time spent in one room from the viewer's events (oldest first)
+ * A visit opens at a join (or the first activity) and closes at a leave event; TikTok often sends no
+ * leave, so a visit without one closes at the viewer's last activity and the total is a lower bound
+ * Returns { seconds, visits, exitSeen }
+ */
+function estimatePresence(events) {
+    let seconds = 0;
+    let visits = 0;
+    let exitSeen = true;
+    let open = null;
+    
+    for (const event of events) {
+        const time = new Date(event.timestamp).getTime();
+        if (isLeave(event)) {
+            if (open) {
+                seconds += (time - open.start) / 1000;
+                open = null;
+            }
+            continue;
+        }
+        if (!open) {
+            open = { start: time, end: time };
+            visits++;
+        } else {
+            open.end = time;
+        }
+    }
+    
+    if (open) {
+        seconds += (open.end - open.start) / 1000;
+        exitSeen = false;
+    }
+    
+    return { seconds: Math.round(seconds), visits, exitSeen };
+}
+
+/**
+ * Avatar URLs are signed and change on every fetch, so they are compared without their query string
+ */
+function avatarKey(url) {
+    return url ? String(url).split('?')[0] : null;
+}
+
+/**
+ * Nickname and avatar values over time, oldest first: [{ field, value, firstSeen, lastSeen }]
+ */
+function buildIdentityHistory(events) {
+    const history = [];
+    const current = {};
+    const fields = {
+        nickname: user => user.nickname || null,
+        profilePictureUrl: user => user.profilePictureUrl || user.avatarThumb || null
+    };
+    
+    for (const event of events) {
+        const user = event.user_data || {};
+        const seenAt = event.timestamp.toISOString();
+        for (const [field, read] of Object.entries(fields)) {
+            const value = read(user);
+            if (!value) continue;
+            const key = field === 'profilePictureUrl' ? avatarKey(value) : value;
+            const entry = current[field];
+            if (entry && entry.key === key) {
+                entry.item.lastSeen = seenAt;
+                entry.item.value = value; // Keep the latest signed URL
+                continue;
+            }
+            const item = { field, value, firstSeen: seenAt, lastSeen: seenAt };
+            current[field] = { key, item };
+            history.push(item);
+        }
+    }
+    
+    return history;
+}
+
+/**
+ * Empty per-room counters
+ */
+function emptyCounters() {
+    return { events: 0, messages: 0, gifts: 0, diamonds: 0, likes: 0, follows: 0, shares: 0, timeSpentSeconds: 0 };
+}
+
+/**
+ * Viewer Profile Service - Everything one viewer (uniqueId) did across all recorded sessions:
+ * rooms attended, time spent, messages, gifts, follows and how their nickname and avatar changed
+ */
+class ViewerProfileService {
+    /**
+     * Build the profile of a viewer
+     * Filters: dateFrom, dateTo
+     * Returns null when the viewer has no recorded events
+     */
+    async getProfile(uniqueId, { dateFrom, dateTo } = {}) {
+        const cleanId = String(uniqueId || '').replace('@', '').toLowerCase().trim();
+        const params = [cleanId];
+        const conditions = [`LOWER(e.user_data->>'uniqueId') = $1`];
+        
+        if (dateFrom) {
+            params.push(new Date(dateFrom).toISOString());
+            conditions.push(`e.timestamp >= $${params.length}`);
+        }
+        
+        if (dateTo) {
+            const endDate = new Date(dateTo);
+            endDate.setHours(23, 59, 59, 999);
+            params.push(endDate.toISOString());
+            conditions.push(`e.timestamp <= $${params.length}`);
+        }
+        
+        params.push(MAX_EVENTS);
+        const result = await query(
+            `SELECT e.id, e.session_id, e.type, e.timestamp, e.user_data, e.event_data,
+                    ls.handle, ls.start_time, ls.end_time, ls.status
+             FROM events e
+             INNER JOIN live_sessions ls ON e.session_id = ls.id
+             WHERE ${conditions.join(' AND ')}
+             ORDER BY e.timestamp DESC
+             LIMIT $${params.length}`,
+            params
+        );
+        
+        if (result.rows.length === 0) {
+            return null;
+        }
+        
+        const events = result.rows.reverse();
+        const settings = await giftService.loadSettings();
+        const latestUser = events[events.length - 1].user_data || {};
+        
+        // Group by session (events are oldest first, so sessions come out in attendance order)
+        const sessionsById = new Map();
+        for (const event of events) {
+            if (!sessionsById.has(event.session_id)) {
+                sessionsById.set(event.session_id, { row: event, events: [] });
+            }
+            sessionsById.get(event.session_id).events.push(event);
+        }
+        
+        const totals = emptyCounters();
+        const streamers = new Map();
+        const sessions = [];
+        const follows = [];
+        const messages = [];
+        
+        for (const [sessionId, { row, events: sessionEvents }] of sessionsById) {
+            const counters = emptyCounters();
+            counters.events = sessionEvents.length;
+            
+            for (const event of sessionEvents) {
+                const data = event.event_data || {};
+                if (event.type === 'chat') {
+                    counters.messages++;
+                    messages.push({
+                        id: event.id,
+                        sessionId,
+                        handle: row.handle,
+                        timestamp: event.timestamp.toISOString(),
+                        comment: data.comment || data.message || data.text || ''
+                    });
+                } else if (event.type === 'like') {
+                    counters.likes += Number(data.likeCount) || 1;
+                } else if (isFollow(event)) {
+                    counters.follows++;
+                    follows.push({ sessionId, handle: row.handle, timestamp: event.timestamp.toISOString() });
+                } else if (event.type === 'social' && data.socialAction === 'share') {
+                    counters.shares++;
+                }
+            }
+            
+            const sends = countGiftSends(sessionEvents
+                .filter(event => event.type === 'gift')
+                .map(event => ({ timestamp: event.timestamp.toISOString(), user: event.user_data, data: event.event_data })));
+            counters.gifts = sends.reduce((sum, send) => sum + send.repeatCount, 0);
+            counters.diamonds = sends.reduce((sum, send) => sum + send.diamonds, 0);
+            
+            const presence = estimatePresence(sessionEvents);
+            counters.timeSpentSeconds = presence.seconds;
+            
+            sessions.push({
+                id: sessionId,
+                handle: row.handle,
+                status: row.status,
+                startTime: row.start_time ? row.start_time.toISOString() : null,
+                endTime: row.end_time ? row.end_time.toISOString() : null,
+                firstSeen: sessionEvents[0].timestamp.toISOString(),
+                lastSeen: sessionEvents[sessionEvents.length - 1].timestamp.toISOString(),
+                visits: presence.visits,
+                exitSeen: presence.exitSeen,
+                ...counters
+            });
+            
+            const streamer = streamers.get(row.handle) || { handle: row.handle, sessions: 0, firstSeen: null, lastSeen: null, ...emptyCounters() };
+            streamer.sessions++;
+            streamer.firstSeen = streamer.firstSeen || sessionEvents[0].timestamp.toISOString();
+            streamer.lastSeen = sessionEvents[sessionEvents.length - 1].timestamp.toISOString();
+            for (const key of Object.keys(counters)) {
+                streamer[key] += counters[key];
+                totals[key] += counters[key];
+            }
+            streamers.set(row.handle, streamer);
+        }
+        
+        // Latest known nickname and avatar (not every event carries them)
+        const identityHistory = buildIdentityHistory(events);
+        const latestValue = field => {
+            const item = identityHistory.filter(entry => entry.field === field).pop();
+            return item ? item.value : null;
+        };
+        
+        return {
+            uniqueId: latestUser.uniqueId || cleanId,
+            userId: latestUser.userId || null,
+            nickname: latestValue('nickname'),
+            profilePictureUrl: latestValue('profilePictureUrl'),
+            firstSeen: events[0].timestamp.toISOString(),
+            lastSeen: events[events.length - 1].timestamp.toISOString(),
+            truncated: result.rows.length >= MAX_EVENTS,
+            totals: {
+                ...totals,
+                sessions: sessions.length,
+                streamers: streamers.size,
+                estimatedGiftValue: giftService.toCurrency(totals.diamonds, settings)
+            },
+            streamers: [...streamers.values()].sort((a, b) => new Date(b.lastSeen) - new Date(a.lastSeen)),
+            sessions: sessions.reverse(),
+            identityHistory,
+            follows: follows.reverse(),
+            recentMessages: messages.reverse().slice(0, RECENT_MESSAGES_LIMIT)
+        };
+    }
+}
+
+// Create singleton instance
+const viewerProfileService = new ViewerProfileService();
+
+module.exports = viewerProfileService;
@@ -0,0 +1,156 @@
+const { v4: uuidv4 } = require('uuid');
+const { query } = require('../config/database');
+const alertService = require('./alertService');
+const { describeEvent } = require('./triggerService');
+
+/**
+ * Convert viewer_watchlist row to JSON format
+ */
+function rowToEntry(row) {
+    return {
+        id: row.id,
+        uniqueId: row.unique_id,
+        severity: (row.severity || 'MEDIUM').toLowerCase(),
+        notes: row.notes || '',
+        createdAt: row.created_at ? new Date(row.created_at).toISOString() : null,
+        updatedAt: row.updated_at ? new Date(row.updated_at).toISOString() : null
+    };
+}
+
+/**
+ * Watchlist Service - Viewers that raise an alert whenever they show up in a monitored live
+ * Entries are cached in memory because every live event is checked against them
+ */
+class WatchlistService {
+    constructor() {
+        this.entries = null; // lowercase uniqueId -> entry
+        this.lastLoadTime = null;
+        this.cacheTimeout = 60000; // Cache for 1 minute
+    }
+    
+    /**
+     * Load watchlist from database (with caching)
+     */
+    async loadEntries(forceReload = false) {
+        const now = Date.now();
+        
+        if (!forceReload && this.entries && this.lastLoadTime && (now - this.lastLoadTime) < this.cacheTimeout) {
+            return this.entries;
+        }
+        
+        try {
+            const result = await query('SELECT * FROM viewer_watchlist');
+            this.entries = new Map(result.rows.map(row => [row.unique_id.toLowerCase(), rowToEntry(row)]));
+        } catch (error) {
+            console.error('[Watchlist] Error loading watchlist:', error.message);
+            this.entries = this.entries || new Map();
+        }
+        this.lastLoadTime = now;
+        
+        return this.entries;
+    }
+    
+    /**
+     * List all watchlist entries
+     */
+    async list() {
+        const result = await query('SELECT * FROM viewer_watchlist ORDER BY created_at DESC');
+        return result.rows.map(rowToEntry);
+    }
+    
+    /**
+     * Add a viewer to the watchlist
+     */
+    async add({ uniqueId, severity, notes }) {
+        const result = await query(
+            `INSERT INTO viewer_watchlist (id, unique_id, severity, notes, created_at, updated_at)
+             VALUES ($1, $2, $3, $4, NOW(), NOW()) RETURNING *`,
+            [uuidv4(), uniqueId, severity, notes || null]
+        );
+        this.clearCache();
+        return rowToEntry(result.rows[0]);
+    }
+    
+    /**
+     * Update severity and/or notes of a watchlist entry
+     */
+    async update(id, { severity, notes }) {
+        const result = await query(
+            `UPDATE viewer_watchlist SET
+                severity = COALESCE($1, severity),
+                notes = COALESCE($2, notes),
+                updated_at = NOW()
+             WHERE id = $3 RETURNING *`,
+            [severity || null, notes !== undefined ? notes : null, id]
+        );
+        this.clearCache();
+        return result.rows.length > 0 ? rowToEntry(result.rows[0]) : null;
+    }
+    
+    /**
+     * Remove a viewer from the watchlist
+     */
+    async remove(id) {
+        const result = await query('DELETE FROM viewer_watchlist WHERE id = $1', [id]);
+        this.clearCache();
+        return result.rowCount > 0;
+    }
+    
+    /**
+     * Check an event's viewer against the watchlist and create alert if listed
+     */
+    async checkAndCreateAlert(event, handle, sessionId, io) {
+        try {
+            const uniqueId = event?.user?.uniqueId;
+            if (!uniqueId) {
+                return null;
+            }
+            
+            const entries = await this.loadEntries();
+            const entry = entries.get(String(uniqueId).toLowerCase());
+            if (!entry) {
+                return null;
+            }
+            
+            const alert = {
+                id: uuidv4(),
+                triggerWord: `@${entry.uniqueId}`,
+                eventType: event.type,
+                source: 'watchlist',
+                sessionId,
+                handle,
+                eventId: event.id,
+                timestamp: new Date().toISOString(),
+                severity: entry.severity,
+                status: 'new',
+                message: describeEvent(event).substring(0, 500),
+                details: entry.notes ? { notes: entry.notes } : null,
+                acknowledgedAt: null,
+                resolvedAt: null
+            };
+            
+            // Repeats are grouped and the global ceiling applied by the alert service
+            const result = await alertService.createAlert(alert, { io, viewer: uniqueId });
+            
+            console.log(`Alert ${result?.occurrenceCount > 1 ? 'grouped' : 'created'} for @${handle}: watchlisted viewer @${entry.uniqueId} (${event.type})`);
+            
+            return result;
+        } catch (error) {
+            console.error('Error checking viewer watchlist:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Clear cache (force reload on next access)
+     */
+    clearCache() {
+        this.entries = null;
+        this.lastLoadTime = null;
+    }
+}
+
+// Create singleton instance
+const watchlistService = new WatchlistService();
+
+module.exports = watchlistService;
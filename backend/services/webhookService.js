@@ -0,0 +1,404 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { v4: uuidv4 } = require('uuid');
+const { query } = require('../config/database');
+
+// Events a webhook can subscribe to
+const WEBHOOK_EVENTS = ['alert.created', 'live.started', 'live.ended', 'block.detected'];
+
+const SEVERITY_LEVELS = ['LOW', 'MEDIUM', 'HIGH'];
+
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 2000; // 2s, 4s, 8s, 16s between attempts
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Convert webhooks row to JSON format (the secret itself is never sent back)
+ */
+function rowToWebhook(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        url: row.url,
+        hasSecret: Boolean(row.secret),
+        events: row.events || [],
+        minSeverity: (row.min_severity || 'LOW').toLowerCase(),
+        enabled: row.enabled !== false,
+        createdAt: row.created_at ? new Date(row.created_at).toISOString() : null,
+        updatedAt: row.updated_at ? new Date(row.updated_at).toISOString() : null
+    };
+}
+
+/**
+ * Convert webhook_deliveries row to JSON format
+ */
+function rowToDelivery(row) {
+    return {
+        id: row.id,
+        webhookId: row.webhook_id,
+        event: row.event,
+        payload: row.payload,
+        status: row.status,
+        attempts: row.attempts,
+        responseStatus: row.response_status,
+        error: row.error,
+        createdAt: row.created_at ? new Date(row.created_at).toISOString() : null,
+        lastAttemptAt: row.last_attempt_at ? new Date(row.last_attempt_at).toISOString() : null
+    };
+}
+
+/**
+ * Validate webhook fields sent to the API
+ * Returns an error message or null
+ */
+function validateWebhook({ name, url, events, minSeverity }) {
+    if (name !== undefined && (typeof name !== 'string' || name.trim().length === 0)) {
+        return 'Name is required';
+    }
+    
+    if (url !== undefined) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return 'Invalid URL';
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            return 'URL must start with http:// or https://';
+        }
+    }
+    
+    if (events !== undefined) {
+        if (!Array.isArray(events) || events.length === 0) {
+            return 'Select at least one event';
+        }
+        const unknown = events.find(event => !WEBHOOK_EVENTS.includes(event));
+        if (unknown) {
+            return `Invalid event "${unknown}". Must be one of: ${WEBHOOK_EVENTS.join(', ')}`;
+        }
+    }
+    
+    if (minSeverity !== undefined && !SEVERITY_LEVELS.includes(String(minSeverity).toUpperCase())) {
+        return 'Invalid minimum severity. Must be low, medium, or high';
+    }
+    
+    return null;
+}
+
+/**
+ * HMAC-SHA256 signature of "<timestamp>.<body>"
+ * Receivers recompute it with the shared secret and compare with the X-TIntell-Signature header
+ */
+function sign(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * POST a JSON body, resolving with { status, body } for any HTTP response
+ */
+function postJson(url, body, headers) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const client = target.protocol === 'https:' ? https : http;
+        
+        const req = client.request(target, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                'User-Agent': 'T-intell-Webhooks/1.0',
+                ...headers
+            },
+            timeout: REQUEST_TIMEOUT_MS
+        }, (res) => {
+            let data = '';
+            res.on('data', chunk => {
+                if (data.length < 2000) data += chunk;
+            });
+            res.on('end', () => resolve({ status: res.statusCode, body: data }));
+        });
+        
+        req.on('timeout', () => req.destroy(new Error(`Timed out after ${REQUEST_TIMEOUT_MS / 1000}s`)));
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+/**
+ * Whether a failed attempt is worth retrying (network errors, timeouts, 408, 429 and 5xx)
+ */
+function isRetryable(status) {
+    return !status || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Webhook Service - Sends signed JSON payloads to configured URLs
+ * Every delivery is logged in webhook_deliveries; failed deliveries are retried with exponential backoff
+ */
+class WebhookService {
+    constructor() {
+        this.webhooks = null; // enabled webhooks including their secrets
+        this.lastLoadTime = null;
+        this.cacheTimeout = 60000; // Cache for 1 minute
+    }
+    
+    /**
+     * Load enabled webhooks from database (with caching)
+     */
+    async loadWebhooks(forceReload = false) {
+        const now = Date.now();
+        
+        if (!forceReload && this.webhooks && this.lastLoadTime && (now - this.lastLoadTime) < this.cacheTimeout) {
+            return this.webhooks;
+        }
+        
+        try {
+            const result = await query('SELECT * FROM webhooks WHERE enabled = TRUE');
+            this.webhooks = result.rows;
+        } catch (error) {
+            console.error('[Webhooks] Error loading webhooks:', error.message);
+            this.webhooks = this.webhooks || [];
+        }
+        this.lastLoadTime = now;
+        
+        return this.webhooks;
+    }
+    
+    /**
+     * List all webhooks
+     */
+    async list() {
+        const result = await query('SELECT * FROM webhooks ORDER BY created_at DESC');
+        return result.rows.map(rowToWebhook);
+    }
+    
+    /**
+     * Add a webhook
+     */
+    async add({ name, url, secret, events, minSeverity, enabled }) {
+        const result = await query(
+            `INSERT INTO webhooks (id, name, url, secret, events, min_severity, enabled, created_at, updated_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW()) RETURNING *`,
+            [uuidv4(), name.trim(), url.trim(), secret || null, JSON.stringify(events), (minSeverity || 'low').toUpperCase(), enabled !== false]
+        );
+        this.clearCache();
+        return rowToWebhook(result.rows[0]);
+    }
+    
+    /**
+     * Update a webhook; fields left undefined keep their value, an empty secret removes it
+     */
+    async update(id, { name, url, secret, events, minSeverity, enabled }) {
+        const result = await query(
+            `UPDATE webhooks SET
+                name = COALESCE($1, name),
+                url = COALESCE($2, url),
+                secret = CASE WHEN $3::boolean THEN $4 ELSE secret END,
+                events = COALESCE($5, events),
+                min_severity = COALESCE($6, min_severity),
+                enabled = COALESCE($7, enabled),
+                updated_at = NOW()
+             WHERE id = $8 RETURNING *`,
+            [
+                name !== undefined ? name.trim() : null,
+                url !== undefined ? url.trim() : null,
+                secret !== undefined,
+                secret || null,
+                events !== undefined ? JSON.stringify(events) : null,
+                minSeverity !== undefined ? String(minSeverity).toUpperCase() : null,
+                enabled !== undefined ? enabled !== false : null,
+                id
+            ]
+        );
+        this.clearCache();
+        return result.rows.length > 0 ? rowToWebhook(result.rows[0]) : null;
+    }
+    
+    /**
+     * Remove a webhook (its delivery log goes with it)
+     */
+    async remove(id) {
+        const result = await query('DELETE FROM webhooks WHERE id = $1', [id]);
+        this.clearCache();
+        return result.rowCount > 0;
+    }
+    
+    /**
+     * Latest deliveries of a webhook
+     */
+    async listDeliveries(webhookId, limit = 50) {
+        const result = await query(
+            'SELECT * FROM webhook_deliveries WHERE webhook_id = $1 ORDER BY created_at DESC LIMIT $2',
+            [webhookId, limit]
+        );
+        return result.rows.map(rowToDelivery);
+    }
+    
+    /**
+     * Send an event to every enabled webhook subscribed to it
+     * severity (alerts only) is checked against each webhook's minimum severity
+     * Never throws; deliveries run in the background
+     */
+    async dispatch(event, data, { severity } = {}) {
+        try {
+            const webhooks = await this.loadWebhooks();
+            const level = SEVERITY_LEVELS.indexOf(String(severity || '').toUpperCase());
+            
+            for (const webhook of webhooks) {
+                if (!(webhook.events || []).includes(event)) continue;
+                if (severity && level < SEVERITY_LEVELS.indexOf(webhook.min_severity || 'LOW')) continue;
+                
+                this.deliver(webhook, event, data).catch(error => {
+                    console.error(`[Webhooks] Delivery to "${webhook.name}" failed:`, error.message);
+                });
+            }
+        } catch (error) {
+            console.error(`[Webhooks] Error dispatching ${event}:`, error.message);
+        }
+    }
+    
+    /**
+     * Send a test payload to one webhook (single attempt, no retries)
+     */
+    async sendTest(id) {
+        const result = await query('SELECT * FROM webhooks WHERE id = $1', [id]);
+        if (result.rows.length === 0) {
+            return null;
+        }
+        
+        return this.deliver(result.rows[0], 'test', {
+            message: 'Test delivery from T-intell',
+            webhook: result.rows[0].name
+        }, { retry: false });
+    }
+    
+    /**
+     * Log a delivery and make the first attempt
+     * Returns the delivery as it stands after the first attempt
+     */
+    async deliver(webhook, event, data, { retry = true } = {}) {
+        const deliveryId = uuidv4();
+        const payload = {
+            id: deliveryId,
+            event,
+            timestamp: new Date().toISOString(),
+            data
+        };
+        
+        await query(
+            `INSERT INTO webhook_deliveries (id, webhook_id, event, payload, status, attempts, created_at)
+             VALUES ($1, $2, $3, $4, 'pending', 0, NOW())`,
+            [deliveryId, webhook.id, event, JSON.stringify(payload)]
+        );
+        
+        return this.attempt(webhook, deliveryId, payload, 1, retry);
+    }
+    
+    /**
+     * Make one delivery attempt and schedule the next one on a retryable failure
+     */
+    async attempt(webhook, deliveryId, payload, attemptNumber, retry) {
+        const body = JSON.stringify(payload);
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const headers = {
+            'X-TIntell-Event': payload.event,
+            'X-TIntell-Delivery': deliveryId,
+            'X-TIntell-Timestamp': timestamp
+        };
+        if (webhook.secret) {
+            headers['X-TIntell-Signature'] = sign(webhook.secret, timestamp, body);
+        }
+        
+        let responseStatus = null;
+        let error = null;
+        try {
+            const response = await postJson(webhook.url, body, headers);
+            responseStatus = response.status;
+            if (response.status < 200 || response.status >= 300) {
+                error = `HTTP ${response.status}${response.body ? `: ${response.body.substring(0, 200)}` : ''}`;
+            }
+        } catch (requestError) {
+            error = requestError.message;
+        }
+        
+        const willRetry = Boolean(error) && retry && attemptNumber < MAX_ATTEMPTS && isRetryable(responseStatus);
+        const status = !error ? 'success' : (willRetry ? 'pending' : 'failed');
+        
+        const result = await query(
+            `UPDATE webhook_deliveries SET status = $1, attempts = $2, response_status = $3, error = $4, last_attempt_at = NOW()
+             WHERE id = $5 RETURNING *`,
+            [status, attemptNumber, responseStatus, error, deliveryId]
+        );
+        
+        if (willRetry) {
+            const delay = RETRY_BASE_DELAY_MS * Math.pow(2, attemptNumber - 1);
+            setTimeout(() => {
+                this.attempt(webhook, deliveryId, payload, attemptNumber + 1, retry).catch(retryError => {
+                    console.error(`[Webhooks] Retry of delivery ${deliveryId} failed:`, retryError.message);
+                });
+            }, delay);
+        } else if (error) {
+            console.warn(`[Webhooks] Delivery of ${payload.event} to "${webhook.name}" failed after ${attemptNumber} attempt(s): ${error}`);
+        }
+        
+        return result.rows.length > 0 ? rowToDelivery(result.rows[0]) : null;
+    }
+    
+    /**
+     * Resume deliveries a restart left pending (their retry timers died with the process)
+     * Deliveries whose webhook was disabled or deleted meanwhile are marked failed
+     */
+    async resumePendingDeliveries() {
+        try {
+            const result = await query(
+                `SELECT * FROM webhook_deliveries WHERE status = 'pending' ORDER BY created_at ASC`
+            );
+            if (result.rows.length === 0) return;
+            
+            const webhooks = await this.loadWebhooks(true);
+            let resumed = 0;
+            for (const delivery of result.rows) {
+                const webhook = webhooks.find(w => w.id === delivery.webhook_id);
+                if (!webhook) {
+                    await query(
+                        `UPDATE webhook_deliveries SET status = 'failed', error = $1 WHERE id = $2`,
+                        ['Interrupted by restart (webhook disabled or removed)', delivery.id]
+                    );
+                    continue;
+                }
+                
+                // Keep the backoff the interrupted retry would have waited
+                const delay = delivery.attempts > 0 && delivery.last_attempt_at
+                    ? Math.max(0, new Date(delivery.last_attempt_at).getTime() + RETRY_BASE_DELAY_MS * Math.pow(2, delivery.attempts - 1) - Date.now())
+                    : 0;
+                setTimeout(() => {
+                    this.attempt(webhook, delivery.id, delivery.payload, delivery.attempts + 1, true).catch(retryError => {
+                        console.error(`[Webhooks] Retry of delivery ${delivery.id} failed:`, retryError.message);
+                    });
+                }, delay);
+                resumed++;
+            }
+            
+            console.log(`[Webhooks] Resumed ${resumed} pending deliver${resumed === 1 ? 'y' : 'ies'}, failed ${result.rows.length - resumed}`);
+        } catch (error) {
+            console.error('[Webhooks] Error resuming pending deliveries:', error.message);
+        }
+    }
+    
+    /**
+     * Clear cache (force reload on next access)
+     */
+    clearCache() {
+        this.webhooks = null;
+        this.lastLoadTime = null;
+    }
+}
+
+// Create singleton instance
+const webhookService = new WebhookService();
+
+module.exports = webhookService;
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+module.exports.validateWebhook = validateWebhook;
+module.exports.sign = sign;
@@ -108,6 +108,7 @@ function rowToJson(row, tableName) {
             nickNameModifyTimeUnix: json.nick_name_modify_time_unix,
             lastSyncedAt: json.last_synced_at,
             useSession: json.use_session || false,
+            tags: json.tags || [],
             createdAt: json.created_at,
             updatedAt: json.updated_at
         };
@@ -118,6 +119,10 @@ function rowToJson(row, tableName) {
             id: json.id,
             username: json.username,
             password: json.password_hash, // Keep as 'password' for compatibility
+            email: json.email || null,
+            notifyImmediate: json.notify_immediate || false,
+            digestFrequency: json.digest_frequency || 'none',
+            lastDigestAt: json.last_digest_at || null,
             createdAt: json.created_at
         };
     }
@@ -168,6 +173,9 @@ function rowToJson(row, tableName) {
         return {
             id: json.id,
             triggerWord: json.type, // Map type to triggerWord for compatibility
+            triggerId: json.trigger_id || null,
+            eventType: json.event_type || 'chat',
+            source: json.source || 'trigger',
             sessionId: json.session_id,
             handle: json.handle,
             eventId: json.event_id,
@@ -175,16 +183,33 @@ function rowToJson(row, tableName) {
             severity: json.severity.toLowerCase(),
             status: json.status,
             message: json.message,
+            rawText: json.raw_text || null,
+            normalizedText: json.normalized_text || null,
+            occurrenceCount: json.occurrence_count || 1,
+            firstSeenAt: json.first_seen_at || json.timestamp,
+            lastSeenAt: json.last_seen_at || json.timestamp,
             acknowledgedAt: json.acknowledged_at,
-            resolvedAt: json.resolved_at
+            resolvedAt: json.resolved_at,
+            assignedTo: json.assigned_to || null,
+            assignedAt: json.assigned_at || null,
+            details: json.details || null,
+            categoryId: json.category_id || null,
+            categoryName: json.category_name || null
         };
     }
     
     if (tableName === 'trigger_words') {
         return {
             id: json.id,
-            word: (json.word || '').toLowerCase(), // Always return lowercase
+            word: json.mode === 'regex' ? (json.word || '') : (json.word || '').toLowerCase(), // Lowercase except regex
             severity: json.severity || 'medium', // Default to medium if null
+            eventType: json.event_type || 'chat',
+            conditions: json.conditions || [],
+            mode: json.mode || 'contains',
+            normalize: json.normalize !== false,
+            scope: json.scope || {},
+            categoryId: json.category_id || null,
+            languages: json.languages || [],
             createdAt: json.created_at
         };
     }
@@ -256,6 +281,7 @@ function jsonToRow(data, tableName) {
         row.nick_name_modify_time_unix = data.nickNameModifyTimeUnix || data.nick_name_modify_time_unix;
         row.last_synced_at = data.lastSyncedAt || data.last_synced_at;
         row.use_session = data.useSession !== undefined ? data.useSession : (data.use_session || false);
+        row.tags = Array.isArray(data.tags) ? JSON.stringify(data.tags) : undefined;
         if (data.createdAt) row.created_at = data.createdAt;
         if (data.updatedAt) row.updated_at = data.updatedAt;
         return row;
@@ -265,6 +291,10 @@ function jsonToRow(data, tableName) {
         row.id = data.id || uuidv4();
         row.username = data.username;
         row.password_hash = data.password || data.password_hash;
+        // Notification preferences are only written when given (columns have defaults)
+        if (data.email !== undefined) row.email = data.email || null;
+        if (data.notifyImmediate !== undefined) row.notify_immediate = Boolean(data.notifyImmediate);
+        if (data.digestFrequency !== undefined) row.digest_frequency = data.digestFrequency;
         if (data.createdAt) row.created_at = data.createdAt;
         return row;
     }
@@ -314,7 +344,18 @@ function jsonToRow(data, tableName) {
         row.session_id = data.sessionId || data.session_id;
         row.event_id = data.eventId || data.event_id;
         row.type = data.triggerWord || data.type;
+        row.trigger_id = data.triggerId || data.trigger_id;
+        row.event_type = data.eventType || data.event_type;
+        row.source = data.source;
         row.message = data.message;
+        row.raw_text = data.rawText !== undefined ? data.rawText : data.raw_text;
+        row.normalized_text = data.normalizedText !== undefined ? data.normalizedText : data.normalized_text;
+        row.occurrence_count = data.occurrenceCount || data.occurrence_count || 1;
+        row.first_seen_at = data.firstSeenAt || data.first_seen_at;
+        row.last_seen_at = data.lastSeenAt || data.last_seen_at;
+        if (data.details !== undefined) row.details = data.details ? JSON.stringify(data.details) : null;
+        if (data.categoryId !== undefined) row.category_id = data.categoryId;
+        if (data.categoryName !== undefined) row.category_name = data.categoryName;
         row.severity = (data.severity || 'MED').toUpperCase();
         row.status = data.status || 'pending';
         row.acknowledged_at = data.acknowledgedAt || data.acknowledged_at;
@@ -325,9 +366,16 @@ function jsonToRow(data, tableName) {
     
     if (tableName === 'trigger_words') {
         row.id = data.id || uuidv4();
-        row.word = (data.word || '').toLowerCase(); // Always save as lowercase
+        row.mode = data.mode || 'contains';
+        row.word = row.mode === 'regex' ? (data.word || '') : (data.word || '').toLowerCase(); // Save as lowercase except regex
         row.case_sensitive = false; // Always false, case sensitivity is ignored
         row.severity = data.severity || 'medium'; // Default to medium if not provided
+        row.event_type = data.eventType || data.event_type || 'chat';
+        row.conditions = JSON.stringify(data.conditions || []);
+        row.normalize = data.normalize !== false;
+        row.scope = JSON.stringify(data.scope || {});
+        if (data.categoryId !== undefined) row.category_id = data.categoryId;
+        row.languages = JSON.stringify(data.languages || []);
         if (data.createdAt) row.created_at = data.createdAt;
         return row;
     }
@@ -0,0 +1,89 @@
+/**
+ * Aho-Corasick automaton
+ * Finds every occurrence of many literal patterns in a single pass over the text,
+ * so the cost of matching a message no longer grows with the number of trigger words
+ */
+class AhoCorasick {
+    constructor() {
+        this.transitions = [new Map()]; // node -> (char -> node)
+        this.fail = [0];
+        this.outputs = [[]]; // node -> [{ value, length }]
+        this.built = false;
+    }
+    
+    /**
+     * Add a pattern; value is handed back on every match
+     */
+    add(pattern, value) {
+        if (!pattern) return;
+        
+        let node = 0;
+        for (const char of pattern) {
+            let next = this.transitions[node].get(char);
+            if (next === undefined) {
+                next = this.transitions.length;
+                this.transitions.push(new Map());
+                this.fail.push(0);
+                this.outputs.push([]);
+                this.transitions[node].set(char, next);
+            }
+            node = next;
+        }
+        this.outputs[node].push({ value, length: pattern.length });
+        this.built = false;
+    }
+    
+    /**
+     * Compute failure links (breadth-first) once all patterns are added
+     */
+    build() {
+        if (this.built) return this;
+        
+        const queue = [];
+        for (const next of this.transitions[0].values()) {
+            this.fail[next] = 0;
+            queue.push(next);
+        }
+        
+        for (let i = 0; i < queue.length; i++) {
+            const node = queue[i];
+            for (const [char, next] of this.transitions[node]) {
+                let fallback = this.fail[node];
+                while (fallback > 0 && !this.transitions[fallback].has(char)) {
+                    fallback = this.fail[fallback];
+                }
+                const target = this.transitions[fallback].get(char);
+                this.fail[next] = target !== undefined && target !== next ? target : 0;
+                this.outputs[next] = this.outputs[next].concat(this.outputs[this.fail[next]]);
+                queue.push(next);
+            }
+        }
+        
+        this.built = true;
+        return this;
+    }
+    
+    /**
+     * Call onMatch(value, start, end) for every pattern occurrence in text
+     * start/end are UTF-16 indexes into text (end exclusive)
+     */
+    search(text, onMatch) {
+        if (!this.built) this.build();
+        
+        let node = 0;
+        let index = 0;
+        for (const char of text) {
+            index += char.length;
+            while (node > 0 && !this.transitions[node].has(char)) {
+                node = this.fail[node];
+            }
+            node = this.transitions[node].get(char) || 0;
+            
+            for (const output of this.outputs[node]) {
+                onMatch(output.value, index - output.length, index);
+            }
+        }
+    }
+}
+
+module.exports = AhoCorasick;
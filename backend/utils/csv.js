@@ -0,0 +1,87 @@
+/**
+ * Minimal CSV reading and writing (RFC 4180: comma separated, double-quoted fields, "" escapes)
+ */
+
+// Cells a spreadsheet would run as a formula; written with a leading ' and read back without it
+// (values already starting with ' before such a character get one more, so they round-trip too)
+const FORMULA_CELL = /^'*[=+\-@]/;
+const ESCAPED_FORMULA_CELL = /^'+[=+\-@]/;
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings)
+ * Quoted fields may contain commas, quotes and line breaks; a leading BOM is ignored
+ * and the ' that formatCsv puts before formula-like cells is removed
+ */
+function parseCsv(text) {
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+            continue;
+        }
+        
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    
+    // Blank lines carry no data
+    return rows
+        .filter(cells => cells.some(cell => cell.trim() !== ''))
+        .map(cells => cells.map(cell => ESCAPED_FORMULA_CELL.test(cell) ? cell.substring(1) : cell));
+}
+
+/**
+ * Quote a value for CSV when needed, defusing cells that start like a formula
+ */
+function formatCsvValue(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (FORMULA_CELL.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV text from a header row and data rows
+ */
+function formatCsv(header, rows) {
+    return [header, ...rows].map(row => row.map(formatCsvValue).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    parseCsv,
+    formatCsv
+};
@@ -0,0 +1,134 @@
+/**
+ * Contact and identity extraction from chat messages
+ * Finds emails, phone numbers, Telegram and WhatsApp links, other URLs and @handles, each with a
+ * normalized value so the same lead written differently ("+1 (555) 010-2030" / "15550102030")
+ * is grouped together
+ */
+
+const ENTITY_TYPES = ['email', 'phone', 'telegram', 'whatsapp', 'url', 'handle'];
+
+// "name (at) mail (dot) com" and similar spellings used to slip emails past filters
+const OBFUSCATED_AT = /\s*[([{]\s*at\s*[)\]}]\s*/gi;
+const OBFUSCATED_DOT = /\s*[([{]\s*dot\s*[)\]}]\s*/gi;
+
+const EMAIL_REGEX = /[a-z0-9._%+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}/gi;
+
+// Links with a scheme or www., and bare links on common domains (instagram.com/x, t.me/x)
+const URL_REGEX = /\b(?:https?:\/\/|www\.)[^\s<>"']+|\b(?:[a-z0-9-]+\.)+(?:com|net|org|io|me|gg|tv|co|ly|link|xyz|info|app|ru|br|de|uk)\/[^\s<>"']*/gi;
+
+// Runs of digits with the separators people put in phone numbers
+const PHONE_REGEX = /(?<![\w+])\+?\d[\d\s().-]{6,}\d(?!\w)/g;
+const MIN_PHONE_DIGITS = 8;
+const MAX_PHONE_DIGITS = 15;
+const DATE_LIKE = /^\d{4}[./-]\d{1,2}[./-]\d{1,2}$|^\d{1,2}[./-]\d{1,2}[./-]\d{2,4}$/; // "2024-05-01" is not a phone
+// A phone is written with a leading +, as one run of digits, or with ( ) - . between its groups;
+// numbers separated by spaces only ("scores 100 200 300 400") are not phones
+const PHONE_SHAPED = /^\+|^\d+$|[().-]/;
+
+const HANDLE_REGEX = /(?<![\w.@])@([a-z0-9_](?:[a-z0-9_.]{0,28}[a-z0-9_])?)/gi;
+
+// Words before a handle that name its platform ("tg @name", "insta: @name")
+const PLATFORM_HINTS = [
+    { regex: /\b(?:telegram|tg|telegrama)\b/i, platform: 'telegram' },
+    { regex: /\b(?:instagram|insta|ig)\b/i, platform: 'instagram' },
+    { regex: /\b(?:snapchat|snap|sc)\b/i, platform: 'snapchat' },
+    { regex: /\bdiscord\b/i, platform: 'discord' },
+    { regex: /\b(?:twitter|x\.com)\b/i, platform: 'twitter' }
+];
+const PLATFORM_HINT_DISTANCE = 15; // Characters before a handle searched for a platform name
+
+/**
+ * Strip punctuation that ends a sentence rather than a link
+ */
+function trimLink(link) {
+    return link.replace(/[.,!?;:)\]}]+$/, '');
+}
+
+/**
+ * Classify and normalize a link: Telegram and WhatsApp links become their own entity types
+ */
+function linkEntity(raw) {
+    const link = trimLink(raw);
+    const withoutScheme = link.replace(/^https?:\/\//i, '').replace(/^www\./i, '');
+    const [host, ...pathParts] = withoutScheme.split('/');
+    const hostLower = host.toLowerCase();
+    const pathText = pathParts.join('/');
+    
+    if (['t.me', 'telegram.me', 'telegram.dog'].includes(hostLower) && pathParts[0]) {
+        return { type: 'telegram', value: pathParts[0].replace(/^@/, '').toLowerCase(), raw: link };
+    }
+    if (hostLower === 'wa.me' && pathParts[0]) {
+        return { type: 'whatsapp', value: pathParts[0].replace(/\D/g, '') || pathParts[0].toLowerCase(), raw: link };
+    }
+    if (hostLower === 'chat.whatsapp.com' && pathParts[0]) {
+        return { type: 'whatsapp', value: `chat.whatsapp.com/${pathParts[0]}`, raw: link };
+    }
+    
+    return { type: 'url', value: `${hostLower}${pathText ? `/${pathText}` : ''}`.replace(/\/+$/, ''), raw: link };
+}
+
+/**
+ * Extract contact entities from a message
+ * Returns [{ type, value, raw, platform? }] without duplicates (same type and value)
+ */
+function extractEntities(text) {
+    const source = String(text || '');
+    if (!source.trim()) {
+        return [];
+    }
+    
+    const entities = [];
+    const seen = new Set();
+    const add = entity => {
+        const key = `${entity.type}|${entity.value}`;
+        if (entity.value && !seen.has(key)) {
+            seen.add(key);
+            entities.push(entity);
+        }
+    };
+    
+    // Spans already taken by links and emails, so their parts are not read again as phones or handles
+    let rest = source;
+    const blank = match => ' '.repeat(match.length);
+    
+    rest = rest.replace(URL_REGEX, match => {
+        add(linkEntity(match));
+        return blank(match);
+    });
+    
+    const deobfuscated = rest.replace(OBFUSCATED_AT, '@').replace(OBFUSCATED_DOT, '.');
+    for (const match of deobfuscated.match(EMAIL_REGEX) || []) {
+        add({ type: 'email', value: match.toLowerCase(), raw: match });
+    }
+    rest = deobfuscated.replace(EMAIL_REGEX, blank);
+    
+    rest = rest.replace(PHONE_REGEX, match => {
+        const digits = match.replace(/\D/g, '');
+        const written = match.trim();
+        if (digits.length < MIN_PHONE_DIGITS || digits.length > MAX_PHONE_DIGITS || DATE_LIKE.test(written) || !PHONE_SHAPED.test(written)) {
+            return match;
+        }
+        add({ type: 'phone', value: digits, raw: written });
+        return blank(match);
+    });
+    
+    let handleMatch;
+    HANDLE_REGEX.lastIndex = 0;
+    while ((handleMatch = HANDLE_REGEX.exec(rest)) !== null) {
+        const before = rest.slice(Math.max(0, handleMatch.index - PLATFORM_HINT_DISTANCE), handleMatch.index);
+        const hint = PLATFORM_HINTS.find(entry => entry.regex.test(before));
+        const value = handleMatch[1].toLowerCase();
+        if (hint?.platform === 'telegram') {
+            add({ type: 'telegram', value, raw: handleMatch[0] });
+        } else {
+            add({ type: 'handle', value, raw: handleMatch[0], platform: hint ? hint.platform : null });
+        }
+    }
+    
+    return entities;
+}
+
+module.exports = {
+    ENTITY_TYPES,
+    extractEntities
+};
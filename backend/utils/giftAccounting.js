@@ -0,0 +1,163 @@
+/**
+ * Streak-aware gift accounting
+ * TikTok sends a streakable gift (giftType 1) as a series of events with a growing repeatCount and
+ * repeatEnd set on the last one, so counting every event counts the streak many times. A send is
+ * counted once, with its final repeatCount: at its repeatEnd event, or for a streak that never got
+ * one (stream or connection dropped), at its last event
+ */
+
+const STREAKABLE_GIFT_TYPE = 1;
+
+/**
+ * True for an event of a streak that is still running (not counted yet)
+ */
+function isStreakInProgress(data) {
+    return Number(data?.giftType) === STREAKABLE_GIFT_TYPE && !data.repeatEnd;
+}
+
+/**
+ * Diamonds of one send: diamond value of the gift times its repeat count
+ */
+function giftDiamonds(data) {
+    return (Number(data?.diamondCount) || 0) * (Number(data?.repeatCount) || 1);
+}
+
+/**
+ * Streaks are told apart by viewer and gift
+ */
+function streakKey(event) {
+    return `${event.user?.uniqueId || event.user?.userId || ''}|${event.data.giftId || event.data.giftName || ''}`;
+}
+
+/**
+ * Turn gift events into counted sends, in event order
+ * events: [{ timestamp, user: { uniqueId, nickname }, data: { giftId, giftName, diamondCount, repeatCount, repeatEnd, giftType } }]
+ * Returns [{ timestamp, uniqueId, nickname, giftId, giftName, diamondCount, repeatCount, diamonds }]
+ */
+function countGiftSends(events) {
+    const sends = [];
+    const openStreaks = new Map(); // viewer|gift -> last event of a running streak
+    
+    const toSend = event => {
+        const data = event.data || {};
+        const user = event.user || {};
+        return {
+            timestamp: event.timestamp,
+            uniqueId: user.uniqueId || null,
+            nickname: user.nickname || user.uniqueId || null,
+            giftId: data.giftId || null,
+            giftName: data.giftName || (data.giftId ? `Gift ${data.giftId}` : 'Unknown gift'),
+            diamondCount: Number(data.diamondCount) || 0,
+            repeatCount: Number(data.repeatCount) || 1,
+            diamonds: giftDiamonds(data)
+        };
+    };
+    
+    for (const event of events) {
+        if (!event || !event.data) continue;
+        const key = streakKey(event);
+        const open = openStreaks.get(key);
+        
+        if (isStreakInProgress(event.data)) {
+            // A lower repeat count means the previous streak ended without its repeatEnd event
+            if (open && (Number(event.data.repeatCount) || 1) < (Number(open.data.repeatCount) || 1)) {
+                sends.push(toSend(open));
+            }
+            openStreaks.set(key, event);
+            continue;
+        }
+        
+        openStreaks.delete(key);
+        sends.push(toSend(event));
+    }
+    
+    for (const open of openStreaks.values()) {
+        sends.push(toSend(open));
+    }
+    
+    return sends.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+/**
+ * Totals, top gifters and per-gift breakdown of a list of sends
+ */
+function summarizeGiftSends(sends, topLimit = 10) {
+    const gifters = new Map();
+    const giftTypes = new Map();
+    let totalGifts = 0;
+    let totalDiamonds = 0;
+    
+    for (const send of sends) {
+        totalGifts += send.repeatCount;
+        totalDiamonds += send.diamonds;
+        
+        const gifterKey = send.uniqueId || 'unknown';
+        const gifter = gifters.get(gifterKey) || { uniqueId: send.uniqueId, nickname: send.nickname, gifts: 0, diamonds: 0, sends: 0 };
+        gifter.gifts += send.repeatCount;
+        gifter.diamonds += send.diamonds;
+        gifter.sends++;
+        gifters.set(gifterKey, gifter);
+        
+        const typeKey = send.giftId || send.giftName;
+        const giftType = giftTypes.get(typeKey) || { giftId: send.giftId, giftName: send.giftName, diamondCount: send.diamondCount, gifts: 0, diamonds: 0, sends: 0 };
+        giftType.gifts += send.repeatCount;
+        giftType.diamonds += send.diamonds;
+        giftType.sends++;
+        giftTypes.set(typeKey, giftType);
+    }
+    
+    const byValue = (a, b) => b.diamonds - a.diamonds || b.gifts - a.gifts;
+    return {
+        totalGifts,
+        totalDiamonds,
+        totalSends: sends.length,
+        uniqueGifters: gifters.size,
+        topGifters: [...gifters.values()].sort(byValue).slice(0, topLimit),
+        giftTypes: [...giftTypes.values()].sort(byValue)
+    };
+}
+
+/**
+ * Running gift totals of a live session, kept equal to summarizeGiftSends(countGiftSends(events))
+ * over the events seen so far: a running streak counts at its latest event, and each event adds
+ * the difference with what its streak had counted (negative when a repeatEnd event replaces a
+ * streak that had counted more)
+ */
+class GiftCounter {
+    constructor() {
+        this.openStreaks = new Map(); // viewer|gift -> { gifts, diamonds } counted for the running streak
+    }
+    
+    /**
+     * Count a gift event; returns the change in { gifts, diamonds }
+     */
+    add(event) {
+        if (!event || !event.data) {
+            return { gifts: 0, diamonds: 0 };
+        }
+        
+        const key = streakKey(event);
+        const open = this.openStreaks.get(key);
+        const current = { gifts: Number(event.data.repeatCount) || 1, diamonds: giftDiamonds(event.data) };
+        
+        if (isStreakInProgress(event.data)) {
+            // A lower repeat count starts a new streak; the previous one keeps what it counted
+            const counted = open && current.gifts >= open.gifts ? open : { gifts: 0, diamonds: 0 };
+            this.openStreaks.set(key, current);
+            return { gifts: current.gifts - counted.gifts, diamonds: current.diamonds - counted.diamonds };
+        }
+        
+        // The final event of a send replaces the running streak of the same viewer and gift
+        this.openStreaks.delete(key);
+        const counted = open || { gifts: 0, diamonds: 0 };
+        return { gifts: current.gifts - counted.gifts, diamonds: current.diamonds - counted.diamonds };
+    }
+}
+
+module.exports = {
+    isStreakInProgress,
+    giftDiamonds,
+    countGiftSends,
+    summarizeGiftSends,
+    GiftCounter
+};
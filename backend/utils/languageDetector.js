@@ -0,0 +1,188 @@
+/**
+ * Offline language identification for short chat messages
+ * Non-Latin scripts decide the language on their own (Hangul → Korean, kana → Japanese, ...);
+ * Latin-script text is scored on common words, chat slang and language-specific letters.
+ * Tuned for one-line live chat, so it answers null rather than guess on emoji or single letters
+ */
+
+/**
+ * Languages the detector can return (ISO 639-1 code -> name)
+ */
+const LANGUAGES = {
+    ar: 'Arabic', bn: 'Bengali', de: 'German', el: 'Greek', en: 'English', es: 'Spanish',
+    fa: 'Persian', fr: 'French', he: 'Hebrew', hi: 'Hindi', hy: 'Armenian', id: 'Indonesian',
+    it: 'Italian', ja: 'Japanese', ka: 'Georgian', ko: 'Korean', nl: 'Dutch', pl: 'Polish',
+    pt: 'Portuguese', ro: 'Romanian', ru: 'Russian', sv: 'Swedish', ta: 'Tamil', th: 'Thai',
+    tl: 'Tagalog', tr: 'Turkish', uk: 'Ukrainian', ur: 'Urdu', vi: 'Vietnamese', zh: 'Chinese'
+};
+
+// Scripts that identify a language (or a small family resolved below), checked letter by letter
+const SCRIPTS = [
+    { script: 'hangul', regex: /\p{Script=Hangul}/u },
+    { script: 'kana', regex: /[\p{Script=Hiragana}\p{Script=Katakana}]/u },
+    { script: 'han', regex: /\p{Script=Han}/u },
+    { script: 'thai', regex: /\p{Script=Thai}/u },
+    { script: 'arabic', regex: /\p{Script=Arabic}/u },
+    { script: 'hebrew', regex: /\p{Script=Hebrew}/u },
+    { script: 'greek', regex: /\p{Script=Greek}/u },
+    { script: 'cyrillic', regex: /\p{Script=Cyrillic}/u },
+    { script: 'devanagari', regex: /\p{Script=Devanagari}/u },
+    { script: 'bengali', regex: /\p{Script=Bengali}/u },
+    { script: 'tamil', regex: /\p{Script=Tamil}/u },
+    { script: 'georgian', regex: /\p{Script=Georgian}/u },
+    { script: 'armenian', regex: /\p{Script=Armenian}/u },
+    { script: 'latin', regex: /\p{Script=Latin}/u }
+];
+
+const SCRIPT_LANGUAGES = {
+    hangul: 'ko', kana: 'ja', han: 'zh', thai: 'th', hebrew: 'he', greek: 'el', devanagari: 'hi',
+    bengali: 'bn', tamil: 'ta', georgian: 'ka', armenian: 'hy'
+};
+
+// Letters only Persian / Urdu add to the Arabic alphabet, and Ukrainian to Cyrillic
+const URDU_LETTERS = /[ٹڈڑںےہ]/;
+const PERSIAN_LETTERS = /[پچژگکی]/;
+const UKRAINIAN_LETTERS = /[іїєґ]/i;
+
+// Common words and chat slang per Latin-script language
+const COMMON_WORDS = {
+    en: 'the and you is are it this that to of in my your what for on with so lol love omg pls please hi hello how why be have was not yes u ur im dont can just like good beautiful thanks thank go he she we they',
+    es: 'el la los las de que y en un una es por con para no yo tu te mi muy hola como pero si más mas jaja jajaja jajajaja gracias bien hermosa amor qué está eres tengo quiero',
+    pt: 'o os as de que e em um uma é não nao eu você voce vc muito obrigado obrigada com pra tá ta kkk kkkk kkkkk oi olá linda tudo bem meu minha amo',
+    fr: 'le la les de des et est je tu vous un une pas que qui bonjour salut merci très avec pour mdr oui non moi toi il elle suis',
+    de: 'der die das und ist ich du nicht ein eine mit zu auf für hallo danke ja nein wie was bist sehr schön auch mich dich',
+    it: 'il la di che e è un una per non sono ciao grazie bella come con mi ti anche molto io tu ho sei',
+    nl: 'de het een en is ik je niet van dat wat hoi dank mooi ook zijn met voor jij heel',
+    tr: 've bir bu ne da de çok cok için icin ben sen merhaba selam evet hayır nasıl güzel teşekkürler var yok mı mi',
+    id: 'yang dan di ini itu aku saya kamu tidak gak ga apa ada dengan untuk halo terima kasih cantik sudah udah banget wkwk wkwkwk',
+    vi: 'không là và của có em anh chị được này quá đẹp chào cảm ơn',
+    pl: 'i w nie się na to jest że co jak ale tak cześć dzięki bardzo ja ty',
+    ro: 'și în nu este de la ce pe cu eu tu foarte bună mulțumesc frumoasă',
+    sv: 'och är det att jag du inte en på med hej tack mycket vad som',
+    tl: 'ang ng mga sa ako ikaw ka po na ko mo salamat ganda maganda hindi oo naman lang talaga'
+};
+
+const WORD_LISTS = Object.fromEntries(Object.entries(COMMON_WORDS).map(([language, words]) => [language, new Set(words.split(' '))]));
+
+// Letters that point to one or a few Latin-script languages
+const LETTER_HINTS = [
+    { regex: /[ñ¿¡]/g, languages: ['es'] },
+    { regex: /[ãõ]/g, languages: ['pt'] },
+    { regex: /ç/g, languages: ['pt', 'fr', 'tr'] },
+    { regex: /[œèêë]/g, languages: ['fr'] },
+    { regex: /ß/g, languages: ['de'] },
+    { regex: /[äö]/g, languages: ['de', 'sv'] },
+    { regex: /ü/g, languages: ['de', 'tr'] },
+    { regex: /[ğşı]/g, languages: ['tr'] },
+    { regex: /[ąęłńśźżć]/g, languages: ['pl'] },
+    { regex: /[șță]/g, languages: ['ro'] },
+    { regex: /å/g, languages: ['sv'] },
+    { regex: /[òì]/g, languages: ['it'] },
+    { regex: /[đươạảấầẩẫậắằẳẵặẹẻẽếềểễệỉịọỏốồổỗộớờởỡợụủứừửữựỳỵỷỹ]/g, languages: ['vi'] }
+];
+
+const LETTER_HINT_WEIGHT = 2;
+const MIN_LETTERS = 2;
+const MIN_LATIN_CONFIDENCE = 0.4;
+
+/**
+ * Score Latin-script text against the common word lists and letter hints
+ * Returns { language, confidence } or null when nothing points to a language
+ */
+function detectLatin(text) {
+    const scores = {};
+    const add = (language, points) => {
+        scores[language] = (scores[language] || 0) + points;
+    };
+    
+    const words = text.match(/[\p{L}']+/gu) || [];
+    for (const word of words) {
+        for (const [language, list] of Object.entries(WORD_LISTS)) {
+            if (list.has(word)) {
+                add(language, 1);
+            }
+        }
+    }
+    
+    for (const hint of LETTER_HINTS) {
+        const count = (text.match(hint.regex) || []).length;
+        if (count > 0) {
+            hint.languages.forEach(language => add(language, (LETTER_HINT_WEIGHT * Math.min(count, 3)) / hint.languages.length));
+        }
+    }
+    
+    const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    if (ranked.length === 0 || (ranked[1] && ranked[1][1] === ranked[0][1])) {
+        return null;
+    }
+    
+    const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+    const confidence = ranked[0][1] / total;
+    return confidence >= MIN_LATIN_CONFIDENCE ? { language: ranked[0][0], confidence } : null;
+}
+
+/**
+ * Detect the language of a message
+ * Returns { language, confidence (0-1) }; language is null when the text does not say enough
+ */
+function detectLanguage(text) {
+    const source = String(text || '').normalize('NFC').toLowerCase();
+    const counts = {};
+    let letters = 0;
+    
+    for (const char of source) {
+        if (!/\p{L}/u.test(char)) continue;
+        letters++;
+        const match = SCRIPTS.find(entry => entry.regex.test(char));
+        if (match) {
+            counts[match.script] = (counts[match.script] || 0) + 1;
+        }
+    }
+    
+    if (letters < MIN_LETTERS) {
+        return { language: null, confidence: 0 };
+    }
+    
+    // Japanese mixes kanji (Han) with kana, so any kana makes Han text Japanese
+    if (counts.kana && counts.han) {
+        counts.kana += counts.han;
+        delete counts.han;
+    }
+    
+    const [script, scriptCount] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0] || [];
+    if (!script) {
+        return { language: null, confidence: 0 };
+    }
+    const share = scriptCount / letters;
+    
+    let language = SCRIPT_LANGUAGES[script] || null;
+    let confidence = share;
+    
+    if (script === 'arabic') {
+        language = URDU_LETTERS.test(source) ? 'ur' : PERSIAN_LETTERS.test(source) ? 'fa' : 'ar';
+    } else if (script === 'cyrillic') {
+        language = UKRAINIAN_LETTERS.test(source) ? 'uk' : 'ru';
+    } else if (script === 'latin') {
+        const latin = detectLatin(source);
+        language = latin ? latin.language : null;
+        confidence = latin ? share * latin.confidence : 0;
+    }
+    
+    return { language, confidence: Math.round(confidence * 100) / 100 };
+}
+
+/**
+ * Normalize a list of language codes: lowercase, known codes only, unique
+ */
+function normalizeLanguages(languages) {
+    const codes = (Array.isArray(languages) ? languages : [])
+        .map(code => String(code).trim().toLowerCase())
+        .filter(code => LANGUAGES[code]);
+    return [...new Set(codes)];
+}
+
+module.exports = {
+    LANGUAGES,
+    detectLanguage,
+    normalizeLanguages
+};
@@ -0,0 +1,120 @@
+/**
+ * Lexicon-weighted toxicity classifier (the default classifier of toxicityService)
+ * Each category has weighted words and phrases; the weights of the terms found in a message are
+ * combined with a noisy-OR (1 - Π(1 - weight)), so one strong phrase or several weak words score high.
+ * Terms are matched as whole words on the folded message and on its leetspeak-normalized form,
+ * and a negation just before a term ("don't want to die") weakens it
+ */
+const { normalizeText, normalizePattern, collapseRepeats, matchesWithRepeats } = require('./textNormalizer');
+
+const CATEGORIES = ['threat', 'hate', 'selfHarm', 'sexual'];
+
+/**
+ * Built-in lexicon: category -> { term: weight (0-1) }
+ * "*" in a phrase stands for any one word ("all * must die")
+ */
+const DEFAULT_LEXICON = {
+    threat: {
+        'kill you': 0.85, 'will kill': 0.8, 'gonna kill': 0.8, 'going to kill': 0.8, 'i will find you': 0.8,
+        'know where you live': 0.85, 'find where you live': 0.85, 'shoot you': 0.85, 'stab you': 0.85,
+        'beat you up': 0.6, 'hurt you': 0.55, 'burn your house': 0.85, 'you are dead': 0.7, 'youre dead': 0.7,
+        'dead meat': 0.6, 'watch your back': 0.6, 'rape you': 0.95, 'behead': 0.8, 'shoot up': 0.7,
+        'kidnap': 0.6, 'murder': 0.5, 'bomb': 0.45, 'kill': 0.35, 'gun': 0.2, 'knife': 0.2
+    },
+    hate: {
+        'subhuman': 0.8, 'inferior race': 0.9, 'go back to your country': 0.8, 'heil hitler': 0.9,
+        'sieg heil': 0.9, 'white power': 0.8, 'ethnic cleansing': 0.8, 'gas them': 0.85, 'all * must die': 0.85,
+        'all * should die': 0.85, 'exterminate': 0.6, 'vermin': 0.5, 'faggot': 0.8, 'fag': 0.6, 'tranny': 0.7,
+        'kike': 0.9, 'chink': 0.8, 'spic': 0.7, 'retard': 0.5, 'monkey': 0.2
+    },
+    selfHarm: {
+        'kill myself': 0.9, 'end my life': 0.9, 'hang myself': 0.9, 'want to die': 0.85, 'wanna die': 0.8,
+        'cut myself': 0.85, 'cutting myself': 0.85, 'no reason to live': 0.8, 'better off dead': 0.75,
+        'end it all': 0.7, 'kill yourself': 0.8, 'kys': 0.8, 'go die': 0.5, 'suicidal': 0.7, 'suicide': 0.6,
+        'self harm': 0.7, 'unalive': 0.7, 'overdose': 0.5, 'kms': 0.6
+    },
+    sexual: {
+        'blowjob': 0.85, 'send nudes': 0.85, 'nudes': 0.7, 'nude': 0.6, 'porn': 0.7, 'pussy': 0.7, 'tits': 0.7,
+        'boobs': 0.6, 'dick': 0.6, 'cock': 0.6, 'cum': 0.6, 'horny': 0.6, 'fuck me': 0.6, 'naked': 0.5,
+        'onlyfans': 0.5, 'send pics': 0.5, 'show feet': 0.4, 'sex': 0.4, 'sexy': 0.3
+    }
+};
+
+// Words that flip the meaning of a term right after them
+const NEGATIONS = new Set(['not', 'dont', 'never', 'no', 'wont', 'cant', 'doesnt', 'didnt', 'nobody']);
+const NEGATION_DISTANCE = 2; // Words before a term searched for a negation
+const NEGATION_FACTOR = 0.3; // Weight kept by a negated term
+
+/**
+ * Split text into words (apostrophes dropped, so "don't" -> "dont")
+ * With keepWildcards, "*" is kept as a word of its own (lexicon phrases)
+ */
+function tokenize(text, keepWildcards = false) {
+    const source = String(text || '').replace(/['’]/g, '');
+    return source.match(keepWildcards ? /\*|[\p{L}\p{N}]+/gu : /[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Lexicon classifier
+ * lexicon: category -> { term: weight }; terms are folded like messages (case, accents), and a
+ * message word matches a term word written with extra repeated letters ("kiiiill" for "kill")
+ */
+class LexiconClassifier {
+    constructor(lexicon = DEFAULT_LEXICON) {
+        this.name = 'lexicon';
+        this.categories = Object.keys(lexicon);
+        this.byFirstWord = new Map(); // first word of a term, repeats collapsed -> [{ category, words, weight }]
+        
+        for (const [category, terms] of Object.entries(lexicon)) {
+            for (const [term, weight] of Object.entries(terms || {})) {
+                const words = tokenize(normalizePattern(term), true);
+                const value = Number(weight);
+                if (words.length === 0 || words[0] === '*' || !(value > 0)) continue;
+                const key = collapseRepeats(words[0]);
+                if (!this.byFirstWord.has(key)) {
+                    this.byFirstWord.set(key, []);
+                }
+                this.byFirstWord.get(key).push({ category, words, weight: Math.min(value, 1) });
+            }
+        }
+    }
+    
+    /**
+     * Weights of the terms found in a list of words: "category|term" -> weight
+     */
+    findTerms(words, found) {
+        words.forEach((word, start) => {
+            for (const entry of this.byFirstWord.get(collapseRepeats(word)) || []) {
+                const matches = entry.words.every((expected, offset) =>
+                    expected === '*' ? words[start + offset] !== undefined : words[start + offset] !== undefined && matchesWithRepeats(words[start + offset], expected));
+                if (!matches) continue;
+                
+                const negated = words.slice(Math.max(0, start - NEGATION_DISTANCE), start).some(before => NEGATIONS.has(before));
+                const weight = negated ? entry.weight * NEGATION_FACTOR : entry.weight;
+                const key = `${entry.category}|${entry.words.join(' ')}`;
+                found.set(key, Math.max(found.get(key) || 0, weight));
+            }
+        });
+    }
+    
+    /**
+     * Score a message: { category: score (0-1) } for every category
+     */
+    classify(text) {
+        const found = new Map();
+        this.findTerms(tokenize(normalizePattern(text)), found);
+        this.findTerms(tokenize(normalizeText(text)), found);
+        
+        const remaining = Object.fromEntries(this.categories.map(category => [category, 1]));
+        for (const [key, weight] of found) {
+            const category = key.slice(0, key.indexOf('|'));
+            remaining[category] *= 1 - weight;
+        }
+        
+        return Object.fromEntries(this.categories.map(category => [category, Math.round((1 - remaining[category]) * 100) / 100]));
+    }
+}
+
+module.exports = LexiconClassifier;
+module.exports.CATEGORIES = CATEGORIES;
+module.exports.DEFAULT_LEXICON = DEFAULT_LEXICON;
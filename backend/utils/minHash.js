@@ -0,0 +1,99 @@
+/**
+ * MinHash signatures over character shingles
+ * Two texts share roughly (Jaccard similarity of their shingle sets) of their signature slots,
+ * and LSH band keys let near-duplicates be found without comparing every pair
+ */
+
+const NUM_HASHES = 64;
+const BAND_SIZE = 4; // 16 bands of 4 rows: pairs above ~0.5 similarity almost always share a band
+const SHINGLE_SIZE = 3;
+
+// Fixed seeds so signatures are comparable across restarts
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => Math.imul(i + 1, 0x9E3779B1) >>> 0);
+
+/**
+ * FNV-1a hash of a string (32-bit)
+ */
+function fnv1a(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Murmur3 finalizer, turns one base hash into an independent-looking hash per seed
+ */
+function mix(hash, seed) {
+    let h = (hash ^ seed) >>> 0;
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85EBCA6B);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xC2B2AE35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+/**
+ * Character shingles of a text (whitespace collapsed; short texts give one shingle)
+ */
+function shingles(text, size = SHINGLE_SIZE) {
+    const compact = String(text || '').replace(/\s+/g, ' ').trim();
+    const result = new Set();
+    if (compact.length <= size) {
+        if (compact) result.add(compact);
+        return result;
+    }
+    for (let i = 0; i <= compact.length - size; i++) {
+        result.add(compact.substring(i, i + size));
+    }
+    return result;
+}
+
+/**
+ * MinHash signature of a text (array of NUM_HASHES unsigned ints)
+ */
+function signature(text) {
+    const signatureValues = new Array(NUM_HASHES).fill(0xFFFFFFFF);
+    for (const shingle of shingles(text)) {
+        const base = fnv1a(shingle);
+        for (let i = 0; i < NUM_HASHES; i++) {
+            const value = mix(base, SEEDS[i]);
+            if (value < signatureValues[i]) {
+                signatureValues[i] = value;
+            }
+        }
+    }
+    return signatureValues;
+}
+
+/**
+ * Estimated Jaccard similarity of two signatures
+ */
+function similarity(a, b) {
+    let same = 0;
+    for (let i = 0; i < NUM_HASHES; i++) {
+        if (a[i] === b[i]) same++;
+    }
+    return same / NUM_HASHES;
+}
+
+/**
+ * LSH band keys of a signature; near-duplicates share at least one key
+ */
+function bandKeys(signatureValues) {
+    const keys = [];
+    for (let start = 0; start < NUM_HASHES; start += BAND_SIZE) {
+        keys.push(`${start}:${signatureValues.slice(start, start + BAND_SIZE).join(',')}`);
+    }
+    return keys;
+}
+
+module.exports = {
+    shingles,
+    signature,
+    similarity,
+    bandKeys
+};
@@ -0,0 +1,133 @@
+/**
+ * Text normalization for trigger matching
+ * Folds the tricks chat writers use to dodge trigger words ("k1ll", "ｋｉｌｌ", Cyrillic look-alikes,
+ * zero-width characters, "k i l l") into a plain lowercase form. Repeated letters ("kiiiill") are kept:
+ * matching tolerates extra repeats (see matchesWithRepeats) instead of collapsing both sides, which
+ * would turn "ass" into "as" and "good" into "god"
+ */
+
+// Zero-width and other invisible formatting characters
+const INVISIBLE_CHARS = /[\u00AD\u034F\u061C\u115F\u1160\u17B4\u17B5\u180B-\u180E\u200B-\u200F\u202A-\u202E\u2060-\u206F\u3164\uFE00-\uFE0F\uFEFF\uFFA0]/g;
+
+// Look-alike letters from other scripts (Cyrillic, Greek, Latin extensions) mapped to Latin
+const CONFUSABLES = {
+    'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'з': '3', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o',
+    'п': 'n', 'р': 'p', 'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'ш': 'w', 'ь': 'b', 'ѕ': 's',
+    'і': 'i', 'ї': 'i', 'ј': 'j', 'ԁ': 'd', 'ԛ': 'q', 'ԝ': 'w', 'ӏ': 'l', 'һ': 'h', 'ɡ': 'g', 'ɑ': 'a',
+    'α': 'a', 'β': 'b', 'γ': 'y', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p',
+    'τ': 't', 'υ': 'u', 'χ': 'x', 'ω': 'w', 'ς': 's', 'ı': 'i', 'ł': 'l', 'ø': 'o', 'đ': 'd', 'ħ': 'h',
+    'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'þ': 'p'
+};
+
+// Leetspeak digits and symbols mapped to the letters they stand for
+const LEETSPEAK = {
+    '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '6': 'g', '7': 't', '8': 'b', '9': 'g',
+    '@': 'a', '$': 's', '!': 'i', '|': 'l', '€': 'e', '£': 'l'
+};
+
+const CONFUSABLES_REGEX = new RegExp(`[${Object.keys(CONFUSABLES).join('')}]`, 'g');
+const LEETSPEAK_DIGITS = /[013-9]/g;
+// Symbols only stand for letters inside a word: "k!ll" is "kill", but "kill!" keeps its "!"
+const LEETSPEAK_SYMBOLS = /(?<=[\p{L}\p{N}])[@$!|€£]+(?=[\p{L}\p{N}])/gu;
+
+// Three or more single letters separated by spaces or punctuation ("k i l l", "k.i.l.l")
+const SPACED_LETTERS = /(?<![\p{L}\p{N}])\p{L}(?:[\s._\-*~]{1,3}\p{L}(?![\p{L}\p{N}])){2,}/gu;
+
+/**
+ * Fold characters without touching wildcards, operators or word structure
+ * NFKC (fullwidth and styled letters), invisible characters, case, diacritics and look-alikes
+ * Used for trigger words as well as messages
+ */
+function foldCharacters(text) {
+    return String(text || '')
+        .normalize('NFKC')
+        .replace(INVISIBLE_CHARS, '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .normalize('NFC')
+        .replace(CONFUSABLES_REGEX, char => CONFUSABLES[char]);
+}
+
+/**
+ * Collapse repeated letters ("kiiiill" -> "kil")
+ * Loses information ("kill" and "kil" look the same), so only for candidate lookups that are
+ * confirmed afterwards, and for similarity where that looseness is wanted
+ */
+function collapseRepeats(text) {
+    return text.replace(/(\p{L})\1+/gu, '$1');
+}
+
+/**
+ * Split a word into runs of the same character: "kill" -> [['k', 1], ['i', 1], ['l', 2]]
+ */
+function toRuns(word) {
+    const runs = [];
+    for (const char of word) {
+        const last = runs[runs.length - 1];
+        if (last && last[0] === char) {
+            last[1]++;
+        } else {
+            runs.push([char, 1]);
+        }
+    }
+    return runs;
+}
+
+/**
+ * True when word is expected with some letters repeated more often ("kiiiill" for "kill")
+ * Every run of expected needs at least as many letters in word, so "kil" and "shot" do not
+ * match "kill" and "shoot"
+ */
+function matchesWithRepeats(word, expected) {
+    if (word === expected) {
+        return true;
+    }
+    const wordRuns = toRuns(word);
+    const expectedRuns = toRuns(expected);
+    return wordRuns.length === expectedRuns.length &&
+        expectedRuns.every(([char, count], index) => wordRuns[index][0] === char && wordRuns[index][1] >= count);
+}
+
+/**
+ * Normalize a message for matching
+ * Folding, leetspeak substitution and joined spaced-out letters (repeats are kept)
+ */
+function normalizeText(text) {
+    const folded = foldCharacters(text)
+        .replace(LEETSPEAK_SYMBOLS, symbols => Array.from(symbols, char => LEETSPEAK[char]).join(''))
+        .replace(LEETSPEAK_DIGITS, char => LEETSPEAK[char])
+        .replace(SPACED_LETTERS, match => match.replace(/[\s._\-*~]+/g, ''));
+    
+    return folded.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Normalize a trigger word so it lines up with normalizeText output
+ * Leetspeak is left alone so wildcards (* and %) and boolean operators keep working
+ */
+function normalizePattern(pattern) {
+    return foldCharacters(pattern);
+}
+
+// The same message is matched against every trigger word, so remember the last result
+let lastInput = null;
+let lastOutput = null;
+
+/**
+ * normalizeText with a one-entry memo
+ */
+function normalizeTextCached(text) {
+    if (text !== lastInput) {
+        lastInput = text;
+        lastOutput = normalizeText(text);
+    }
+    return lastOutput;
+}
+
+module.exports = {
+    normalizeText: normalizeTextCached,
+    normalizePattern,
+    collapseRepeats,
+    matchesWithRepeats
+};
@@ -0,0 +1,126 @@
+/**
+ * Benchmark trigger word matching throughput (messages per second)
+ * Compares the compiled matcher (Aho-Corasick + precompiled patterns) with testing every rule
+ * one by one, on synthetic trigger words and chat messages. Nothing is read from the database, but
+ * loading the trigger service opens the configured database pool (connection errors can be ignored).
+ *
+ * Usage: node scripts/benchmark-trigger-matcher.js [triggerWords=500] [messages=20000]
+ */
+const { TriggerMatcher, matchesRule } = require('../backend/services/triggerService');
+
+const triggerCount = parseInt(process.argv[2]) || 500;
+const messageCount = parseInt(process.argv[3]) || 20000;
+
+const VOCABULARY = [
+    'hello', 'live', 'gift', 'follow', 'love', 'stream', 'game', 'music', 'dance', 'wow', 'nice', 'thanks',
+    'where', 'from', 'today', 'please', 'share', 'like', 'team', 'win', 'lol', 'haha', 'good', 'night'
+];
+
+/**
+ * Deterministic pseudo-random numbers so runs are comparable
+ */
+let seed = 42;
+function random() {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+}
+
+function pick(list) {
+    return list[Math.floor(random() * list.length)];
+}
+
+function randomWord(length) {
+    let word = '';
+    for (let i = 0; i < length; i++) {
+        word += String.fromCharCode(97 + Math.floor(random() * 26));
+    }
+    return word;
+}
+
+/**
+ * Trigger words in the mix a real deployment has: mostly literal words, some wildcards,
+ * regular expressions and boolean expressions
+ */
+function buildTriggers(count) {
+    const triggers = [];
+    for (let i = 0; i < count; i++) {
+        const roll = random();
+        let word = randomWord(4 + Math.floor(random() * 5));
+        let mode = 'contains';
+        if (roll < 0.35) {
+            mode = 'whole-word';
+        } else if (roll < 0.45) {
+            word = `${word.slice(0, 3)}*${word.slice(3)}`;
+        } else if (roll < 0.5) {
+            mode = 'regex';
+            word = `${word}\\d+`;
+        } else if (roll < 0.55) {
+            mode = 'boolean';
+            word = `(${word} OR ${randomWord(5)}) AND NOT ${pick(VOCABULARY)}`;
+        }
+        triggers.push({
+            id: `trigger-${i}`,
+            word,
+            mode,
+            normalize: random() < 0.8,
+            eventType: 'chat',
+            conditions: [],
+            severity: 'medium'
+        });
+    }
+    return triggers;
+}
+
+function buildMessages(count, triggers) {
+    const messages = [];
+    for (let i = 0; i < count; i++) {
+        const words = [];
+        const length = 3 + Math.floor(random() * 12);
+        for (let j = 0; j < length; j++) {
+            words.push(pick(VOCABULARY));
+        }
+        // About 2% of messages contain a literal trigger word
+        if (random() < 0.02) {
+            const literal = triggers.find(trigger => trigger.mode === 'whole-word');
+            if (literal) words.push(literal.word);
+        }
+        messages.push({ type: 'chat', data: { comment: words.join(' ') }, user: { uniqueId: `viewer${i % 500}` } });
+    }
+    return messages;
+}
+
+function run(label, events, matchEvent) {
+    let matched = 0;
+    const start = process.hrtime.bigint();
+    for (const event of events) {
+        if (matchEvent(event).length > 0) matched++;
+    }
+    const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+    const perSecond = Math.round(events.length / (elapsedMs / 1000));
+    console.log(`${label.padEnd(30)} ${perSecond.toLocaleString().padStart(12)} msg/s  (${elapsedMs.toFixed(0)} ms, ${matched} matched)`);
+    return matched;
+}
+
+function main() {
+    console.log(`Trigger words: ${triggerCount}, messages: ${messageCount}`);
+    console.log('');
+    
+    const triggers = buildTriggers(triggerCount);
+    const events = buildMessages(messageCount, triggers);
+    
+    const buildStart = process.hrtime.bigint();
+    const matcher = new TriggerMatcher(triggers);
+    console.log(`Compiled matcher built in ${(Number(process.hrtime.bigint() - buildStart) / 1e6).toFixed(1)} ms`);
+    console.log('');
+    
+    const compiledMatches = run('Compiled matcher', events, event => matcher.match(event));
+    const ruleByRuleMatches = run('Rule by rule', events, event => triggers.filter(trigger => matchesRule(trigger, event)));
+    
+    if (compiledMatches !== ruleByRuleMatches) {
+        console.warn('');
+        console.warn(`Warning: matched message counts differ (${compiledMatches} vs ${ruleByRuleMatches})`);
+    }
+}
+
+main();
+process.exit(0);
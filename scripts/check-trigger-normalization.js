@@ -0,0 +1,64 @@
+/**
+ * Check how normalized trigger matching treats repeated letters
+ * A word keeps its own repeated letters ("ass" is not "as") while the message may stretch them
+ * ("kiiiill"), and punctuation after a word stays punctuation ("k1ll!"); every case runs through
+ * the compiled matcher and through matchesTrigger.
+ * Also checks that regex words which can backtrack exponentially are rejected.
+ * Loading the trigger service opens the database pool, but nothing is queried.
+ *
+ * Usage: node scripts/check-trigger-normalization.js
+ */
+const { TriggerMatcher, matchesTrigger, validateRule } = require('../backend/services/triggerService');
+
+// [word, mode, message, expected match]
+const CASES = [
+    ['ass', 'whole-word', 'as if', false],
+    ['ass', 'whole-word', 'see you as soon as possible', false],
+    ['good', 'whole-word', 'oh my god', false],
+    ['kill', 'contains', 'drove 5 kilometers', false],
+    ['ass', 'whole-word', 'what an asss', true],
+    ['good', 'whole-word', 'gooood stream', true],
+    ['kill', 'contains', 'i will kiiiill you', true],
+    ['kill', 'contains', 'k1ll', true],
+    ['kill', 'whole-word', 'k i l l', true],
+    ['kill', 'whole-word', 'k1ll!', true],
+    ['kill you', 'whole-word', 'k1ll y0u!', true],
+    ['kill', 'whole-word', 'k!ll', true],
+    ['kill*', 'whole-word', 'kiiiller', true],
+    ['kill*', 'whole-word', 'kilometers', false],
+    ['good AND stream', 'boolean', 'g00od streeeam', true],
+    ['good AND stream', 'boolean', 'god stream', false]
+];
+
+// Regex words validateRule must refuse
+const REJECTED_REGEXES = ['(a+)+$', '(a|aa)*b', '(.*a){20}', '(\\w*x)*', '(?:(a|b)c)+'];
+
+function main() {
+    let failures = 0;
+    
+    for (const word of REJECTED_REGEXES) {
+        const error = validateRule({ word, mode: 'regex' });
+        if (!error) failures++;
+        console.log(`${error ? 'ok  ' : 'FAIL'} ${'validateRule'.padEnd(15)} ${'regex'.padEnd(11)} "${word}" is rejected`);
+    }
+    
+    for (const [word, mode, message, expected] of CASES) {
+        const matcher = new TriggerMatcher([{ word, mode, eventType: 'chat' }]);
+        const results = {
+            matcher: matcher.match({ type: 'chat', data: { comment: message } }).length > 0,
+            matchesTrigger: matchesTrigger(message, word, mode, true)
+        };
+        
+        for (const [name, matched] of Object.entries(results)) {
+            const ok = matched === expected;
+            if (!ok) failures++;
+            console.log(`${ok ? 'ok  ' : 'FAIL'} ${name.padEnd(15)} ${mode.padEnd(11)} "${word}" ${expected ? 'matches' : 'does not match'} "${message}"`);
+        }
+    }
+    
+    console.log('');
+    console.log(failures === 0 ? 'All checks passed' : `${failures} check(s) failed`);
+    return failures === 0;
+}
+
+process.exit(main() ? 0 : 1);
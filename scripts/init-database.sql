@@ -11,6 +11,10 @@ CREATE TABLE IF NOT EXISTS users (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     username VARCHAR(255) UNIQUE NOT NULL,
     password_hash VARCHAR(255) NOT NULL,
+    email VARCHAR(255),
+    notify_immediate BOOLEAN NOT NULL DEFAULT FALSE, -- Email HIGH severity alerts as they happen
+    digest_frequency VARCHAR(10) NOT NULL DEFAULT 'none' CHECK (digest_frequency IN ('none', 'hourly', 'daily')),
+    last_digest_at TIMESTAMPTZ,
     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
@@ -47,6 +51,7 @@ CREATE TABLE IF NOT EXISTS tiktok_accounts (
     nick_name_modify_time_unix BIGINT,
     last_synced_at TIMESTAMPTZ,
     use_session BOOLEAN DEFAULT FALSE,
+    tags JSONB DEFAULT '[]', -- Account tags (e.g. language groups) used to scope trigger words
     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
     updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
@@ -116,6 +121,32 @@ CREATE INDEX IF NOT EXISTS idx_events_event_data_gin ON events USING GIN (event_
 -- Functional index for case-insensitive username search (for autocomplete)
 CREATE INDEX IF NOT EXISTS idx_events_user_uniqueid_lower ON events (LOWER(user_data->>'uniqueId')) WHERE type = 'chat' AND user_data->>'uniqueId' IS NOT NULL;
 
+-- Functional index over all event types (viewer profiles)
+CREATE INDEX IF NOT EXISTS idx_events_viewer_uniqueid_lower ON events (LOWER(user_data->>'uniqueId'), timestamp) WHERE user_data->>'uniqueId' IS NOT NULL;
+
+-- ============================================================================
+-- CHAT ENTITIES TABLE (Contact details extracted from chat messages, one row per event and entity)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS chat_entities (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    session_id UUID NOT NULL REFERENCES live_sessions(id) ON DELETE CASCADE,
+    handle VARCHAR(255) NOT NULL, -- Account whose live the message was posted in
+    unique_id VARCHAR(255), -- Viewer who posted it
+    nickname VARCHAR(255),
+    type VARCHAR(20) NOT NULL, -- email, phone, telegram, whatsapp, url, handle
+    value VARCHAR(500) NOT NULL, -- Normalized value entities are grouped by
+    raw_value VARCHAR(500), -- As written in the message
+    platform VARCHAR(50), -- Platform named next to a handle (instagram, snapchat, ...)
+    timestamp TIMESTAMPTZ NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_chat_entities_event_value ON chat_entities(event_id, type, value);
+CREATE INDEX IF NOT EXISTS idx_chat_entities_type_value ON chat_entities(type, value);
+CREATE INDEX IF NOT EXISTS idx_chat_entities_unique_id ON chat_entities(unique_id);
+CREATE INDEX IF NOT EXISTS idx_chat_entities_session_id ON chat_entities(session_id);
+CREATE INDEX IF NOT EXISTS idx_chat_entities_timestamp ON chat_entities(timestamp DESC);
+
 -- ============================================================================
 -- STATS HISTORY TABLE
 -- ============================================================================
@@ -138,12 +169,25 @@ CREATE TABLE IF NOT EXISTS alerts (
     handle VARCHAR(255) NOT NULL,
     session_id UUID,
     event_id UUID,
-    type VARCHAR(50) NOT NULL,
+    type TEXT NOT NULL, -- Trigger word that fired (up to 255 characters), or the kind of system alert
+    trigger_id UUID, -- Trigger rule that fired (NULL for legacy alerts)
+    event_type VARCHAR(50) DEFAULT 'chat', -- Event type the rule matched (chat, gift, member, ...)
+    source VARCHAR(50) NOT NULL DEFAULT 'trigger', -- What raised the alert (trigger, watchlist)
     message TEXT NOT NULL,
+    raw_text TEXT, -- Message text as written (text events only)
+    normalized_text TEXT, -- Normalized form used for matching (leetspeak, accents, look-alikes folded)
+    occurrence_count INTEGER NOT NULL DEFAULT 1, -- Repeats folded into this alert by the grouping window
+    first_seen_at TIMESTAMPTZ,
+    last_seen_at TIMESTAMPTZ,
+    details JSONB, -- Extra data of non-keyword alerts (e.g. the metric values that fired a metric rule)
+    category_id UUID, -- Trigger word category of the matched word (NULL for uncategorized words and other sources)
+    category_name VARCHAR(255), -- Category name when the alert was raised (kept if the category is renamed or deleted)
     severity VARCHAR(50) NOT NULL CHECK (severity IN ('LOW', 'MED', 'MEDIUM', 'HIGH')),
-    status VARCHAR(50) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'new', 'acknowledged', 'resolved')),
+    status VARCHAR(50) NOT NULL DEFAULT 'pending' CONSTRAINT alerts_status_check CHECK (status IN ('pending', 'new', 'acknowledged', 'escalated', 'false_positive', 'resolved')),
+    assigned_to UUID REFERENCES users(id) ON DELETE SET NULL, -- Internal user triaging the alert
+    assigned_at TIMESTAMPTZ,
     acknowledged_at TIMESTAMPTZ,
-    resolved_at TIMESTAMPTZ,
+    resolved_at TIMESTAMPTZ, -- Set when resolved or marked as false positive
     timestamp TIMESTAMPTZ NOT NULL DEFAULT NOW(),
     FOREIGN KEY (handle) REFERENCES tiktok_accounts(handle) ON DELETE CASCADE,
     FOREIGN KEY (session_id) REFERENCES live_sessions(id) ON DELETE SET NULL
@@ -153,6 +197,54 @@ CREATE INDEX IF NOT EXISTS idx_alerts_handle_status ON alerts(handle, status, ti
 CREATE INDEX IF NOT EXISTS idx_alerts_timestamp ON alerts(timestamp DESC);
 CREATE INDEX IF NOT EXISTS idx_alerts_session_id ON alerts(session_id) WHERE session_id IS NOT NULL;
 CREATE INDEX IF NOT EXISTS idx_alerts_status ON alerts(status);
+CREATE INDEX IF NOT EXISTS idx_alerts_assigned_to ON alerts(assigned_to) WHERE assigned_to IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_alerts_category_id ON alerts(category_id) WHERE category_id IS NOT NULL;
+
+-- ============================================================================
+-- ALERT COMMENTS TABLE (Threaded discussion on an alert)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS alert_comments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    alert_id UUID NOT NULL REFERENCES alerts(id) ON DELETE CASCADE,
+    parent_id UUID REFERENCES alert_comments(id) ON DELETE CASCADE, -- Comment this one replies to
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    username VARCHAR(255) NOT NULL, -- Kept so comments survive user deletion
+    body TEXT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_comments_alert_created ON alert_comments(alert_id, created_at);
+
+-- ============================================================================
+-- ALERT STATUS HISTORY TABLE (Who changed an alert's status and when)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS alert_status_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    alert_id UUID NOT NULL REFERENCES alerts(id) ON DELETE CASCADE,
+    from_status VARCHAR(50),
+    to_status VARCHAR(50) NOT NULL,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    username VARCHAR(255) NOT NULL,
+    note TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_status_history_alert_created ON alert_status_history(alert_id, created_at);
+
+-- ============================================================================
+-- TRIGGER CATEGORIES TABLE (Named lists of trigger words that can be switched off together)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS trigger_categories (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    default_severity VARCHAR(50) NOT NULL DEFAULT 'MEDIUM' CHECK (default_severity IN ('LOW', 'MEDIUM', 'HIGH')), -- Severity of words added without one
+    enabled BOOLEAN NOT NULL DEFAULT TRUE, -- Words of a disabled category never match
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_trigger_categories_name ON trigger_categories(LOWER(name));
 
 -- ============================================================================
 -- TRIGGER WORDS TABLE
@@ -162,16 +254,40 @@ CREATE TABLE IF NOT EXISTS trigger_words (
     word VARCHAR(255) NOT NULL,
     case_sensitive BOOLEAN DEFAULT FALSE, -- Kept for compatibility, always false (case-insensitive)
     severity VARCHAR(50) NOT NULL DEFAULT 'MEDIUM' CHECK (severity IN ('LOW', 'MED', 'MEDIUM', 'HIGH')),
+    event_type VARCHAR(50) NOT NULL DEFAULT 'chat', -- chat, gift, member, social, subscribe, envelope, questionNew
+    conditions JSONB NOT NULL DEFAULT '[]', -- [{ field, op, value }] on extractEventData fields
+    mode VARCHAR(20) NOT NULL DEFAULT 'contains' CHECK (mode IN ('contains', 'whole-word', 'regex', 'boolean')),
+    normalize BOOLEAN NOT NULL DEFAULT TRUE, -- Also match the normalized message (leetspeak, accents, look-alikes)
+    scope JSONB NOT NULL DEFAULT '{}', -- { handles, tags, excludeHandles, excludeTags }; empty = every account
+    category_id UUID REFERENCES trigger_categories(id) ON DELETE SET NULL, -- Named list the word belongs to (NULL = uncategorized)
+    languages JSONB NOT NULL DEFAULT '[]', -- ISO 639-1 codes of messages the word applies to; empty = any language
     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
 CREATE INDEX IF NOT EXISTS idx_trigger_words_word ON trigger_words(word);
+CREATE INDEX IF NOT EXISTS idx_trigger_words_category_id ON trigger_words(category_id);
 
 -- Unique constraint to prevent duplicate trigger words (case-insensitive)
 -- Note: case_sensitive is ignored, all words are stored in lowercase and matched case-insensitively
 CREATE UNIQUE INDEX IF NOT EXISTS idx_trigger_words_unique 
 ON trigger_words(LOWER(word));
 
+-- ============================================================================
+-- VIEWER WATCHLIST TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS viewer_watchlist (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    unique_id VARCHAR(255) NOT NULL,
+    severity VARCHAR(50) NOT NULL DEFAULT 'MEDIUM' CHECK (severity IN ('LOW', 'MEDIUM', 'HIGH')),
+    notes TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One entry per viewer (case-insensitive)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_viewer_watchlist_unique 
+ON viewer_watchlist(LOWER(unique_id));
+
 -- ============================================================================
 -- ANTI-BLOCKING SETTINGS TABLE (Singleton)
 -- ============================================================================
@@ -186,20 +302,119 @@ VALUES (1, '{}')
 ON CONFLICT (id) DO NOTHING;
 
 -- ============================================================================
--- TIKTOK SESSION TABLE (Singleton - for captured login session)
+-- ALERT SETTINGS TABLE (Singleton - grouping window and alerts-per-minute ceiling)
 -- ============================================================================
-CREATE TABLE IF NOT EXISTS tiktok_session (
+CREATE TABLE IF NOT EXISTS alert_settings (
     id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
-    session_id TEXT,
+    settings JSONB NOT NULL DEFAULT '{}'
+);
+
+-- Insert default row if it doesn't exist
+INSERT INTO alert_settings (id, settings) 
+VALUES (1, '{}')
+ON CONFLICT (id) DO NOTHING;
+
+-- ============================================================================
+-- GIFT SETTINGS TABLE (Singleton - diamond to currency conversion)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS gift_settings (
+    id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+    settings JSONB NOT NULL DEFAULT '{}'
+);
+
+-- Insert default row if it doesn't exist
+INSERT INTO gift_settings (id, settings) 
+VALUES (1, '{}')
+ON CONFLICT (id) DO NOTHING;
+
+-- ============================================================================
+-- METRIC RULES TABLE (Alerts on live session statistics instead of keywords)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS metric_rules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    metric VARCHAR(50) NOT NULL CHECK (metric IN ('viewer_count', 'message_rate_spike', 'likes_stalled')),
+    threshold NUMERIC, -- Viewer count, or spike multiplier over the session median
+    window_minutes INTEGER, -- Rate window (spikes) or stall duration (likes)
+    severity VARCHAR(50) NOT NULL DEFAULT 'MEDIUM' CHECK (severity IN ('LOW', 'MEDIUM', 'HIGH')),
+    scope JSONB NOT NULL DEFAULT '{}', -- Same handle / tag scope as trigger words
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- ============================================================================
+-- WEBHOOKS TABLE (Outbound notifications for alerts, live start/end and blocks)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS webhooks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    url TEXT NOT NULL,
+    secret TEXT,
+    events JSONB NOT NULL DEFAULT '[]',
+    min_severity VARCHAR(50) NOT NULL DEFAULT 'LOW' CHECK (min_severity IN ('LOW', 'MEDIUM', 'HIGH')),
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- ============================================================================
+-- WEBHOOK DELIVERIES TABLE (Delivery log with retry state)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    webhook_id UUID NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+    event VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'success', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    response_status INTEGER,
+    error TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_attempt_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_created 
+ON webhook_deliveries(webhook_id, created_at DESC);
+
+-- ============================================================================
+-- TIKTOK SESSIONS TABLE (Pool of captured login sessions)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS tiktok_sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    label VARCHAR(255),
+    session_id TEXT NOT NULL UNIQUE,
     tt_target_idc TEXT,
     valid_until TIMESTAMPTZ,
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    last_success_at TIMESTAMPTZ,
+    last_failure_at TIMESTAMPTZ,
+    last_error TEXT,
+    consecutive_failures INTEGER NOT NULL DEFAULT 0,
+    quarantined_at TIMESTAMPTZ, -- Set after repeated failures; the session is skipped until released or re-imported
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
     updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
--- Insert default row if it doesn't exist
-INSERT INTO tiktok_session (id, updated_at) 
-VALUES (1, NOW())
-ON CONFLICT (id) DO NOTHING;
+-- Session pinned to an account (accounts without a row use the pool in round-robin)
+CREATE TABLE IF NOT EXISTS tiktok_session_assignments (
+    handle VARCHAR(255) PRIMARY KEY REFERENCES tiktok_accounts(handle) ON DELETE CASCADE,
+    session_id UUID NOT NULL REFERENCES tiktok_sessions(id) ON DELETE CASCADE,
+    assigned_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tiktok_session_assignments_session ON tiktok_session_assignments(session_id);
+
+-- Per-account polling overrides (accounts without a row follow the anti-blocking settings)
+-- mode: default (global setting), adaptive (learned go-live windows) or fixed (constant offline interval)
+CREATE TABLE IF NOT EXISTS account_polling_overrides (
+    handle VARCHAR(255) PRIMARY KEY REFERENCES tiktok_accounts(handle) ON DELETE CASCADE,
+    mode VARCHAR(20) NOT NULL DEFAULT 'default' CHECK (mode IN ('default', 'adaptive', 'fixed')),
+    offline_interval_minutes INTEGER,
+    hot_interval_minutes INTEGER,
+    cold_interval_minutes INTEGER,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
 
 -- ============================================================================
 -- TIKTOK BLOCKS TABLE
@@ -212,6 +427,46 @@ CREATE TABLE IF NOT EXISTS tiktok_blocks (
     FOREIGN KEY (handle) REFERENCES tiktok_accounts(handle) ON DELETE CASCADE
 );
 
+-- ============================================================================
+-- PROXIES TABLE (Proxy pool for TikTok connections)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS proxies (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    label VARCHAR(255),
+    url TEXT NOT NULL UNIQUE,
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    health_score INTEGER NOT NULL DEFAULT 100,
+    last_check_at TIMESTAMPTZ,
+    last_check_ok BOOLEAN,
+    last_latency_ms INTEGER,
+    last_error TEXT,
+    block_count INTEGER NOT NULL DEFAULT 0,
+    last_block_at TIMESTAMPTZ,
+    cooldown_until TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Sticky proxy per monitored account
+CREATE TABLE IF NOT EXISTS proxy_assignments (
+    handle VARCHAR(255) PRIMARY KEY REFERENCES tiktok_accounts(handle) ON DELETE CASCADE,
+    proxy_id UUID NOT NULL REFERENCES proxies(id) ON DELETE CASCADE,
+    assigned_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_proxy_assignments_proxy ON proxy_assignments(proxy_id);
+
+-- Blocks received through each proxy
+CREATE TABLE IF NOT EXISTS proxy_blocks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    proxy_id UUID NOT NULL REFERENCES proxies(id) ON DELETE CASCADE,
+    handle VARCHAR(255) NOT NULL,
+    type VARCHAR(50),
+    rotated_to UUID,
+    blocked_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_proxy_blocks_proxy_time ON proxy_blocks(proxy_id, blocked_at DESC);
+
 -- ============================================================================
 -- ACCOUNT HISTORY TABLE
 -- ============================================================================
@@ -0,0 +1,50 @@
+/**
+ * Local webhook receiver for testing outbound webhooks
+ * Prints every delivery and checks the X-TIntell-Signature header when a secret is given.
+ * Add a webhook with URL http://localhost:<port>/ on the Webhooks page and press "Send Test".
+ *
+ * Usage: node scripts/webhook-receiver.js [port=4000] [secret] [failFirst=0]
+ * failFirst answers the first N requests with HTTP 500 to exercise retries
+ */
+const http = require('http');
+const crypto = require('crypto');
+
+const port = parseInt(process.argv[2]) || 4000;
+const secret = process.argv[3] || '';
+let failRemaining = parseInt(process.argv[4]) || 0;
+
+function verifySignature(headers, body) {
+    const signature = headers['x-tintell-signature'];
+    if (!signature) return 'missing';
+    
+    const expected = `sha256=${crypto.createHmac('sha256', secret).update(`${headers['x-tintell-timestamp']}.${body}`).digest('hex')}`;
+    const valid = signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+    return valid ? 'valid' : 'INVALID';
+}
+
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        console.log(`\n[${new Date().toISOString()}] ${req.method} ${req.url}`);
+        console.log(`  event: ${req.headers['x-tintell-event']}, delivery: ${req.headers['x-tintell-delivery']}`);
+        if (secret) {
+            console.log(`  signature: ${verifySignature(req.headers, body)}`);
+        }
+        console.log(`  body: ${body}`);
+        
+        if (failRemaining > 0) {
+            failRemaining--;
+            console.log('  -> answering 500 (simulated failure)');
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            return res.end('Simulated failure');
+        }
+        
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end('{"ok":true}');
+    });
+});
+
+server.listen(port, () => {
+    console.log(`Webhook receiver listening on http://localhost:${port}/${secret ? ' (verifying signatures)' : ''}`);
+});